@@ -24,6 +24,10 @@ module.exports = {
         'semi': [
             'error',
             'always'
+        ],
+        'no-unused-vars': [
+            'error',
+            { 'argsIgnorePattern': '^_' }
         ]
     },
     'plugins': [
@@ -31,5 +35,13 @@ module.exports = {
     ],
     "extends": [
         "plugin:jsdoc/recommended"
+    ],
+    'overrides': [
+        {
+            'files': ['test/**/*.js', 'benchmark/**/*.js'],
+            'env': {
+                'jest': true
+            }
+        }
     ]
 };
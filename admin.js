@@ -0,0 +1,347 @@
+import { querySudo } from '@lblod/mu-auth-sudo';
+import { REQUIREMENT_PATH, WORD_PREDICATES, sendSubscriptionEmail } from './queries';
+import { escapeSparqlString } from './helpers';
+import { FREQUENCIES } from './schedule';
+import { STATISTICS_TOP_SIZE } from './config';
+
+/**
+ * @typedef {object} User
+ * @property {string} uri - The URI of the user.
+ * @property {string} id - The id of the user, the last part of the URI.
+ * @property {string} email - The email address of the user.
+ * @property {(string|undefined)} language - The preferred language of the
+ * user.
+ * @property {string[]} subscriptions - The URIs of the filters the user is
+ * subscribed to.
+ * @property {string[]} pendingSubscriptions - The URIs of the filters the
+ * user still needs to confirm their subscription to.
+ */
+
+/**
+ * The constraint predicates whose objects are counted as keywords in the
+ * statistics.
+ */
+const KEYWORD_PREDICATES = ['textContains', 'textEquals', ...WORD_PREDICATES];
+
+/**
+ * Check if a mu-session has a role, as stored by the login service in the
+ * sessions graph.
+ *
+ * @param {string} sessionUri - The URI of the session, from the
+ * `mu-session-id` header.
+ * @param {string} role - The role to check.
+ * @returns {Promise<boolean>} - True if the session has the role.
+ */
+export async function hasSessionRole(sessionUri, role) {
+    return await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        ASK WHERE {
+          GRAPH <http://mu.semte.ch/graphs/sessions> {
+            ?session ext:sessionRole "${escapeSparqlString(role)}".
+            FILTER(STR(?session) = "${escapeSparqlString(sessionUri)}")
+          }
+        }
+    `).then((result) => result.boolean);
+}
+
+/**
+ * Get the URI of a user from its id.
+ *
+ * @param {string} id - The id of the user.
+ * @returns {string} - The URI of the user.
+ */
+export function userUri(id) {
+    return `http://lokaalbeslist.be/subscriptions/users/${id}`;
+}
+
+/**
+ * Look up users with their subscriptions.
+ *
+ * @param {string[]} uris - The URIs of the users.
+ * @returns {Promise<(User|undefined)[]>} - The users, in the same order as the
+ * URIs, undefined for the users that do not exist.
+ */
+export async function findUsers(uris) {
+    if (uris.length === 0) {
+        return [];
+    }
+
+    const values = uris.map((uri) => `<${escapeSparqlString(uri)}>`).join('\n');
+
+    const personsResult = await querySudo(`
+        PREFIX schema: <http://schema.org/>
+
+        SELECT ?user ?email ?language WHERE {
+          VALUES ?user {
+            ${values}
+          }
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user a schema:Person;
+                  schema:email ?email.
+            OPTIONAL {
+              ?user schema:knowsLanguage ?language.
+            }
+          }
+        }
+    `);
+
+    const subscriptionsResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        SELECT DISTINCT ?user ?link ?filter WHERE {
+          VALUES ?user {
+            ${values}
+          }
+          VALUES ?link {
+            ext:hasSubscription
+            ext:hasPendingSubscription
+          }
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user ?link ?filter.
+          }
+        }
+        ORDER BY ?filter
+    `);
+
+    const users = new Map();
+
+    for (const binding of personsResult.results.bindings) {
+        const uri = binding['user']['value'];
+        const uriParts = uri.split('/');
+
+        users.set(uri, {
+            'uri': uri,
+            'id': uriParts[uriParts.length - 1],
+            'email': binding['email']['value'],
+            'language': binding['language']?.['value'],
+            'subscriptions': [],
+            'pendingSubscriptions': [],
+        });
+    }
+
+    for (const binding of subscriptionsResult.results.bindings) {
+        const user = users.get(binding['user']['value']);
+
+        if (user === undefined) {
+            continue;
+        }
+
+        if (binding['link']['value'] === 'http://mu.semte.ch/vocabularies/ext/hasPendingSubscription') {
+            user.pendingSubscriptions.push(binding['filter']['value']);
+        } else {
+            user.subscriptions.push(binding['filter']['value']);
+        }
+    }
+
+    return uris.map((uri) => users.get(uri));
+}
+
+/**
+ * Look up a user with their subscriptions.
+ *
+ * @param {string} uri - The URI of the user.
+ * @returns {Promise<(User|undefined)>} - The user or undefined if the user
+ * does not exist.
+ */
+export async function findUser(uri) {
+    return (await findUsers([uri]))[0];
+}
+
+/**
+ * Search users by (part of) their email address, ignoring case.
+ *
+ * @param {string} email - The part of the email address to search for, all
+ * users are returned if it is empty.
+ * @param {{number: number, size: number}} page - The page of users to return.
+ * @returns {Promise<{users: User[], count: number}>} - The users on the page,
+ * sorted by email address, and the total amount of matching users.
+ */
+export async function searchUsers(email, page) {
+    const where = `
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user a schema:Person;
+                  schema:email ?email.
+            FILTER(CONTAINS(LCASE(STR(?email)), LCASE("${escapeSparqlString(email)}")))
+          }
+    `;
+
+    const countResult = await querySudo(`
+        PREFIX schema: <http://schema.org/>
+
+        SELECT (COUNT(DISTINCT ?user) as ?count) WHERE {
+          ${where}
+        }
+    `);
+
+    const usersResult = await querySudo(`
+        PREFIX schema: <http://schema.org/>
+
+        SELECT DISTINCT ?user ?email WHERE {
+          ${where}
+        }
+        ORDER BY LCASE(STR(?email)) ?user
+        LIMIT ${page.size}
+        OFFSET ${page.number * page.size}
+    `);
+
+    const users = await findUsers(
+        usersResult.results.bindings.map((binding) => binding['user']['value'])
+    );
+
+    return {
+        'users': users.filter((user) => !!user),
+        'count': parseInt(countResult.results.bindings[0]?.['count']['value'] || '0'),
+    };
+}
+
+/**
+ * Send the email with the link to their preferences to a user again, e.g.
+ * when they lost it.
+ *
+ * @param {string} uri - The URI of the user.
+ * @returns {Promise} - Resolves when the email has been queued, rejects if
+ * the user does not exist.
+ */
+export async function resendWelcomeEmail(uri) {
+    const result = await querySudo(`
+        PREFIX schema: <http://schema.org/>
+        PREFIX account: <http://mu.semte.ch/vocabularies/account/>
+
+        SELECT ?email ?token ?language WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(uri)}> a schema:Person;
+                schema:email ?email;
+                account:password ?token.
+            OPTIONAL {
+              <${escapeSparqlString(uri)}> schema:knowsLanguage ?language.
+            }
+          }
+        }
+    `);
+
+    const binding = result.results.bindings[0];
+
+    if (binding === undefined) {
+        throw `No such user: '${uri}'.`;
+    }
+
+    await sendSubscriptionEmail(
+        binding['email']['value'],
+        binding['token']['value'],
+        binding['language']?.['value']
+    );
+}
+
+/**
+ * Count the confirmed subscriptions that are not paused or expired, by
+ * frequency.
+ *
+ * @param {Date} now - The moment to check.
+ * @returns {Promise<object>} - The amount of subscriptions, by frequency.
+ */
+async function countActiveSubscriptions(now) {
+    const result = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        SELECT ?frequency (COUNT(*) as ?count) WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user ext:hasSubscription ?filter.
+            ?filter ext:subscriptionFrequency ?frequency.
+            FILTER NOT EXISTS {
+              ?filter ext:paused true.
+            }
+            FILTER NOT EXISTS {
+              ?filter ext:activeUntil ?activeUntil.
+              FILTER(?activeUntil < "${now.toISOString()}"^^xsd:dateTime)
+            }
+          }
+        }
+        GROUP BY ?frequency
+    `);
+
+    const counts = Object.fromEntries(FREQUENCIES.map((frequency) => [frequency, 0]));
+
+    for (const binding of result.results.bindings) {
+        counts[binding['frequency']['value']] = parseInt(binding['count']['value']);
+    }
+
+    return counts;
+}
+
+/**
+ * Find the most used values of a property of the constraints in the filters
+ * users are subscribed to, counting every constraint once.
+ *
+ * @param {string} property - The property of the constraints to count, e.g.
+ * `ext:constraintSubject`.
+ * @param {string[]} [predicates] - Only count constraints with one of these
+ * frontend-predicates, all constraints are counted if undefined.
+ * @param {boolean} [ignoreCase=false] - Whether values that only differ in
+ * case are counted together, as their lower-cased form.
+ * @returns {Promise<{value: string, count: number}[]>} - The
+ * `STATISTICS_TOP_SIZE` most used values, most used first.
+ */
+async function topConstraintValues(property, predicates, ignoreCase=false) {
+    const predicateFilter = predicates === undefined ? '' : `
+            ?constraint ext:constraintPredicate ?predicate.
+            VALUES ?predicate {
+              ${predicates.map((predicate) => `"${predicate}"`).join('\n')}
+            }
+    `;
+
+    const result = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        SELECT ?value (COUNT(DISTINCT ?constraint) as ?count) WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user ext:hasSubscription ?filter.
+            ?filter (${REQUIREMENT_PATH})* ?constraint.
+            ?constraint ${property} ?object.
+            ${predicateFilter}
+          }
+          BIND(${ignoreCase ? 'LCASE(STR(?object))' : 'STR(?object)'} as ?value)
+        }
+        GROUP BY ?value
+        ORDER BY DESC(?count) ?value
+        LIMIT ${STATISTICS_TOP_SIZE}
+    `);
+
+    return result.results.bindings.map((binding) => {
+        return {
+            'value': binding['value']['value'],
+            'count': parseInt(binding['count']['value']),
+        };
+    });
+}
+
+/**
+ * Collect aggregate statistics about the users and their subscriptions.
+ *
+ * @param {Date} [now] - The moment subscriptions need to be active at.
+ * @returns {Promise<object>} - The amount of users, the amount of active
+ * subscriptions by frequency and the most used constraint subjects,
+ * predicates and keywords.
+ */
+export async function findStatistics(now=new Date()) {
+    const usersResult = await querySudo(`
+        PREFIX schema: <http://schema.org/>
+
+        SELECT (COUNT(DISTINCT ?user) as ?count) WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user a schema:Person.
+          }
+        }
+    `);
+
+    return {
+        'users': parseInt(usersResult.results.bindings[0]?.['count']['value'] || '0'),
+        'active-subscriptions': await countActiveSubscriptions(now),
+        'subjects': await topConstraintValues('ext:constraintSubject'),
+        'predicates': await topConstraintValues('ext:constraintPredicate'),
+        'keywords': await topConstraintValues('ext:constraintObject', KEYWORD_PREDICATES, true),
+    };
+}
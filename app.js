@@ -1,22 +1,284 @@
 import { app, errorHandler, uuid } from 'mu';
-import { json } from 'express';
+import { json, text, urlencoded } from 'express';
 import { 
     createConstraint,
     findFiltersForToken,
     existsConstraint,
     deleteConstraint,
+    updateConstraint,
     existsFilter,
-    createFilter,
+    createFilterTree,
+    updateFilter,
     deleteFilter,
     addSubscription,
     findFilter,
+    findFilters,
     findConstraint,
-    updateFrequency
+    updateFrequency,
+    validateSubscriptionDetails,
+    updateSubscriptionDetails,
+    resolveFilterDocument,
+    confirmSubscription,
+    purgeUnconfirmedSubscriptions,
+    findUserForToken,
+    findUserForEmail,
+    findOwners,
+    isSubscribed,
+    unsubscribe,
+    collectGarbage
 } from './queries';
-import { validateRequest, error } from './helpers';
+import { findMatchingAgendaItems } from './matching';
+import { ENTITY_SUBJECTS, searchEntities } from './entities';
+import { CALENDAR_CONTENT_TYPE, createCalendar } from './calendar';
+import {
+    FEED_FORMATS,
+    createFeedSecret,
+    deleteFeedSecret,
+    forgetFeedItems,
+    verifyFeedSecret,
+    feedUrls,
+    createFeed
+} from './feeds';
+import { sendDigests, isDigestFrequency } from './digest';
+import { isLanguage } from './templates';
+import {
+    EXPORT_TYPES,
+    toJsonApi,
+    toTurtle,
+    toJsonLd,
+    jsonLdToJsonApi,
+    turtleToJsonApi,
+    importFilters
+} from './portability';
+import { findPersonalData, eraseUser } from './privacy';
+import {
+    userUri,
+    findUser,
+    searchUsers,
+    resendWelcomeEmail,
+    findStatistics
+} from './admin';
+import {
+    signupsPerIp,
+    signupsPerEmail,
+    checkResourceLimits
+} from './limits';
+import { verifyChallenge } from './challenge';
+import { SCHEDULE_VALIDATORS } from './schedule';
+import {
+    validateRequest,
+    error,
+    parsePage,
+    pageLinks,
+    getToken,
+    parseDateTime,
+    isValidEmail
+} from './helpers';
+import {
+    authorize,
+    authorizeReferences,
+    authorizeAdmin,
+    isAdmin,
+    findAgent
+} from './authorization';
+import {
+    recordCreation,
+    trackChanges,
+    findHistory,
+    restoreFilter
+} from './history';
+import {
+    PURGE_INTERVAL_MINUTES,
+    GARBAGE_GRACE_HOURS,
+    FEED_CACHE_MINUTES,
+    DIGEST_INTERVAL_MINUTES,
+    TRUST_PROXY
+} from './config';
 
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ * @typedef {import('./queries').SubscriptionFilter} SubscriptionFilter
+ */
+
+app.set('trust proxy', TRUST_PROXY);
 app.use(json());
 
+/**
+ * Send the agenda items matching a filter as a paginated JSON:API list.
+ *
+ * @param {Request} req - The request, used for the pagination parameters.
+ * @param {Response} res - The response to send the agenda items to.
+ * @param {SubscriptionFilter} filter - The filter to match.
+ */
+function sendMatches(req, res, filter) {
+    const page = parsePage(req, res);
+
+    if (!page) {
+        return;
+    }
+
+    findMatchingAgendaItems(filter, page.number, page.size)
+        .then(({ items, count }) => {
+            res.send(JSON.stringify({
+                'data': items.map((item) => {
+                    return {
+                        'type': 'agenda-items',
+                        'id': item.id,
+                        'attributes': {
+                            'uri': item.uri,
+                            'title': item.title,
+                            'description': item.description,
+                            'session-date': item.sessionDate,
+                        },
+                    };
+                }),
+                'meta': {
+                    'count': count,
+                },
+                'links': pageLinks(req, page, count),
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+}
+
+/**
+ * Check if a new subscription for an email address may be created: the
+ * address needs to be valid, the challenge needs to be solved and neither the
+ * client nor the address may have signed up too often recently.
+ *
+ * @param {Request} req - The sign-up request.
+ * @param {Response} res - The response to send potential error messages to.
+ * @param {string} email - The email address that is signing up.
+ * @returns {Promise<boolean>} - True if the sign-up is allowed, false if it is
+ * not and an error message has been sent.
+ */
+async function allowSignup(req, res, email) {
+    if (!isValidEmail(email)) {
+        error(res, `Invalid email address: '${email}'.`);
+        return false;
+    }
+
+    if (!await verifyChallenge(req)) {
+        error(res, 'Invalid or missing challenge response.', 403);
+        return false;
+    }
+
+    const retryAfter = Math.max(
+        signupsPerIp.hit(req.ip),
+        signupsPerEmail.hit(email.toLowerCase())
+    );
+
+    if (retryAfter > 0) {
+        res.set('Retry-After', `${retryAfter}`);
+        error(res, 'Too many sign-ups, try again later.', 429);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Collect the resource identifiers of all the relationships in a JSON:API
+ * document, including the ones of the included resources.
+ *
+ * @param {object} document - The JSON:API document.
+ * @returns {object[]} - The resource identifiers.
+ */
+function relationshipData(document) {
+    return [document.data, ...(document.included || [])]
+        .flatMap((resource) => Object.values(resource.relationships || {}))
+        .flatMap((relationship) => relationship.data || []);
+}
+
+/**
+ * Create a JSON:API resource identifier for a constraint or filter, including
+ * its `lid` if it was created from a compound document.
+ *
+ * @param {string} type - The JSON:API type of the resource.
+ * @param {object} resource - The constraint or filter.
+ * @returns {object} - The resource identifier.
+ */
+function resourceIdentifier(type, resource) {
+    return {
+        'type': type,
+        'id': resource.id,
+        'lid': resource.lid,
+    };
+}
+
+/**
+ * Convert a stored filter tree to a JSON:API compound document, the resources
+ * that were created from a `lid` are added to `included`.
+ *
+ * @param {SubscriptionFilter} filter - The root of the filter tree.
+ * @returns {object} - The JSON:API document.
+ */
+function filterTreeDocument(filter) {
+    const included = new Map();
+
+    const filterResource = (filter) => {
+        return {
+            ...resourceIdentifier('subscription-filters', filter),
+            'attributes': {
+                'require-all': filter['require-all'],
+                'negate': filter['negate'],
+                'frequency': filter.frequency,
+                'weekday': filter.weekday,
+                'hour': filter.hour,
+                'time-zone': filter['time-zone'],
+                'name': filter.name,
+                'description': filter.description,
+                'paused': filter.paused,
+                'active-until': filter['active-until'],
+            },
+            'relationships': {
+                'constraints': {
+                    'data': filter.constraints.map(
+                        (constraint) => resourceIdentifier('subscription-filter-constraints', constraint)
+                    ),
+                },
+                'sub-filters': {
+                    'data': filter['sub-filters'].map(
+                        (subFilter) => resourceIdentifier('subscription-filters', subFilter)
+                    ),
+                },
+            },
+        };
+    };
+
+    const collect = (filter) => {
+        filter.constraints
+            .filter((constraint) => constraint.lid !== undefined)
+            .forEach((constraint) => {
+                included.set(`subscription-filter-constraints/${constraint.lid}`, {
+                    ...resourceIdentifier('subscription-filter-constraints', constraint),
+                    'attributes': {
+                        'subject': constraint.subject,
+                        'predicate': constraint.predicate,
+                        'object': constraint.object,
+                    },
+                });
+            });
+
+        filter['sub-filters']
+            .filter((subFilter) => subFilter.lid !== undefined)
+            .forEach((subFilter) => {
+                included.set(`subscription-filters/${subFilter.lid}`, filterResource(subFilter));
+                collect(subFilter);
+            });
+    };
+
+    collect(filter);
+
+    return {
+        'data': filterResource(filter),
+        'included': [...included.values()],
+    };
+}
+
 app.delete('/subscription-filters/:id', async (req, res) => {
     const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
 
@@ -25,8 +287,13 @@ app.delete('/subscription-filters/:id', async (req, res) => {
         return;
     }
 
-    deleteFilter(filterUri)
+    if (!await isAdmin(req) && !await authorize(req, res, filterUri, true)) {
+        return;
+    }
+
+    trackChanges(filterUri, 'delete', await findAgent(req), () => deleteFilter(filterUri))
         .then(() => {
+            forgetFeedItems(filterUri);
             res.status(204).send();
         }).catch((err) => {
             console.error(err);
@@ -42,7 +309,11 @@ app.delete('/subscription-filter-constraints/:id', async (req, res) => {
         return;
     }
 
-    deleteConstraint(constraintUri)
+    if (!await isAdmin(req) && !await authorize(req, res, constraintUri, true)) {
+        return;
+    }
+
+    trackChanges(constraintUri, 'delete', await findAgent(req), () => deleteConstraint(constraintUri))
         .then(() => {
             res.status(204).send();
         }).catch((err) => {
@@ -52,11 +323,17 @@ app.delete('/subscription-filter-constraints/:id', async (req, res) => {
 });
 
 app.patch('/subscription-filters/:id', async (req, res) => {
+    // The requirements only change when relationships are sent, e.g. pausing
+    // a subscription only sends attributes.
+    const requirementsChange = req.body?.data?.relationships !== undefined;
+
     if (!validateRequest(
         req,
         res,
         'subscription-filters',
-        ['require-all']
+        requirementsChange ? ['require-all'] : [],
+        undefined,
+        SCHEDULE_VALIDATORS
     )) {
         return;
     }
@@ -68,43 +345,99 @@ app.patch('/subscription-filters/:id', async (req, res) => {
         return;
     }
 
-    const attributes = req.body.data.attributes;
+    const admin = await isAdmin(req);
+
+    if (!admin && !await authorize(req, res, filterUri, true)) {
+        return;
+    }
+
+    const attributes = req.body.data.attributes || {};
     const relationships = req.body.data.relationships;
-    const subFilters = (relationships ? relationships['sub-filters'] : undefined);
-
-    deleteFilter(
-        filterUri,
-    ).then(
-        () => createFilter(
-            filterUri,
-            attributes['require-all'],
-            relationships.constraints?.data,
-            subFilters?.data
-        )
-    ).then(
-        () => updateFrequency(
-            filterUri,
-            attributes['frequency']
-        )
-    ).then(() => {
-        res.status(201).set('Location', filterUri).send(JSON.stringify({
-            'data': {
-                'type': 'subscription-filters',
-                'id': req.params.id,
-                'attributes': {
-                    'require-all': attributes['require-all'],
-                    'frequency': attributes['frequency'],
-                },
-                'relationships': {
-                    'sub-filters': subFilters,
-                    'constraints': relationships.constraints,
-                }
+    const subFilters = relationships?.['sub-filters'];
+
+    const invalidDetails = validateSubscriptionDetails(attributes);
+
+    if (invalidDetails !== undefined) {
+        error(res, invalidDetails);
+        return;
+    }
+
+    if (attributes['frequency'] === undefined) {
+        // The weekday and hour need to fit the stored frequency as well.
+        const scheduled = { ...attributes, 'frequency': (await findFilter(filterUri)).frequency };
+
+        for (const attribute of ['weekday', 'hour']) {
+            const message = attributes[attribute] === undefined
+                ? undefined
+                : SCHEDULE_VALIDATORS[attribute](attributes[attribute], scheduled);
+
+            if (message !== undefined) {
+                error(res, message, 400, `/data/attributes/${attribute}`);
+                return;
             }
-        }));
-    }).catch((err) => {
-        console.error(err);
-        error(res, err);
-    });
+        }
+    }
+
+    if (requirementsChange && !admin && !await authorizeReferences(req, res, [
+        ...(relationships.constraints?.data || []),
+        ...(subFilters?.data || []),
+    ])) {
+        return;
+    }
+
+    if (requirementsChange) {
+        const newSubFilters = await findFilters((subFilters?.data || []).map(
+            (subFilter) => `http://lokaalbeslist.be/subscriptions/filters/${subFilter.id}`
+        ));
+
+        try {
+            await checkResourceLimits((await findOwners(filterUri))[0], [{
+                'id': req.params.id,
+                'constraints': relationships.constraints?.data || [],
+                'sub-filters': newSubFilters.filter((subFilter) => !!subFilter),
+            }], filterUri);
+        } catch (err) {
+            error(res, err);
+            return;
+        }
+    }
+
+    trackChanges(filterUri, 'update', await findAgent(req), async () => {
+        if (requirementsChange) {
+            await updateFilter(
+                filterUri,
+                attributes['require-all'],
+                relationships.constraints?.data,
+                subFilters?.data,
+                !!attributes['negate']
+            );
+        } else if (attributes['require-all'] !== undefined || attributes['negate'] !== undefined) {
+            // Keep the stored requirements and whatever is not sent.
+            const stored = await findFilter(filterUri);
+
+            await updateFilter(
+                filterUri,
+                attributes['require-all'] ?? stored['require-all'],
+                stored.constraints.map((constraint) => {
+                    return { 'type': 'subscription-filter-constraints', 'id': constraint.id };
+                }),
+                stored['sub-filters'].map((subFilter) => {
+                    return { 'type': 'subscription-filters', 'id': subFilter.id };
+                }),
+                !!(attributes['negate'] ?? stored['negate'])
+            );
+        }
+        await updateFrequency(filterUri, attributes['frequency']);
+        await updateSubscriptionDetails(filterUri, attributes);
+    }).then(() => findFilter(filterUri))
+        .then((filter) => {
+            res.status(201).set('Location', filterUri).send(JSON.stringify({
+                'data': filterTreeDocument(filter).data,
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err);
+        });
 });
 
 app.patch('/subscription-filter-constraints/:id', async (req, res) => {
@@ -124,37 +457,46 @@ app.patch('/subscription-filter-constraints/:id', async (req, res) => {
         return;
     }
 
+    if (!await isAdmin(req) && !await authorize(req, res, constraintUri, true)) {
+        return;
+    }
+
     const attributes = req.body.data.attributes;
 
-    deleteConstraint(constraintUri)
-        .then(() => createConstraint(
-            constraintUri,
-            attributes['subject'],
-            attributes['predicate'],
-            attributes['object']
-        )).then(() => {
-            res.status(201).set('Location', constraintUri).send(JSON.stringify({
-                'data': {
-                    'type': 'subscription-filter-constraints',
-                    'id': req.params.id,
-                    'attributes': {
-                        'subject': attributes.subject,
-                        'predicate': attributes.predicate,
-                        'object': attributes.object,
-                    }
+    trackChanges(constraintUri, 'update', await findAgent(req), () => updateConstraint(
+        constraintUri,
+        attributes['subject'],
+        attributes['predicate'],
+        attributes['object']
+    )).then(() => {
+        res.status(201).set('Location', constraintUri).send(JSON.stringify({
+            'data': {
+                'type': 'subscription-filter-constraints',
+                'id': req.params.id,
+                'attributes': {
+                    'subject': attributes.subject,
+                    'predicate': attributes.predicate,
+                    'object': attributes.object,
                 }
-            }));
-        }).catch((err) => {
-            console.error(err);
-            error(res, err);
-        });
+            }
+        }));
+    }).catch((err) => {
+        console.error(err);
+        error(res, err);
+    });
 });
 
 app.get('/subscription-filter-constraints/:id', async (req, res) => {
-    const constraint = await findConstraint(`http://lokaalbeslist.be/subscriptions/constraints/${req.params.id}`);
+    const constraintUri = `http://lokaalbeslist.be/subscriptions/constraints/${req.params.id}`;
+    const constraint = await findConstraint(constraintUri);
 
     if (!constraint) {
         error(res, 'No such subscription-filter-constraint', 404);
+        return;
+    }
+
+    if (!await isAdmin(req) && !await authorize(req, res, constraintUri)) {
+        return;
     }
 
     res.send(JSON.stringify({
@@ -164,20 +506,26 @@ app.get('/subscription-filter-constraints/:id', async (req, res) => {
             'attributes': {
                 'subject': constraint.subject,
                 'predicate': constraint.predicate,
-                'object': constraint.object
+                'object': constraint.object,
+                'label': constraint.label,
             }
         }
     }));
 });
 
 app.get('/subscription-filters/:id', async (req, res) => {
-    const filter = await findFilter(`http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`);
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
+    const filter = await findFilter(filterUri);
 
     if (!filter) {
         error(res, 'No such subscription-filter', 404);
         return;
     }
 
+    if (!await isAdmin(req) && !await authorize(req, res, filterUri)) {
+        return;
+    }
+
     const constraintsJSONAPI = filter.constraints.map((constraint) => {
         return {
             'type': 'subscription-filter-constraints',
@@ -197,8 +545,16 @@ app.get('/subscription-filters/:id', async (req, res) => {
             'type': 'subscription-filters',
             'id': filter.id,
             'attributes': {
-                'require-all': filter.requireAll,
-                'frequency': filter.frequency
+                'require-all': filter['require-all'],
+                'negate': filter['negate'],
+                'frequency': filter.frequency,
+                'weekday': filter.weekday,
+                'hour': filter.hour,
+                'time-zone': filter['time-zone'],
+                'name': filter.name,
+                'description': filter.description,
+                'paused': filter.paused,
+                'active-until': filter['active-until'],
             },
             'relationships': {
                 'constraints': {
@@ -213,78 +569,80 @@ app.get('/subscription-filters/:id', async (req, res) => {
 
 });
 
-app.get('/subscription-filters', async (req, res) => {
-    if (req.query['token'] === undefined) {
-        error(res, 'Missing token.');
-        return;
-    }
+app.get('/subscription-filters/:id/history', async (req, res) => {
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
 
-    const filters = await findFiltersForToken(req.query.token);
+    // Only admins can see the history of filters that were deleted, as there
+    // is no owner left to check.
+    if (!await isAdmin(req)) {
+        if (!await existsFilter(filterUri)) {
+            error(res, 'No such subscription-filter', 404);
+            return;
+        }
 
-    if (!filters || filters.length === 0) {
-        error(res, 'User not found');
-        return;
+        if (!await authorize(req, res, filterUri)) {
+            return;
+        }
     }
 
-    let constraints = [];
-    let subFilters = [];
+    const history = await findHistory(filterUri);
 
-    const filtersJSONAPI = filters.filter((f) => !!f).map((filter) => {
-        filter.constraints.forEach((constraint) => {
-            constraints.push(constraint);
-        });
-        const constraintsJSONAPI = filter.constraints.map((constraint) => {
+    res.send(JSON.stringify({
+        'data': history.map((change) => {
             return {
-                'type': 'subscription-filter-constraints',
-                'id': constraint.id,
+                'type': 'subscription-filter-changes',
+                'id': change.id,
+                'attributes': {
+                    'action': change.action,
+                    'time': change.time,
+                    'agent': change.agent,
+                    'previous-state': change['previous-state'],
+                    'new-state': change['new-state'],
+                },
             };
-        });
+        }),
+    }));
+});
 
-        filter['sub-filters'].forEach((subFilter) => {
-            subFilters.push(subFilter);
-        });
-        const subFiltersJSONAPI = filter['sub-filters'].map((subFilter) => {
-            return {
-                'type': 'subscription-filters',
-                'id': subFilter.id,
-            };
+app.post('/subscription-filters/:id/history/:changeId/restore', async (req, res) => {
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
+
+    if (!await existsFilter(filterUri)) {
+        error(res, 'No such subscription-filter', 404);
+        return;
+    }
+
+    if (!await isAdmin(req) && !await authorize(req, res, filterUri, true)) {
+        return;
+    }
+
+    restoreFilter(filterUri, req.params.changeId, await findAgent(req))
+        .then(() => findFilter(filterUri))
+        .then((filter) => {
+            res.status(201).set('Location', filterUri).send(JSON.stringify(toJsonApi([filter])));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err);
         });
+});
 
-        return {
-            'type': 'subscription-filters',
-            'id': filter.id,
-            'attributes': {
-                'require-all': filter['require-all'],
-                'frequency': filter['frequency'],
-            },
-            'relationships': {
-                'constraints': {
-                    'data': constraintsJSONAPI,
-                },
-                'sub-filters': {
-                    'data': subFiltersJSONAPI,
-                }
-            },
-        };
-    });
+app.get('/subscription-filters/:id/matches', async (req, res) => {
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
+    const filter = await findFilter(filterUri);
 
-    res.send(JSON.stringify({
-        'data': filtersJSONAPI,
-        'included': constraints.map((constraint) => {
-            return {
-                'type': 'subscription-filter-constraints',
-                'id': constraint.id,
-                'attributes': {
-                    'subject': constraint.subject,
-                    'predicate': constraint.predicate,
-                    'object': constraint.object
-                }
-            };
-        })
-    }));
+    if (!filter) {
+        error(res, 'No such subscription-filter', 404);
+        return;
+    }
+
+    if (!await isAdmin(req) && !await authorize(req, res, filterUri)) {
+        return;
+    }
+
+    sendMatches(req, res, filter);
 });
 
-app.post('/subscription-filters', async (req, res) => {
+app.post('/subscription-filters/preview', async (req, res) => {
     if (!validateRequest(
         req,
         res,
@@ -294,58 +652,360 @@ app.post('/subscription-filters', async (req, res) => {
         return;
     }
 
-    const resourceId = uuid();
-    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${resourceId}`;
-    const attributes = req.body.data.attributes;
-    const relationships = req.body.data.relationships;
-    const subFilters = (relationships ? relationships['sub-filters'] : undefined);
-
-    createFilter(
-        filterUri,
-        attributes['require-all'],
-        relationships?.constraints?.data,
-        subFilters?.data,
-    )
-        .then(() => {
-            if (attributes['email'] && attributes['frequency']) {
-                addSubscription(filterUri, attributes['email'], attributes['frequency']);
-            }
-        })
-        .then(() => {
-            res.status(201).set('Location', filterUri).send(JSON.stringify({
-                'data': {
-                    'type': 'subscription-filters',
-                    'id': resourceId,
-                    'attributes': {
-                        'require-all': attributes['require-all'],
-                        'frequency': attributes['frequency'],
-                    },
-                    'relationships': {
-                        'sub-filters': subFilters,
-                        'constraints': relationships.constraints,
-                    }
-                }
-            }));
-        })
+    if (!await authorizeReferences(req, res, relationshipData(req.body))) {
+        return;
+    }
+
+    resolveFilterDocument(req.body)
+        .then((filter) => sendMatches(req, res, filter))
         .catch((err) => {
-            console.error(err);
             error(res, err);
         });
 });
 
-app.post('/subscription-filter-constraints', (req, res) => {
-    if (!validateRequest(
-        req,
-        res,
-        'subscription-filter-constraints',
-        ['subject', 'predicate', 'object']
-    )) {
+app.post('/subscription-filters/:id/feed', async (req, res) => {
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
+
+    if (!await existsFilter(filterUri)) {
+        error(res, 'No such filter.', 404);
         return;
     }
 
-    const attributes = req.body.data.attributes;
+    if (!await isAdmin(req) && !await authorize(req, res, filterUri, true)) {
+        return;
+    }
 
-    const resourceId = uuid();
+    createFeedSecret(filterUri)
+        .then((secret) => {
+            res.status(201).send(JSON.stringify({
+                'data': {
+                    'type': 'subscription-filter-feeds',
+                    'id': req.params.id,
+                    'attributes': feedUrls(req.params.id, secret),
+                },
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.delete('/subscription-filters/:id/feed', async (req, res) => {
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
+
+    if (!await existsFilter(filterUri)) {
+        error(res, 'No such filter.', 404);
+        return;
+    }
+
+    if (!await isAdmin(req) && !await authorize(req, res, filterUri, true)) {
+        return;
+    }
+
+    deleteFeedSecret(filterUri)
+        .then(() => {
+            res.status(204).send();
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.get('/subscription-filters/:id/feed.:format', async (req, res) => {
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
+    const format = req.params.format;
+
+    if (!Object.prototype.hasOwnProperty.call(FEED_FORMATS, format)) {
+        error(res, `No such feed format: '${format}'.`, 404);
+        return;
+    }
+
+    // Unknown filters have no secret either, so they can not be told apart.
+    if (!await verifyFeedSecret(filterUri, req.query.secret)) {
+        error(res, 'Invalid feed secret.', 403);
+        return;
+    }
+
+    const filter = await findFilter(filterUri);
+
+    if (!filter) {
+        error(res, 'No such subscription-filter', 404);
+        return;
+    }
+
+    createFeed(filterUri, filter, format)
+        .then((feed) => {
+            res.set({
+                'Content-Type': feed.contentType,
+                'ETag': feed.etag,
+                'Last-Modified': feed.lastModified.toUTCString(),
+                'Cache-Control': `private, max-age=${FEED_CACHE_MINUTES * 60}`,
+            });
+
+            if (req.fresh) {
+                res.status(304).end();
+                return;
+            }
+
+            res.send(feed.body);
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.get('/subscription-filters/:id/calendar.ics', async (req, res) => {
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
+
+    if (!await verifyFeedSecret(filterUri, req.query.secret)) {
+        error(res, 'Invalid feed secret.', 403);
+        return;
+    }
+
+    const filter = await findFilter(filterUri);
+
+    if (!filter) {
+        error(res, 'No such subscription-filter', 404);
+        return;
+    }
+
+    createCalendar(filter)
+        .then((calendar) => {
+            res.set({
+                'Content-Type': CALENDAR_CONTENT_TYPE,
+                'Cache-Control': `private, max-age=${FEED_CACHE_MINUTES * 60}`,
+            });
+            res.send(calendar);
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.get('/entities', (req, res) => {
+    const subject = req.query.subject;
+    const search = req.query.search;
+
+    if (!Object.prototype.hasOwnProperty.call(ENTITY_SUBJECTS, subject)) {
+        error(res, `Invalid subject: '${subject}', expected one of '${Object.keys(ENTITY_SUBJECTS).join('\', \'')}'.`);
+        return;
+    }
+
+    if (typeof search !== 'string' || search.trim() === '') {
+        error(res, 'Missing search.');
+        return;
+    }
+
+    const page = parsePage(req, res, 10, 50);
+
+    if (!page) {
+        return;
+    }
+
+    searchEntities(subject, search.trim(), page.size, page.number * page.size)
+        .then((entities) => {
+            res.send(JSON.stringify({
+                'data': entities.map((entity) => {
+                    return {
+                        'type': 'entities',
+                        'id': entity.uri,
+                        'attributes': {
+                            'uri': entity.uri,
+                            'label': entity.label,
+                        },
+                    };
+                }),
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.get('/subscription-filters', async (req, res) => {
+    const token = getToken(req);
+
+    if (token === undefined) {
+        error(res, 'Missing token.');
+        return;
+    }
+
+    const filters = await findFiltersForToken(token);
+
+    if (!filters || filters.length === 0) {
+        error(res, 'User not found');
+        return;
+    }
+
+    let constraints = [];
+    let subFilters = [];
+
+    const filtersJSONAPI = filters.filter((f) => !!f).map((filter) => {
+        filter.constraints.forEach((constraint) => {
+            constraints.push(constraint);
+        });
+        const constraintsJSONAPI = filter.constraints.map((constraint) => {
+            return {
+                'type': 'subscription-filter-constraints',
+                'id': constraint.id,
+            };
+        });
+
+        filter['sub-filters'].forEach((subFilter) => {
+            subFilters.push(subFilter);
+        });
+        const subFiltersJSONAPI = filter['sub-filters'].map((subFilter) => {
+            return {
+                'type': 'subscription-filters',
+                'id': subFilter.id,
+            };
+        });
+
+        return {
+            'type': 'subscription-filters',
+            'id': filter.id,
+            'attributes': {
+                'require-all': filter['require-all'],
+                'negate': filter['negate'],
+                'frequency': filter['frequency'],
+                'weekday': filter['weekday'],
+                'hour': filter['hour'],
+                'time-zone': filter['time-zone'],
+                'name': filter['name'],
+                'description': filter['description'],
+                'paused': filter['paused'],
+                'active-until': filter['active-until'],
+            },
+            'relationships': {
+                'constraints': {
+                    'data': constraintsJSONAPI,
+                },
+                'sub-filters': {
+                    'data': subFiltersJSONAPI,
+                }
+            },
+        };
+    });
+
+    res.send(JSON.stringify({
+        'data': filtersJSONAPI,
+        'included': constraints.map((constraint) => {
+            return {
+                'type': 'subscription-filter-constraints',
+                'id': constraint.id,
+                'attributes': {
+                    'subject': constraint.subject,
+                    'predicate': constraint.predicate,
+                    'object': constraint.object,
+                    'label': constraint.label,
+                }
+            };
+        })
+    }));
+});
+
+app.post('/subscription-filters', async (req, res) => {
+    if (!validateRequest(
+        req,
+        res,
+        'subscription-filters',
+        ['require-all'],
+        undefined,
+        SCHEDULE_VALIDATORS
+    )) {
+        return;
+    }
+
+    const attributes = req.body.data.attributes;
+    if (attributes['language'] !== undefined && !isLanguage(attributes['language'])) {
+        error(res, `Invalid language: '${attributes['language']}'.`);
+        return;
+    }
+
+    const invalidDetails = validateSubscriptionDetails(attributes);
+
+    if (invalidDetails !== undefined) {
+        error(res, invalidDetails);
+        return;
+    }
+
+    const isSignup = attributes['email'] && attributes['frequency'];
+
+    if (isSignup && !await allowSignup(req, res, attributes['email'])) {
+        return;
+    }
+
+    if (!await authorizeReferences(req, res, relationshipData(req.body))) {
+        return;
+    }
+
+    resolveFilterDocument(req.body)
+        .then(async (filter) => {
+            if (isSignup) {
+                await checkResourceLimits(
+                    await findUserForEmail(attributes['email']),
+                    [filter]
+                );
+            }
+
+            return filter;
+        })
+        .then(createFilterTree)
+        .then(async (filter) => {
+            const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${filter.id}`;
+
+            await updateSubscriptionDetails(filterUri, attributes);
+
+            if (isSignup) {
+                // Don't leave a filter behind that nobody can subscribe to.
+                await addSubscription(
+                    filterUri,
+                    attributes['email'],
+                    attributes['frequency'],
+                    attributes['language']
+                )
+                    .catch(async (err) => {
+                        await deleteFilter(filterUri);
+                        throw err;
+                    });
+            }
+
+            await recordCreation(filterUri, await findAgent(req));
+
+            res.status(201).set('Location', filterUri).send(JSON.stringify(
+                filterTreeDocument({
+                    ...filter,
+                    'weekday': attributes['weekday'] ?? undefined,
+                    'hour': attributes['hour'] ?? undefined,
+                    'time-zone': attributes['time-zone'] ?? undefined,
+                    'name': attributes['name'] ?? undefined,
+                    'description': attributes['description'] ?? undefined,
+                    'paused': !!attributes['paused'],
+                    'active-until': attributes['active-until'] != null
+                        ? parseDateTime(attributes['active-until'])
+                        : undefined,
+                })
+            ));
+        })
+        .catch((err) => {
+            console.error(err);
+            error(res, err);
+        });
+});
+
+app.post('/subscription-filter-constraints', (req, res) => {
+    if (!validateRequest(
+        req,
+        res,
+        'subscription-filter-constraints',
+        ['subject', 'predicate', 'object']
+    )) {
+        return;
+    }
+
+    const attributes = req.body.data.attributes;
+
+    const resourceId = uuid();
     const constraintUri = `http://lokaalbeslist.be/subscriptions/constraints/${resourceId}`;
 
     createConstraint(
@@ -370,4 +1030,462 @@ app.post('/subscription-filter-constraints', (req, res) => {
     });
 });
 
+app.post('/subscriptions/confirm', (req, res) => {
+    if (!validateRequest(
+        req,
+        res,
+        'subscription-confirmations',
+        ['token']
+    )) {
+        return;
+    }
+
+    confirmSubscription(req.body.data.attributes['token'])
+        .then((confirmation) => {
+            if (!confirmation) {
+                error(res, 'Invalid or expired confirmation token.', 404);
+                return;
+            }
+
+            const filterUriParts = confirmation.filterUri.split('/');
+            res.send(JSON.stringify({
+                'data': {
+                    'type': 'subscription-confirmations',
+                    'attributes': {
+                        'user-token': confirmation.userToken,
+                    },
+                    'relationships': {
+                        'subscription-filter': {
+                            'data': {
+                                'type': 'subscription-filters',
+                                'id': filterUriParts[filterUriParts.length - 1],
+                            }
+                        }
+                    }
+                }
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.delete('/subscriptions', async (req, res) => {
+    if (req.query['token'] === undefined) {
+        error(res, 'Missing token.');
+        return;
+    }
+
+    const userUri = await findUserForToken(req.query.token);
+
+    if (!userUri) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    unsubscribe(userUri, undefined, 'token')
+        .then(() => {
+            res.status(204).send();
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.delete('/subscriptions/:id', async (req, res) => {
+    if (req.query['token'] === undefined) {
+        error(res, 'Missing token.');
+        return;
+    }
+
+    const userUri = await findUserForToken(req.query.token);
+
+    if (!userUri) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${req.params.id}`;
+
+    if (!await isSubscribed(userUri, filterUri)) {
+        error(res, 'This user is not subscribed to this filter.', 403);
+        return;
+    }
+
+    unsubscribe(userUri, filterUri, 'token')
+        .then(() => {
+            res.status(204).send();
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+// One-click unsubscribe (RFC 8058), used in the List-Unsubscribe header
+app.post('/subscriptions/unsubscribe', urlencoded({ extended: false }), async (req, res) => {
+    if (req.body?.['List-Unsubscribe'] !== 'One-Click') {
+        error(res, 'Expected \'List-Unsubscribe=One-Click\'.');
+        return;
+    }
+
+    if (req.query['token'] === undefined) {
+        error(res, 'Missing token.');
+        return;
+    }
+
+    const userUri = await findUserForToken(req.query.token);
+
+    if (!userUri) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    const filterUri = req.query['filter'] !== undefined
+        ? `http://lokaalbeslist.be/subscriptions/filters/${req.query.filter}`
+        : undefined;
+
+    unsubscribe(userUri, filterUri, 'one-click')
+        .then((count) => {
+            res.send(JSON.stringify({
+                'meta': {
+                    'unsubscribed': count,
+                }
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.get('/subscriptions/export', async (req, res) => {
+    const token = getToken(req);
+
+    if (token === undefined) {
+        error(res, 'Missing token.');
+        return;
+    }
+
+    if (!await findUserForToken(token)) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    const type = req.accepts(EXPORT_TYPES);
+
+    if (!type) {
+        error(res, `Can only export as ${EXPORT_TYPES.join(', ')}.`, 406);
+        return;
+    }
+
+    findFiltersForToken(token)
+        .then((filters) => {
+            filters = filters.filter((f) => !!f);
+
+            switch (type) {
+            case 'text/turtle':
+                res.type(type).send(toTurtle(filters));
+                return;
+            case 'application/ld+json':
+                res.type(type).send(JSON.stringify(toJsonLd(filters)));
+                return;
+            default:
+                res.send(JSON.stringify(toJsonApi(filters)));
+            }
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.post('/subscriptions/import', json({ type: 'application/ld+json' }), text({ type: 'text/turtle' }), async (req, res) => {
+    const token = getToken(req);
+
+    if (token === undefined) {
+        error(res, 'Missing token.');
+        return;
+    }
+
+    const userUri = await findUserForToken(token);
+
+    if (!userUri) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    let document = req.body;
+
+    try {
+        if (req.is('application/ld+json')) {
+            document = await jsonLdToJsonApi(req.body);
+        } else if (req.is('text/turtle')) {
+            document = turtleToJsonApi(req.body);
+        }
+    } catch (err) {
+        error(res, err);
+        return;
+    }
+
+    importFilters(userUri, document)
+        .then(async (filters) => {
+            for (const filter of filters) {
+                await recordCreation(
+                    `http://lokaalbeslist.be/subscriptions/filters/${filter.id}`,
+                    userUri
+                );
+            }
+
+            res.status(201).send(JSON.stringify(toJsonApi(filters)));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err);
+        });
+});
+
+app.get('/personal-data', async (req, res) => {
+    const token = getToken(req);
+
+    if (token === undefined) {
+        error(res, 'Missing token.');
+        return;
+    }
+
+    const userUri = await findUserForToken(token);
+
+    if (!userUri) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    findPersonalData(userUri)
+        .then((document) => {
+            res.send(JSON.stringify(document));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.delete('/personal-data', async (req, res) => {
+    const token = getToken(req);
+
+    if (token === undefined) {
+        error(res, 'Missing token.');
+        return;
+    }
+
+    const userUri = await findUserForToken(token);
+
+    if (!userUri) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    eraseUser(userUri)
+        .then(() => {
+            res.status(204).send();
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+/**
+ * Convert a user to a JSON:API resource for the admin routes.
+ *
+ * @param {import('./admin').User} user - The user.
+ * @returns {object} - The resource, with the filters the user is (pending)
+ * subscribed to as relationships.
+ */
+function userResource(user) {
+    const filterIdentifiers = (uris) => uris.map((uri) => {
+        const uriParts = uri.split('/');
+        return { 'type': 'subscription-filters', 'id': uriParts[uriParts.length - 1] };
+    });
+
+    return {
+        'type': 'users',
+        'id': user.id,
+        'attributes': {
+            'email': user.email,
+            'language': user.language,
+        },
+        'relationships': {
+            'subscriptions': { 'data': filterIdentifiers(user.subscriptions) },
+            'pending-subscriptions': { 'data': filterIdentifiers(user.pendingSubscriptions) },
+        },
+    };
+}
+
+app.get('/admin/users', async (req, res) => {
+    if (!await authorizeAdmin(req, res)) {
+        return;
+    }
+
+    const email = req.query.email === undefined ? '' : req.query.email;
+
+    if (typeof email !== 'string') {
+        error(res, 'Invalid email.');
+        return;
+    }
+
+    const page = parsePage(req, res);
+
+    if (!page) {
+        return;
+    }
+
+    searchUsers(email.trim(), page)
+        .then(({ users, count }) => {
+            res.send(JSON.stringify({
+                'data': users.map(userResource),
+                'meta': {
+                    'count': count,
+                },
+                'links': pageLinks(req, page, count),
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.get('/admin/users/:id', async (req, res) => {
+    if (!await authorizeAdmin(req, res)) {
+        return;
+    }
+
+    const user = await findUser(userUri(req.params.id));
+
+    if (!user) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    res.send(JSON.stringify({
+        'data': userResource(user),
+    }));
+});
+
+app.get('/admin/users/:id/subscription-filters', async (req, res) => {
+    if (!await authorizeAdmin(req, res)) {
+        return;
+    }
+
+    const user = await findUser(userUri(req.params.id));
+
+    if (!user) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    findFilters([...user.subscriptions, ...user.pendingSubscriptions])
+        .then((filters) => {
+            res.send(JSON.stringify(toJsonApi(filters.filter((f) => !!f))));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.post('/admin/users/:id/welcome-email', async (req, res) => {
+    if (!await authorizeAdmin(req, res)) {
+        return;
+    }
+
+    const user = await findUser(userUri(req.params.id));
+
+    if (!user) {
+        error(res, 'User not found', 404);
+        return;
+    }
+
+    // The link gives access to the subscriptions, so it is only sent to users
+    // that confirmed their email address.
+    if (user.subscriptions.length === 0) {
+        error(res, 'The user has no confirmed subscriptions.', 409);
+        return;
+    }
+
+    resendWelcomeEmail(user.uri)
+        .then(() => {
+            res.status(204).send();
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.get('/admin/statistics', async (req, res) => {
+    if (!await authorizeAdmin(req, res)) {
+        return;
+    }
+
+    findStatistics()
+        .then((statistics) => {
+            res.send(JSON.stringify({
+                'meta': statistics,
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.post('/maintenance/garbage-collection', async (req, res) => {
+    if (!await authorizeAdmin(req, res)) {
+        return;
+    }
+
+    collectGarbage(GARBAGE_GRACE_HOURS)
+        .then((removed) => {
+            res.send(JSON.stringify({
+                'meta': {
+                    'removed': removed,
+                }
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+app.post('/maintenance/digests', async (req, res) => {
+    if (!await authorizeAdmin(req, res)) {
+        return;
+    }
+
+    const frequency = req.query['frequency'];
+
+    if (frequency !== undefined && !isDigestFrequency(frequency)) {
+        error(res, `Invalid frequency: '${frequency}'.`);
+        return;
+    }
+
+    sendDigests(new Date(), frequency)
+        .then((sent) => {
+            res.send(JSON.stringify({
+                'meta': {
+                    'sent': sent,
+                }
+            }));
+        }).catch((err) => {
+            console.error(err);
+            error(res, err, 500);
+        });
+});
+
+// The timers don't keep the process alive on their own, the server does, so
+// the app can be loaded without starting it (e.g. in the tests).
+setInterval(() => {
+    purgeUnconfirmedSubscriptions().catch((err) => {
+        console.error(err);
+    });
+}, PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+
+setInterval(() => {
+    sendDigests().catch((err) => {
+        console.error(err);
+    });
+}, DIGEST_INTERVAL_MINUTES * 60 * 1000).unref();
+
 app.use(errorHandler);
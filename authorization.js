@@ -0,0 +1,202 @@
+import { timingSafeEqual } from 'crypto';
+import { findUserForToken, findOwners, isAbandoned } from './queries';
+import { hasSessionRole } from './admin';
+import { getToken, error } from './helpers';
+import { ADMIN_TOKEN, ADMIN_SESSION_ROLE, GARBAGE_GRACE_HOURS } from './config';
+
+/**
+ * @typedef {import('express').Request} Request
+ * @typedef {import('express').Response} Response
+ */
+
+/**
+ * Check if a filter or constraint that nobody owns was left behind by a user,
+ * see `isAbandoned`. Only resources created less than `GARBAGE_GRACE_HOURS`
+ * ago, e.g. by an anonymous request building a new filter, can be used by
+ * anyone, so the resources of users that unsubscribed are not exposed.
+ *
+ * @param {string} uri - The URI of the filter or constraint.
+ * @returns {Promise<boolean>} - True if the resource was left behind.
+ */
+async function isLeftBehind(uri) {
+    return await isAbandoned(uri, new Date(Date.now() - GARBAGE_GRACE_HOURS * 60 * 60 * 1000));
+}
+
+/**
+ * Check if the user making the request may access a filter or constraint. The
+ * resource needs to be reachable from one of the user's subscriptions, or not
+ * be part of any subscription yet and not be left behind, see `isLeftBehind`.
+ * Resources that are shared with other users can be read, but not changed.
+ *
+ * @param {Request} req - The request, containing the user token.
+ * @param {Response} res - The response to send potential error messages to.
+ * @param {string} uri - The URI of the filter or constraint.
+ * @param {boolean} [mutating=false] - Whether the request changes the
+ * resource.
+ * @returns {Promise<boolean>} - True if the user may access the resource,
+ * false if they may not and an error message has been sent.
+ */
+export async function authorize(req, res, uri, mutating=false) {
+    const token = getToken(req);
+
+    if (token === undefined) {
+        error(res, 'Missing token.', 403);
+        return false;
+    }
+
+    const userUri = await findUserForToken(token);
+
+    if (!userUri) {
+        error(res, 'Invalid token.', 403);
+        return false;
+    }
+
+    const owners = await findOwners(uri);
+
+    if (owners.length > 0 && !owners.includes(userUri)) {
+        error(res, 'This resource belongs to another user.', 403);
+        return false;
+    }
+
+    if (owners.length === 0 && await isLeftBehind(uri)) {
+        error(res, 'This resource is not part of your subscriptions.', 403);
+        return false;
+    }
+
+    if (mutating && owners.some((owner) => owner !== userUri)) {
+        error(
+            res,
+            'This resource is shared with another user and can not be changed, create a new one instead.',
+            403
+        );
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check if the user making the request may refer to existing constraints and
+ * sub-filters from a new or updated filter. Resources that belong to another
+ * user can not be referred to, an anonymous request can only refer to
+ * resources that do not belong to anyone yet. Resources without an owner can
+ * not be referred to once they are left behind, see `isLeftBehind`.
+ *
+ * @param {Request} req - The request, optionally containing the user token.
+ * @param {Response} res - The response to send potential error messages to.
+ * @param {object[]} identifiers - The JSON:API resource identifiers of the
+ * constraints and sub-filters.
+ * @returns {Promise<boolean>} - True if the user may refer to all resources,
+ * false if they may not and an error message has been sent.
+ */
+export async function authorizeReferences(req, res, identifiers) {
+    const token = getToken(req);
+    const userUri = token !== undefined ? await findUserForToken(token) : undefined;
+
+    for (const identifier of identifiers) {
+        if (identifier.id === undefined) {
+            continue;
+        }
+
+        const uri = identifier.type === 'subscription-filters'
+            ? `http://lokaalbeslist.be/subscriptions/filters/${identifier.id}`
+            : `http://lokaalbeslist.be/subscriptions/constraints/${identifier.id}`;
+
+        const owners = await findOwners(uri);
+
+        if (owners.some((owner) => owner !== userUri)) {
+            error(res, `Can not refer to '${identifier.id}', it belongs to another user.`, 403);
+            return false;
+        }
+
+        if (owners.length === 0 && await isLeftBehind(uri)) {
+            error(res, `Can not refer to '${identifier.id}', it is not part of your subscriptions.`, 403);
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * The agent that changes made by admins are associated with.
+ */
+export const ADMIN_AGENT = 'http://lokaalbeslist.be/subscriptions/agents/admin';
+
+/**
+ * Check if a request contains `ADMIN_TOKEN` in the `Authorization: Bearer`
+ * header.
+ *
+ * @param {Request} req - The request.
+ * @returns {boolean} - True if the request contains the admin token.
+ */
+function hasAdminToken(req) {
+    if (!ADMIN_TOKEN) {
+        return false;
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+    const actual = Buffer.from(authorization);
+
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Check if a request was made by an admin, without sending an error message.
+ * Admins either send `ADMIN_TOKEN` in the `Authorization: Bearer` header or
+ * have a mu-session (the `mu-session-id` header) with `ADMIN_SESSION_ROLE`.
+ *
+ * @param {Request} req - The request.
+ * @returns {Promise<boolean>} - True if the request was made by an admin.
+ */
+export async function isAdmin(req) {
+    if (hasAdminToken(req)) {
+        return true;
+    }
+
+    const session = req.get('mu-session-id');
+
+    return !!ADMIN_SESSION_ROLE && !!session &&
+        await hasSessionRole(session, ADMIN_SESSION_ROLE);
+}
+
+/**
+ * Check if the request was made by an admin, see `isAdmin`.
+ *
+ * @param {Request} req - The request, containing the admin token or session.
+ * @param {Response} res - The response to send potential error messages to.
+ * @returns {Promise<boolean>} - True if the request was made by an admin,
+ * false if it was not and an error message has been sent.
+ */
+export async function authorizeAdmin(req, res) {
+    if (!ADMIN_TOKEN && !ADMIN_SESSION_ROLE) {
+        error(res, 'Admin routes are disabled.', 403);
+        return false;
+    }
+
+    if (!await isAdmin(req)) {
+        error(res, 'Invalid admin credentials.', 403);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Find who is making a request, to record who changed a resource.
+ *
+ * @param {Request} req - The request, optionally containing the admin token
+ * or session or a user token.
+ * @returns {Promise<(string|undefined)>} - `ADMIN_AGENT` for an admin, the URI
+ * of the user for a user token, undefined for an anonymous request.
+ */
+export async function findAgent(req) {
+    if (await isAdmin(req)) {
+        return ADMIN_AGENT;
+    }
+
+    const token = getToken(req);
+
+    return token !== undefined ? await findUserForToken(token) : undefined;
+}
@@ -0,0 +1,144 @@
+import * as sudo from '@lblod/mu-auth-sudo';
+import {
+    createConstraint,
+    createFilterTree,
+    findFilter,
+    findFiltersForToken
+} from '../queries';
+
+/**
+ * Counts the SPARQL queries needed to load the filter trees of a user from the
+ * in-memory store the tests use. Run with `npm run benchmark`.
+ */
+
+const FILTERS = 10;
+const TOKEN = 'benchmark-token';
+
+let constraintCount = 0;
+
+/**
+ * Store a number of constraints.
+ *
+ * @param {number} amount - The amount of title constraints.
+ * @param {boolean} [withEntity=false] - Whether to add a governing body
+ * constraint as well.
+ * @returns {Promise<object[]>} - The constraints, with their id.
+ */
+async function storeConstraints(amount, withEntity=false) {
+    const constraints = [];
+
+    for (let i = 0; i < amount + (withEntity ? 1 : 0); i++) {
+        const id = `c${constraintCount++}`;
+        const uri = `http://lokaalbeslist.be/subscriptions/constraints/${id}`;
+
+        if (i < amount) {
+            await createConstraint(uri, 'title', 'textContains', `word ${id}`);
+        } else {
+            await createConstraint(
+                uri,
+                'governingBody',
+                'entityIs',
+                'http://data.lblod.info/id/bestuursorganen/gemeenteraad'
+            );
+        }
+
+        constraints.push({ 'id': id });
+    }
+
+    return constraints;
+}
+
+/**
+ * Store a filter tree three levels deep: a filter with four constraints and
+ * a sub-filter, which has two constraints and a sub-filter with one.
+ *
+ * @returns {Promise<string>} - The URI of the root filter.
+ */
+async function storeTree() {
+    const leaf = await createFilterTree({
+        'require-all': true,
+        'negate': true,
+        'constraints': await storeConstraints(1),
+        'sub-filters': [],
+    });
+    const middle = await createFilterTree({
+        'require-all': false,
+        'negate': false,
+        'constraints': await storeConstraints(2),
+        'sub-filters': [await findFilter(`http://lokaalbeslist.be/subscriptions/filters/${leaf.id}`)],
+    });
+    const root = await createFilterTree({
+        'require-all': true,
+        'negate': false,
+        'constraints': await storeConstraints(3, true),
+        'sub-filters': [await findFilter(`http://lokaalbeslist.be/subscriptions/filters/${middle.id}`)],
+    });
+
+    return `http://lokaalbeslist.be/subscriptions/filters/${root.id}`;
+}
+
+/**
+ * Run an operation and count the queries it sends.
+ *
+ * @param {string} name - The name of the operation in the report.
+ * @param {function(): Promise} operation - The operation.
+ * @returns {Promise<string>} - The line of the report.
+ */
+async function measure(name, operation) {
+    const spy = jest.spyOn(sudo, 'querySudo');
+    const start = process.hrtime.bigint();
+
+    await operation();
+
+    const milliseconds = Number(process.hrtime.bigint() - start) / 1e6;
+    const queries = spy.mock.calls.length;
+
+    spy.mockRestore();
+
+    return `${name.padEnd(40)} ${String(queries).padStart(5)} queries ${milliseconds.toFixed(0).padStart(6)} ms`;
+}
+
+test('filter loading', async () => {
+    sudo.resetStore();
+
+    await sudo.updateSudo(`
+        PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+        PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/public> {
+            <http://data.lblod.info/id/bestuursorganen/gemeenteraad> a besluit:Bestuursorgaan;
+                skos:prefLabel "Gemeenteraad".
+          }
+        }
+    `);
+
+    const roots = [];
+
+    for (let i = 0; i < FILTERS; i++) {
+        roots.push(await storeTree());
+    }
+
+    await sudo.updateSudo(`
+        PREFIX schema: <http://schema.org/>
+        PREFIX account: <http://mu.semte.ch/vocabularies/account/>
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <http://lokaalbeslist.be/subscriptions/users/benchmark> a schema:Person;
+                account:password "${TOKEN}";
+                ${roots.map((root) => `ext:hasSubscription <${root}>`).join(';\n')}.
+          }
+        }
+    `);
+
+    const report = [
+        await measure('findFilter (1 tree)', () => findFilter(roots[0])),
+        await measure(`findFiltersForToken (${FILTERS} trees)`, () => findFiltersForToken(TOKEN)),
+    ];
+
+    process.stdout.write(`\n${report.join('\n')}\n\n`);
+
+    expect((await findFiltersForToken(TOKEN)).every((filter) => filter['sub-filters'].length === 1)).toBe(true);
+});
@@ -0,0 +1,8 @@
+const config = require('../jest.config');
+
+module.exports = {
+    ...config,
+    'rootDir': '..',
+    'roots': ['<rootDir>/benchmark'],
+    'testRegex': '\\.bench\\.js$',
+};
@@ -0,0 +1,119 @@
+import { findUpcomingSessions } from './matching';
+import { isActiveSubscription } from './helpers';
+import { CALENDAR_MAX_SESSIONS } from './config';
+
+/**
+ * @typedef {import('./queries').SubscriptionFilter} SubscriptionFilter
+ * @typedef {import('./matching').Session} Session
+ */
+
+/**
+ * The media type of the calendars.
+ */
+export const CALENDAR_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+/**
+ * Escape a TEXT value (RFC 5545, section 3.3.11).
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeText(text) {
+    return text.replaceAll('\\', '\\\\')
+        .replaceAll(';', '\\;')
+        .replaceAll(',', '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format a moment as a UTC DATE-TIME value, e.g. `20210913T190000Z`.
+ *
+ * @param {(string|Date)} date - The moment to format.
+ * @returns {string} - The formatted moment.
+ */
+function formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets (RFC 5545, section
+ * 3.1), continuation lines start with a space.
+ *
+ * @param {string} line - The content line.
+ * @returns {string} - The folded line, without the final line break.
+ */
+function foldLine(line) {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+
+    for (const character of line) {
+        const size = Buffer.byteLength(character);
+
+        if (octets + size > 75) {
+            lines.push(current);
+            current = ' ';
+            octets = 1;
+        }
+
+        current += character;
+        octets += size;
+    }
+
+    lines.push(current);
+
+    return lines.join('\r\n');
+}
+
+/**
+ * Describe a session as a VEVENT.
+ *
+ * @param {Session} session - The session.
+ * @param {Date} now - The moment the calendar is created.
+ * @returns {string[]} - The content lines of the event.
+ */
+function eventLines(session, now) {
+    const titles = session.items.map((item) => `- ${item.title || item.uri}`);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${session.uri}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `DTSTART:${formatDateTime(session.start)}`,
+        ...(session.end ? [`DTEND:${formatDateTime(session.end)}`] : []),
+        `SUMMARY:${escapeText(session.governingBody || 'Zitting')}`,
+        ...(session.location ? [`LOCATION:${escapeText(session.location)}`] : []),
+        `DESCRIPTION:${escapeText(titles.join('\n'))}`,
+        `URL:${session.uri}`,
+        'END:VEVENT',
+    ];
+}
+
+/**
+ * Create an iCalendar (RFC 5545) calendar with the upcoming sessions that
+ * have agenda items matching a filter. Paused and expired subscriptions have
+ * an empty calendar, like they get no digests.
+ *
+ * @param {SubscriptionFilter} filter - The filter.
+ * @param {Date} [now] - The moment the calendar is requested.
+ * @returns {Promise<string>} - The calendar.
+ */
+export async function createCalendar(filter, now=new Date()) {
+    const sessions = isActiveSubscription(filter, now)
+        ? await findUpcomingSessions(filter, CALENDAR_MAX_SESSIONS, now)
+        : [];
+    const name = filter.name ? `LokaalBeslist: ${filter.name}` : 'LokaalBeslist';
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//LokaalBeslist//Subscriptions//NL',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...sessions.flatMap((session) => eventLines(session, now)),
+        'END:VCALENDAR',
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
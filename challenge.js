@@ -0,0 +1,79 @@
+import { CHALLENGE_VERIFY_URL, CHALLENGE_SECRET } from './config';
+
+/**
+ * @typedef {import('express').Request} Request
+ */
+
+/**
+ * @callback ChallengeVerifier
+ * @param {(string|undefined)} response - The response to the challenge sent
+ * by the client, undefined if none was sent.
+ * @param {Request} req - The request that is being challenged.
+ * @returns {Promise<boolean>} - True if the challenge was solved, false
+ * otherwise.
+ */
+
+/**
+ * Verify a challenge response with `CHALLENGE_VERIFY_URL`, using the
+ * `siteverify` protocol shared by hCaptcha, reCAPTCHA and Turnstile. Every
+ * request passes if `CHALLENGE_VERIFY_URL` is not set.
+ *
+ * @type {ChallengeVerifier}
+ */
+async function verifyWithService(response, req) {
+    if (!CHALLENGE_VERIFY_URL) {
+        return true;
+    }
+
+    if (!response) {
+        return false;
+    }
+
+    try {
+        const verification = await fetch(CHALLENGE_VERIFY_URL, {
+            'method': 'POST',
+            'headers': {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            'body': new URLSearchParams({
+                'secret': CHALLENGE_SECRET,
+                'response': response,
+                'remoteip': req.ip,
+            }),
+        });
+
+        return (await verification.json()).success === true;
+    } catch (err) {
+        console.error(`Could not verify challenge: ${err}`);
+        return false;
+    }
+}
+
+/**
+ * The verifier used for new sign-ups.
+ *
+ * @type {ChallengeVerifier}
+ */
+let verifier = verifyWithService;
+
+/**
+ * Replace the way challenges are verified, e.g. with a proof-of-work check or
+ * a stub during development.
+ *
+ * @param {ChallengeVerifier} challengeVerifier - The new verifier.
+ */
+export function setChallengeVerifier(challengeVerifier) {
+    verifier = challengeVerifier;
+}
+
+/**
+ * Check if the client solved the challenge for a request. The response to the
+ * challenge is sent in `meta.challenge` of the JSON:API document.
+ *
+ * @param {Request} req - The request to check.
+ * @returns {Promise<boolean>} - True if the challenge was solved, false
+ * otherwise.
+ */
+export async function verifyChallenge(req) {
+    return await verifier(req.body?.meta?.['challenge'], req);
+}
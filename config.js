@@ -0,0 +1,203 @@
+/**
+ * Configuration of the service, read from the environment variables of the
+ * container.
+ */
+
+/**
+ * The amount of hours a confirmation link for a new subscription stays valid.
+ */
+export const CONFIRMATION_EXPIRY_HOURS = parseInt(
+    process.env.CONFIRMATION_EXPIRY_HOURS || '48'
+);
+
+/**
+ * The amount of hours after which unconfirmed subscriptions are removed.
+ */
+export const UNCONFIRMED_PURGE_HOURS = parseInt(
+    process.env.UNCONFIRMED_PURGE_HOURS || '168'
+);
+
+/**
+ * The amount of minutes between two runs of the purge of unconfirmed
+ * subscriptions.
+ */
+export const PURGE_INTERVAL_MINUTES = parseInt(
+    process.env.PURGE_INTERVAL_MINUTES || '60'
+);
+
+/**
+ * The public URL this service can be reached on, used for links that point
+ * directly to the service (e.g. one-click unsubscribe).
+ */
+export const API_BASE_URL = process.env.API_BASE_URL || 'http://lokaalbeslist.be';
+
+/**
+ * The public URL of the frontend, used for the links in emails that point to
+ * the subscription pages.
+ */
+export const BASE_URL = process.env.BASE_URL || 'http://lokaalbeslist.be';
+
+/**
+ * The address emails are sent from.
+ */
+export const EMAIL_FROM = process.env.EMAIL_FROM || 'lokaalbeslist@semantic.works';
+
+/**
+ * The mail folder emails are written to, this should be the outbox of the
+ * service that delivers them.
+ */
+export const MAIL_FOLDER = process.env.MAIL_FOLDER || 'http://lokaalbeslist.be/id/mail-folders/2';
+
+/**
+ * The directory containing the email templates, one subdirectory per
+ * language.
+ */
+export const TEMPLATES_DIRECTORY = process.env.TEMPLATES_DIRECTORY || '/app/templates';
+
+/**
+ * The language of the emails for users that did not choose one.
+ */
+export const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'nl';
+
+/**
+ * The token that gives access to the admin and maintenance routes. These
+ * routes are disabled if neither this nor `ADMIN_SESSION_ROLE` is set.
+ */
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+/**
+ * The role (`ext:sessionRole`) a mu-session needs to get access to the admin
+ * and maintenance routes, sessions can not be used for this if it is not set.
+ */
+export const ADMIN_SESSION_ROLE = process.env.ADMIN_SESSION_ROLE;
+
+/**
+ * The amount of constraint subjects, predicates and keywords in the admin
+ * statistics.
+ */
+export const STATISTICS_TOP_SIZE = parseInt(
+    process.env.STATISTICS_TOP_SIZE || '10'
+);
+
+/**
+ * The amount of hours an unused filter or constraint is kept before the
+ * garbage collection removes it.
+ */
+export const GARBAGE_GRACE_HOURS = parseInt(
+    process.env.GARBAGE_GRACE_HOURS || '24'
+);
+
+/**
+ * The maximal amount of levels of filters in a filter tree, a filter without
+ * sub-filters is one level deep.
+ */
+export const MAX_FILTER_DEPTH = parseInt(
+    process.env.MAX_FILTER_DEPTH || '5'
+);
+
+/**
+ * The amount of minutes between two checks for digests that are due.
+ */
+export const DIGEST_INTERVAL_MINUTES = parseInt(
+    process.env.DIGEST_INTERVAL_MINUTES || '60'
+);
+
+/**
+ * The maximal amount of agenda items listed per filter in a digest.
+ */
+export const DIGEST_MAX_ITEMS = parseInt(
+    process.env.DIGEST_MAX_ITEMS || '50'
+);
+
+/**
+ * The length of the window in which sign-ups are counted for rate limiting,
+ * in minutes.
+ */
+export const SIGNUP_WINDOW_MINUTES = parseInt(
+    process.env.SIGNUP_WINDOW_MINUTES || '60'
+);
+
+/**
+ * The maximal amount of sign-ups from one IP address within the window.
+ */
+export const SIGNUP_LIMIT_PER_IP = parseInt(
+    process.env.SIGNUP_LIMIT_PER_IP || '10'
+);
+
+/**
+ * The maximal amount of sign-ups for one email address within the window.
+ */
+export const SIGNUP_LIMIT_PER_EMAIL = parseInt(
+    process.env.SIGNUP_LIMIT_PER_EMAIL || '3'
+);
+
+/**
+ * The maximal amount of filters a user can own, sub-filters included.
+ */
+export const MAX_FILTERS_PER_USER = parseInt(
+    process.env.MAX_FILTERS_PER_USER || '50'
+);
+
+/**
+ * The maximal amount of constraints a user can own.
+ */
+export const MAX_CONSTRAINTS_PER_USER = parseInt(
+    process.env.MAX_CONSTRAINTS_PER_USER || '200'
+);
+
+/**
+ * Whether the domain of a new email address needs to exist in DNS with an MX
+ * or address record.
+ */
+export const EMAIL_DOMAIN_LOOKUP = process.env.EMAIL_DOMAIN_LOOKUP === 'true';
+
+/**
+ * The URL of a captcha-like verification service (e.g. hCaptcha or Turnstile)
+ * sign-ups are checked with, sign-ups are not challenged if it is not set.
+ */
+export const CHALLENGE_VERIFY_URL = process.env.CHALLENGE_VERIFY_URL;
+
+/**
+ * The secret sent to `CHALLENGE_VERIFY_URL`.
+ */
+export const CHALLENGE_SECRET = process.env.CHALLENGE_SECRET || '';
+
+/**
+ * The proxies whose `X-Forwarded-For` header is trusted to find the IP address
+ * of the client, see the `trust proxy` setting of Express.
+ */
+export const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, uniquelocal';
+
+/**
+ * The maximal amount of agenda items in the feed of a filter.
+ */
+export const FEED_MAX_ITEMS = parseInt(
+    process.env.FEED_MAX_ITEMS || '50'
+);
+
+/**
+ * The amount of minutes the agenda items of a feed are cached before the
+ * triple store is queried again.
+ */
+export const FEED_CACHE_MINUTES = parseInt(
+    process.env.FEED_CACHE_MINUTES || '15'
+);
+
+/**
+ * The maximal amount of upcoming sessions in the calendar of a filter.
+ */
+export const CALENDAR_MAX_SESSIONS = parseInt(
+    process.env.CALENDAR_MAX_SESSIONS || '50'
+);
+
+/**
+ * The URL of the page of an agenda item in the frontend, `{id}` is replaced by
+ * the mu:uuid of the agenda item.
+ */
+export const AGENDA_ITEM_URL = process.env.AGENDA_ITEM_URL || `${BASE_URL}/agendapunten/{id}`;
+
+/**
+ * The IANA time zone of the preferred weekday and hour of digests, for users
+ * who did not choose one.
+ */
+export const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Europe/Brussels';
@@ -0,0 +1,333 @@
+import { updateSudo, querySudo } from '@lblod/mu-auth-sudo';
+import { uuid } from 'mu';
+import { findFilters } from './queries';
+import { findNewAgendaItems } from './matching';
+import { escapeSparqlString, listUnsubscribeHeaders } from './helpers';
+import { EMAIL_PREFIXES, emailQuads } from './email';
+import { renderEmail, formatDate } from './templates';
+import {
+    FREQUENCIES,
+    createSchedule,
+    periodBefore,
+    isDue,
+    weekdayUri,
+    weekdayFromUri
+} from './schedule';
+import { DIGEST_MAX_ITEMS, BASE_URL } from './config';
+
+/**
+ * @typedef {import('./queries').SubscriptionFilter} SubscriptionFilter
+ * @typedef {import('./matching').AgendaItem} AgendaItem
+ * @typedef {import('./schedule').Schedule} Schedule
+ */
+
+/**
+ * @typedef {object} DigestRecipient
+ * @property {string} uri - The URI of the user.
+ * @property {string} email - The email address of the user.
+ * @property {string} token - The token of the user.
+ * @property {Schedule} schedule - The schedule of the digest.
+ * @property {(string|undefined)} language - The preferred language of the
+ * user.
+ * @property {string[]} filters - The URIs of the filters the user is
+ * subscribed to with this schedule.
+ * @property {(Date|undefined)} lastSent - When the previous digest with this
+ * schedule was sent to the user, undefined if none was sent yet.
+ */
+
+/**
+ * @typedef {object} DigestSection
+ * @property {SubscriptionFilter} filter - The filter the section is about.
+ * @property {AgendaItem[]} items - The new agenda items for the filter.
+ * @property {number} count - The total amount of new agenda items for the
+ * filter, this can be more than the amount of items.
+ */
+
+/**
+ * Get the schedule from the bindings of a query selecting `?frequency`,
+ * `?weekday`, `?hour` and `?timeZone`.
+ *
+ * @param {object} binding - The bindings.
+ * @returns {Schedule} - The schedule.
+ */
+function bindingSchedule(binding) {
+    return createSchedule(
+        binding['frequency']['value'],
+        weekdayFromUri(binding['weekday']?.['value']),
+        binding['hour'] ? parseInt(binding['hour']['value']) : undefined,
+        binding['timeZone']?.['value']
+    );
+}
+
+/**
+ * Create a key identifying the digests of a user with a schedule.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @param {Schedule} schedule - The schedule.
+ * @returns {string} - The key.
+ */
+function digestKey(userUri, schedule) {
+    return [
+        userUri,
+        schedule.frequency,
+        schedule.weekday,
+        schedule.hour,
+        schedule.timeZone,
+    ].map((part) => part ?? '').join(' ');
+}
+
+/**
+ * Find all the users with a confirmed subscription, grouped by schedule.
+ * Subscriptions that are paused or no longer active are skipped.
+ *
+ * @param {Date} now - The moment the digests are sent.
+ * @returns {Promise<DigestRecipient[]>} - The recipients, one per user and
+ * schedule.
+ */
+async function findRecipients(now) {
+    const subscriptionsResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX schema: <http://schema.org/>
+        PREFIX account: <http://mu.semte.ch/vocabularies/account/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        SELECT DISTINCT ?user ?email ?token ?language ?filter ?frequency ?weekday ?hour ?timeZone WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user a schema:Person;
+                  schema:email ?email;
+                  account:password ?token;
+                  ext:hasSubscription ?filter.
+            ?filter ext:subscriptionFrequency ?frequency.
+            OPTIONAL {
+              ?user schema:knowsLanguage ?language.
+            }
+            OPTIONAL {
+              ?filter schema:dayOfWeek ?weekday.
+            }
+            OPTIONAL {
+              ?filter ext:preferredHour ?hour.
+            }
+            OPTIONAL {
+              ?filter ext:timeZone ?timeZone.
+            }
+            FILTER NOT EXISTS {
+              ?filter ext:paused true.
+            }
+            FILTER NOT EXISTS {
+              ?filter ext:activeUntil ?activeUntil.
+              FILTER(?activeUntil < "${now.toISOString()}"^^xsd:dateTime)
+            }
+          }
+        }
+    `);
+
+    const lastSentResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX schema: <http://schema.org/>
+
+        SELECT ?user ?frequency ?weekday ?hour ?timeZone (MAX(?created) as ?lastSent) WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?digest a ext:Digest;
+                    ext:digestRecipient ?user;
+                    ext:digestFrequency ?frequency;
+                    terms:created ?created.
+            OPTIONAL {
+              ?digest schema:dayOfWeek ?weekday.
+            }
+            OPTIONAL {
+              ?digest ext:preferredHour ?hour.
+            }
+            OPTIONAL {
+              ?digest ext:timeZone ?timeZone.
+            }
+          }
+        }
+        GROUP BY ?user ?frequency ?weekday ?hour ?timeZone
+    `);
+
+    const lastSent = new Map(lastSentResult.results.bindings.map((binding) => [
+        digestKey(binding['user']['value'], bindingSchedule(binding)),
+        new Date(binding['lastSent']['value']),
+    ]));
+
+    const recipients = new Map();
+
+    for (const binding of subscriptionsResult.results.bindings) {
+        const schedule = bindingSchedule(binding);
+        const key = digestKey(binding['user']['value'], schedule);
+
+        if (!recipients.has(key)) {
+            recipients.set(key, {
+                'uri': binding['user']['value'],
+                'email': binding['email']['value'],
+                'token': binding['token']['value'],
+                'schedule': schedule,
+                'language': binding['language']?.['value'],
+                'filters': [],
+                'lastSent': lastSent.get(key),
+            });
+        }
+
+        recipients.get(key).filters.push(binding['filter']['value']);
+    }
+
+    return [...recipients.values()];
+}
+
+/**
+ * Render the email of a digest.
+ *
+ * @param {DigestRecipient} recipient - The user and schedule the digest is
+ * sent for.
+ * @param {DigestSection[]} sections - The new agenda items, by filter.
+ * @returns {import('./templates').RenderedEmail} - The rendered email.
+ */
+function renderDigest(recipient, sections) {
+    return renderEmail('digest', recipient.language, {
+        [recipient.schedule.frequency]: true,
+        'sections': sections.map((section, index) => ({
+            'number': index + 1,
+            'items': section.items.map((item) => ({
+                'url': item.uri,
+                'title': item.title || item.uri,
+                'date': item.sessionDate
+                    ? formatDate(item.sessionDate, recipient.language)
+                    : '',
+            })),
+            'more': Math.max(section.count - section.items.length, 0),
+        })),
+        'preferencesUrl': `${BASE_URL}/subscriptions?token=${recipient.token}`,
+    });
+}
+
+/**
+ * Compose and store the digest for a single recipient. The email is only
+ * written to the outbox if there are new agenda items, but the digest is
+ * always recorded so the next one covers the period after it. Empty immediate
+ * digests are not recorded, they would be recorded at every check.
+ *
+ * @param {DigestRecipient} recipient - The user and schedule to send the
+ * digest for.
+ * @param {Date} now - The end of the period the digest is about.
+ * @returns {Promise<number>} - The amount of agenda items in the digest.
+ */
+async function sendDigest(recipient, now) {
+    const { schedule } = recipient;
+    const since = recipient.lastSent || periodBefore(schedule.frequency, now);
+    const sections = [];
+
+    const filters = await findFilters(recipient.filters);
+
+    for (const filter of filters) {
+        if (!filter) {
+            continue;
+        }
+
+        const { items, count } = await findNewAgendaItems(
+            filter,
+            recipient.uri,
+            since,
+            DIGEST_MAX_ITEMS,
+            now
+        );
+
+        if (items.length > 0) {
+            sections.push({ filter, items, count });
+        }
+    }
+
+    const itemUris = [...new Set(sections.flatMap(
+        (section) => section.items.map((item) => item.uri)
+    ))];
+
+    if (itemUris.length === 0 && schedule.frequency === 'immediate') {
+        return 0;
+    }
+
+    const emailUri = `http://lokaalbeslist.be/id/emails/${uuid()}`;
+
+    const email = itemUris.length === 0 ? '' : emailQuads(
+        emailUri,
+        recipient.email,
+        renderDigest(recipient, sections),
+        listUnsubscribeHeaders(recipient.token)
+    );
+
+    await updateSudo(`
+        ${EMAIL_PREFIXES}
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+        PREFIX schema: <http://schema.org/>
+
+        INSERT DATA {
+          ${email}
+
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <http://lokaalbeslist.be/subscriptions/digests/${uuid()}> a ext:Digest;
+                ext:digestRecipient <${escapeSparqlString(recipient.uri)}>;
+                ext:digestFrequency "${escapeSparqlString(schedule.frequency)}";
+                ${schedule.weekday !== undefined ? `schema:dayOfWeek <${weekdayUri(schedule.weekday)}>;` : ''}
+                ${schedule.hour !== undefined ? `ext:preferredHour ${schedule.hour};` : ''}
+                ${schedule.timeZone !== undefined ? `ext:timeZone "${escapeSparqlString(schedule.timeZone)}";` : ''}
+                ${itemUris.length > 0 ? `ext:digestEmail <${emailUri}>;` : ''}
+                ${itemUris.map((uri) => `ext:includesItem <${escapeSparqlString(uri)}>;`).join('\n')}
+                terms:created "${now.toISOString()}"^^xsd:dateTime.
+          }
+        }
+    `);
+
+    return itemUris.length;
+}
+
+/**
+ * Send the digests that are due: a user gets a digest for a schedule if the
+ * previous one with that schedule was sent long enough ago (see `isDue`), or
+ * if they never received one.
+ *
+ * @param {Date} [now] - The moment the digests are sent.
+ * @param {string} [frequency] - Only send the digests of this frequency, also
+ * if they are not due yet.
+ * @returns {Promise<{digests: number, items: number}>} - The amount of
+ * digests that were sent and the total amount of agenda items in them.
+ */
+export async function sendDigests(now=new Date(), frequency) {
+    const recipients = (await findRecipients(now)).filter((recipient) => {
+        if (!isDigestFrequency(recipient.schedule.frequency)) {
+            return false;
+        }
+
+        if (frequency !== undefined) {
+            return recipient.schedule.frequency === frequency;
+        }
+
+        return isDue(recipient.schedule, recipient.lastSent, now);
+    });
+
+    let sent = {
+        'digests': 0,
+        'items': 0,
+    };
+
+    for (const recipient of recipients) {
+        const items = await sendDigest(recipient, now);
+
+        if (items > 0) {
+            sent['digests'] += 1;
+            sent['items'] += items;
+        }
+    }
+
+    return sent;
+}
+
+/**
+ * Check if a frequency is one digests can be sent for.
+ *
+ * @param {string} frequency - The frequency to check.
+ * @returns {boolean} - True if the frequency is valid, false otherwise.
+ */
+export function isDigestFrequency(frequency) {
+    return FREQUENCIES.includes(frequency);
+}
@@ -0,0 +1,77 @@
+import { updateSudo } from '@lblod/mu-auth-sudo';
+import { uuid } from 'mu';
+import { escapeSparqlString } from './helpers';
+import { renderEmail } from './templates';
+import { EMAIL_FROM, MAIL_FOLDER } from './config';
+
+/**
+ * @typedef {import('./templates').RenderedEmail} RenderedEmail
+ */
+
+/**
+ * The prefixes used in the triples of emails.
+ */
+export const EMAIL_PREFIXES = `
+    PREFIX nmo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nmo#>
+    PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
+    PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
+`;
+
+/**
+ * Create the quads of an email in the outbox, to be used in a SPARQL update
+ * with `EMAIL_PREFIXES`.
+ *
+ * @param {string} emailUri - The URI of the email.
+ * @param {string} to - The email address to send the email to.
+ * @param {RenderedEmail} email - The contents of the email.
+ * @param {object} [headers] - Extra headers of the email, by name.
+ * @returns {string} - The quads, including their graph.
+ */
+export function emailQuads(emailUri, to, email, headers={}) {
+    const headerTriples = Object.entries(headers).map(([name, value]) => {
+        const headerUri = `http://lokaalbeslist.be/id/email-headers/${uuid()}`;
+
+        return `
+            <${emailUri}> nmo:messageHeader <${headerUri}>.
+            <${headerUri}> a nmo:MessageHeader;
+                nmo:headerName "${escapeSparqlString(name)}";
+                nmo:headerValue "${escapeSparqlString(value)}".
+        `;
+    }).join('\n');
+
+    return `
+        GRAPH <http://lokaalbeslist.be/graphs/system/email> {
+            <${emailUri}> a nmo:Email;
+                nmo:messageFrom "${escapeSparqlString(EMAIL_FROM)}";
+                nmo:emailTo "${escapeSparqlString(to)}";
+                nmo:messageSubject "${escapeSparqlString(email.subject)}";
+                nmo:htmlMessageContent "${escapeSparqlString(email.html)}";
+                nmo:plainTextMessageContent "${escapeSparqlString(email.text)}";
+                nmo:sentDate "";
+                nmo:isPartOf <${escapeSparqlString(MAIL_FOLDER)}>.
+            ${headerTriples}
+        }
+    `;
+}
+
+/**
+ * Render an email and write it to the outbox.
+ *
+ * @param {string} to - The email address to send the email to.
+ * @param {string} name - The name of the email template, see `renderEmail`.
+ * @param {(string|undefined)} language - The language of the email.
+ * @param {object} variables - The values to fill in the template, by name.
+ * @returns {Promise} - Resolves when the email has been written to the
+ * outbox, rejects when the template or the SPARQL query fails.
+ */
+export async function sendEmail(to, name, language, variables) {
+    const email = renderEmail(name, language, variables);
+
+    await updateSudo(`
+        ${EMAIL_PREFIXES}
+
+        INSERT DATA {
+          ${emailQuads(`http://lokaalbeslist.be/id/emails/${uuid()}`, to, email)}
+        }
+    `);
+}
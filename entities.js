@@ -0,0 +1,128 @@
+import { querySudo } from '@lblod/mu-auth-sudo';
+import { escapeSparqlString } from './helpers';
+
+/**
+ * @typedef {object} Entity
+ * @property {string} uri - The URI of the entity.
+ * @property {(string|undefined)} label - The label of the entity.
+ */
+
+const PREFIXES = `
+    PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+    PREFIX mandaat: <http://data.vlaanderen.be/ns/mandaat#>
+    PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+    PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+    PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+`;
+
+/**
+ * SPARQL pattern binding the label of `?entity` to `?label`. Mandatarissen
+ * have no label of their own, they are labelled with the name of the person
+ * they are a mandataris for.
+ */
+const LABEL_PATTERN = `
+    {
+      ?entity skos:prefLabel|rdfs:label ?label.
+    } UNION {
+      ?entity mandaat:isBestuurlijkeAliasVan ?person.
+      ?person persoon:gebruikteVoornaam ?firstName;
+              foaf:familyName ?familyName.
+      BIND(CONCAT(?firstName, " ", ?familyName) as ?label)
+    }
+`;
+
+/**
+ * The entities that can be looked up, by the frontend-subject of the
+ * constraints that refer to them. `name` is used in error messages.
+ */
+export const ENTITY_SUBJECTS = {
+    'governanceArea': { 'type': 'besluit:Bestuurseenheid', 'name': 'governance area' },
+    'governingBody': { 'type': 'besluit:Bestuursorgaan', 'name': 'governing body' },
+    'mandatary': { 'type': 'mandaat:Mandataris', 'name': 'mandatary' },
+};
+
+/**
+ * Search the entities for a subject by their label, for use in an
+ * autocomplete. The search is case insensitive and matches any part of the
+ * label.
+ *
+ * @param {string} subject - The subject the entities are for, one of the keys
+ * of `ENTITY_SUBJECTS`.
+ * @param {string} search - The text the label should contain.
+ * @param {number} limit - The maximal amount of entities to return.
+ * @param {number} offset - The amount of entities to skip.
+ * @returns {Promise<Entity[]>} - The entities, ordered by label.
+ */
+export async function searchEntities(subject, search, limit, offset) {
+    const result = await querySudo(`
+        ${PREFIXES}
+
+        SELECT ?entity (SAMPLE(?label) as ?entityLabel) WHERE {
+          ?entity a ${ENTITY_SUBJECTS[subject].type}.
+          ${LABEL_PATTERN}
+          FILTER(CONTAINS(LCASE(STR(?label)), LCASE("${escapeSparqlString(search)}")))
+        }
+        GROUP BY ?entity
+        ORDER BY LCASE(STR(?entityLabel)) ?entity
+        LIMIT ${limit}
+        OFFSET ${offset}
+    `);
+
+    return result.results.bindings.map((binding) => {
+        return {
+            'uri': binding['entity']['value'],
+            'label': binding['entityLabel']?.['value'],
+        };
+    });
+}
+
+/**
+ * Find the entities for a subject with the given URIs.
+ *
+ * @param {string} subject - The subject the entities are for, one of the keys
+ * of `ENTITY_SUBJECTS`.
+ * @param {string[]} uris - The URIs to look up.
+ * @returns {Promise<string[]>} - The URIs that refer to an entity of the right
+ * type.
+ */
+export async function findEntities(subject, uris) {
+    const result = await querySudo(`
+        ${PREFIXES}
+
+        SELECT DISTINCT ?entity WHERE {
+          VALUES ?entity {
+            ${uris.map((uri) => `<${escapeSparqlString(uri)}>`).join('\n')}
+          }
+          ?entity a ${ENTITY_SUBJECTS[subject].type}.
+        }
+    `);
+
+    return result.results.bindings.map((binding) => binding['entity']['value']);
+}
+
+/**
+ * Find the labels of entities.
+ *
+ * @param {string[]} uris - The URIs of the entities.
+ * @returns {Promise<Map<string, string>>} - The label of every entity that has
+ * one, by URI.
+ */
+export async function findLabels(uris) {
+    const result = await querySudo(`
+        ${PREFIXES}
+
+        SELECT ?entity (SAMPLE(?label) as ?entityLabel) WHERE {
+          VALUES ?entity {
+            ${uris.map((uri) => `<${escapeSparqlString(uri)}>`).join('\n')}
+          }
+          ${LABEL_PATTERN}
+        }
+        GROUP BY ?entity
+    `);
+
+    return new Map(result.results.bindings.map((binding) => [
+        binding['entity']['value'],
+        binding['entityLabel']['value'],
+    ]));
+}
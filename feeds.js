@@ -0,0 +1,321 @@
+import { updateSudo, querySudo } from '@lblod/mu-auth-sudo';
+import { uuid } from 'mu';
+import { createHash, timingSafeEqual } from 'crypto';
+import { findMatchingAgendaItems } from './matching';
+import { escapeSparqlString, escapeHtml, isActiveSubscription } from './helpers';
+import {
+    FEED_MAX_ITEMS,
+    FEED_CACHE_MINUTES,
+    AGENDA_ITEM_URL,
+    API_BASE_URL,
+    BASE_URL
+} from './config';
+
+/**
+ * @typedef {import('./queries').SubscriptionFilter} SubscriptionFilter
+ * @typedef {import('./matching').AgendaItem} AgendaItem
+ */
+
+/**
+ * @typedef {object} Feed
+ * @property {string} contentType - The media type of the feed.
+ * @property {string} body - The serialized feed.
+ * @property {string} etag - The strong entity tag of the body.
+ * @property {Date} lastModified - When the items in the feed last changed.
+ */
+
+/**
+ * The formats a feed can be requested in, by extension.
+ */
+export const FEED_FORMATS = {
+    'atom': 'application/atom+xml; charset=utf-8',
+    'rss': 'application/rss+xml; charset=utf-8',
+};
+
+/**
+ * The matching agenda items of requested feeds, by filter URI, so feed
+ * readers polling often do not query the triple store every time. The items
+ * are looked up again once they expire or the filter changed, `changed` is
+ * the moment (in whole seconds, like HTTP dates) they were last different from
+ * the previous lookup.
+ *
+ * @type {Map<string, {filter: string, items: AgendaItem[], fingerprint: string, changed: Date, expires: number}>}
+ */
+const itemCache = new Map();
+
+/**
+ * How long entries are kept in `itemCache` after they expired, so feed
+ * readers polling less often than every `FEED_CACHE_MINUTES` still see when
+ * the items last changed.
+ */
+const EXPIRED_ENTRY_HOURS = 24;
+
+/**
+ * Remove the entries from `itemCache` that expired more than
+ * `EXPIRED_ENTRY_HOURS` ago.
+ *
+ * @param {Date} now - The current moment.
+ */
+function sweepItemCache(now) {
+    const removeBefore = now.getTime() - EXPIRED_ENTRY_HOURS * 60 * 60 * 1000;
+
+    for (const [filterUri, entry] of itemCache) {
+        if (entry.expires < removeBefore) {
+            itemCache.delete(filterUri);
+        }
+    }
+}
+
+/**
+ * Forget the cached agenda items of a filter, e.g. when the filter is
+ * deleted.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ */
+export function forgetFeedItems(filterUri) {
+    itemCache.delete(filterUri);
+}
+
+/**
+ * Create a new feed secret for a filter, replacing the previous one.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @returns {Promise<string>} - The new secret.
+ */
+export async function createFeedSecret(filterUri) {
+    const secret = uuid();
+
+    await updateSudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        DELETE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> ext:feedSecret ?secret.
+          }
+        } INSERT {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> ext:feedSecret "${secret}".
+          }
+        } WHERE {
+          OPTIONAL {
+            GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+              <${escapeSparqlString(filterUri)}> ext:feedSecret ?secret.
+            }
+          }
+        }
+    `);
+
+    return secret;
+}
+
+/**
+ * Remove the feed secret of a filter, disabling its feed.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @returns {Promise} - Resolves when the secret has been removed.
+ */
+export async function deleteFeedSecret(filterUri) {
+    await updateSudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> ext:feedSecret ?secret.
+          }
+        }
+    `);
+
+    forgetFeedItems(filterUri);
+}
+
+/**
+ * Check the secret a feed is requested with.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @param {(string|undefined)} secret - The secret from the request.
+ * @returns {Promise<boolean>} - True if the filter has a feed and the secret
+ * is correct.
+ */
+export async function verifyFeedSecret(filterUri, secret) {
+    if (typeof secret !== 'string') {
+        return false;
+    }
+
+    const result = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        SELECT ?secret WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> ext:feedSecret ?secret.
+          }
+        }
+    `);
+
+    const expected = result.results.bindings[0]?.['secret']['value'];
+
+    if (expected === undefined) {
+        return false;
+    }
+
+    const actualBuffer = Buffer.from(secret);
+    const expectedBuffer = Buffer.from(expected);
+
+    return actualBuffer.length === expectedBuffer.length &&
+        timingSafeEqual(actualBuffer, expectedBuffer);
+}
+
+/**
+ * Create the URLs of the feeds of a filter, including its calendar.
+ *
+ * @param {string} filterId - The id of the filter.
+ * @param {string} secret - The feed secret of the filter.
+ * @returns {object} - The URL of every format, by extension.
+ */
+export function feedUrls(filterId, secret) {
+    return {
+        ...Object.fromEntries(Object.keys(FEED_FORMATS).map((format) => [
+            format,
+            `${API_BASE_URL}/subscription-filters/${filterId}/feed.${format}?secret=${secret}`,
+        ])),
+        'calendar': `${API_BASE_URL}/subscription-filters/${filterId}/calendar.ics?secret=${secret}`,
+    };
+}
+
+/**
+ * Find the most recent agenda items matching a filter, using the cache if
+ * they were looked up for the same filter less than `FEED_CACHE_MINUTES` ago.
+ * Paused and expired subscriptions have no items, like they get no digests.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @param {SubscriptionFilter} filter - The filter.
+ * @param {Date} now - The moment the feed is requested.
+ * @returns {Promise<{items: AgendaItem[], changed: Date}>} - The agenda
+ * items, most recent session first, and when they last changed.
+ */
+async function findFeedItems(filterUri, filter, now) {
+    sweepItemCache(now);
+
+    const cached = itemCache.get(filterUri);
+    const filterFingerprint = JSON.stringify(filter);
+
+    if (cached !== undefined &&
+        cached.filter === filterFingerprint &&
+        cached.expires > now.getTime()) {
+        return cached;
+    }
+
+    const items = isActiveSubscription(filter, now)
+        ? (await findMatchingAgendaItems(filter, 0, FEED_MAX_ITEMS, now)).items
+        : [];
+    const fingerprint = JSON.stringify(items);
+
+    const entry = {
+        'filter': filterFingerprint,
+        'items': items,
+        'fingerprint': fingerprint,
+        'changed': cached?.fingerprint === fingerprint
+            ? cached.changed
+            : new Date(Math.floor(now.getTime() / 1000) * 1000),
+        'expires': now.getTime() + FEED_CACHE_MINUTES * 60 * 1000,
+    };
+
+    itemCache.set(filterUri, entry);
+
+    return entry;
+}
+
+/**
+ * Create the URL of the page of an agenda item on LokaalBeslist.
+ *
+ * @param {AgendaItem} item - The agenda item.
+ * @returns {string} - The URL.
+ */
+function agendaItemUrl(item) {
+    return AGENDA_ITEM_URL.replace('{id}', encodeURIComponent(item.id));
+}
+
+/**
+ * Serialize agenda items as an Atom feed.
+ *
+ * @param {string} filterUri - The URI of the filter, used as id of the feed.
+ * @param {string} title - The title of the feed.
+ * @param {AgendaItem[]} items - The agenda items.
+ * @param {Date} updated - When the feed last changed.
+ * @returns {string} - The feed.
+ */
+function renderAtom(filterUri, title, items, updated) {
+    const entries = items.map((item) => `
+  <entry>
+    <id>${escapeHtml(item.uri)}</id>
+    <title>${escapeHtml(item.title || item.uri)}</title>
+    <link rel="alternate" href="${escapeHtml(agendaItemUrl(item))}"/>
+    <updated>${(item.sessionDate ? new Date(item.sessionDate) : updated).toISOString()}</updated>
+    ${item.description ? `<summary>${escapeHtml(item.description)}</summary>` : ''}
+  </entry>`);
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeHtml(filterUri)}</id>
+  <title>${escapeHtml(title)}</title>
+  <link rel="alternate" href="${escapeHtml(BASE_URL)}"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>LokaalBeslist</name></author>${entries.join('')}
+</feed>
+`;
+}
+
+/**
+ * Serialize agenda items as an RSS 2.0 feed.
+ *
+ * @param {string} title - The title of the feed.
+ * @param {AgendaItem[]} items - The agenda items.
+ * @param {Date} updated - When the feed last changed.
+ * @returns {string} - The feed.
+ */
+function renderRss(title, items, updated) {
+    const entries = items.map((item) => `
+    <item>
+      <guid isPermaLink="false">${escapeHtml(item.uri)}</guid>
+      <title>${escapeHtml(item.title || item.uri)}</title>
+      <link>${escapeHtml(agendaItemUrl(item))}</link>
+      ${item.sessionDate ? `<pubDate>${new Date(item.sessionDate).toUTCString()}</pubDate>` : ''}
+      ${item.description ? `<description>${escapeHtml(item.description)}</description>` : ''}
+    </item>`);
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(BASE_URL)}</link>
+    <description>${escapeHtml(title)}</description>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>${entries.join('')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Create the feed of a filter.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @param {SubscriptionFilter} filter - The filter.
+ * @param {string} format - The format of the feed, one of the keys of
+ * `FEED_FORMATS`.
+ * @param {Date} [now] - The moment the feed is requested.
+ * @returns {Promise<Feed>} - The feed.
+ */
+export async function createFeed(filterUri, filter, format, now=new Date()) {
+    const { items, changed } = await findFeedItems(filterUri, filter, now);
+    const title = filter.name ? `LokaalBeslist: ${filter.name}` : 'LokaalBeslist';
+
+    const body = format === 'atom'
+        ? renderAtom(filterUri, title, items, changed)
+        : renderRss(title, items, changed);
+
+    return {
+        'contentType': FEED_FORMATS[format],
+        'body': body,
+        'etag': `"${createHash('sha256').update(body).digest('base64url')}"`,
+        'lastModified': changed,
+    };
+}
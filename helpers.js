@@ -1,4 +1,6 @@
 import { querySudo } from '@lblod/mu-auth-sudo';
+import { promises as dns } from 'dns';
+import { API_BASE_URL, EMAIL_DOMAIN_LOOKUP } from './config';
 
 /**
  * @typedef {import('express').Request} Request
@@ -12,13 +14,51 @@ import { querySudo } from '@lblod/mu-auth-sudo';
  * @returns {string} - The escaped string.
  */
 export function escapeSparqlString(str) {
-    return str.replaceAll('\'', '\\\'')
+    return str.replaceAll('\\', '\\\\')
+        .replaceAll('\'', '\\\'')
         .replaceAll('"', '\\"')
-        .replaceAll('\\', '\\\\')
         .replaceAll('\n', '\\n')
         .replaceAll('\r', '\\r');
 }
 
+/**
+ * Escape special characters from a string for use in HTML content or
+ * attribute values.
+ *
+ * @param {string} str - The string to escape.
+ * @returns {string} - The escaped string.
+ */
+export function escapeHtml(str) {
+    return str.replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll('\'', '&#39;');
+}
+
+/**
+ * Parse an ISO 8601 date (`2021-09-01`) or date-time
+ * (`2021-09-01T18:00:00+02:00`) into a UTC xsd:dateTime string. Dates without
+ * a time are interpreted as midnight UTC.
+ *
+ * @param {string} str - The string to parse.
+ * @returns {(string|undefined)} - The normalized date-time or undefined if the
+ * string is not a valid date.
+ */
+export function parseDateTime(str) {
+    if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(`${str}`)) {
+        return undefined;
+    }
+
+    const date = new Date(str);
+
+    if (isNaN(date.getTime())) {
+        return undefined;
+    }
+
+    return date.toISOString();
+}
+
 /**
  * Verify a single constraint, checking if it has the right (JSON:API) type and
  * if a constraint with that ID exists.
@@ -67,18 +107,41 @@ export async function verifyFilter(filter) {
     ).then((res) => res.boolean);
 }
 
+/**
+ * Get the user token from a request, either from the `Authorization: Bearer`
+ * header or from the `token` query parameter.
+ *
+ * @param {Request} req - The request to get the token from.
+ * @returns {(string|undefined)} - The token or undefined if none was sent.
+ */
+export function getToken(req) {
+    const authorization = req.get('Authorization');
+
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.substring('Bearer '.length);
+    }
+
+    return req.query['token'];
+}
+
 /**
  * Send a JSON:API compliant error message.
  *
  * @param {Response} res - The response to send the message to.
  * @param {string} message - The error message itself.
  * @param {number} [statusCode=400] - The status code to use.
+ * @param {string} [pointer] - A JSON pointer to the part of the request
+ * document the error is about, e.g. `/data/attributes/hour`.
  */
-export function error(res, message, statusCode=400) {
+export function error(res, message, statusCode=400, pointer) {
     let errorObject = {
         'detail': message,
         'status': statusCode
     };
+
+    if (pointer !== undefined) {
+        errorObject['source'] = { 'pointer': pointer };
+    }
     res.status(statusCode).send(JSON.stringify({
         errors: [errorObject]
     }));
@@ -93,10 +156,14 @@ export function error(res, message, statusCode=400) {
  * @param {string} type - The expected type.
  * @param {string[]} [attributes] - The required attributes.
  * @param {string[]} [relationships] - The required relationships.
+ * @param {object} [validators] - Checks of the attributes, by attribute: a
+ * function getting the value (when it is sent) and all the attributes, that
+ * returns an error message if the value is invalid. The error points to the
+ * attribute.
  * @returns {boolean} - True if the request was valid, false if the request was
  * invalid and an error message has been sent.
  */
-export function validateRequest(req, res, type, attributes, relationships) {
+export function validateRequest(req, res, type, attributes, relationships, validators) {
     if (!req.body || !req.body.data) {
         error(res, 'No data was sent.');
         return false;
@@ -150,6 +217,177 @@ export function validateRequest(req, res, type, attributes, relationships) {
         }
     }
 
+    for (const [attribute, validate] of Object.entries(validators || {})) {
+        const value = filter.attributes?.[attribute];
+        const message = value === undefined
+            ? undefined
+            : validate(value, filter.attributes);
+
+        if (message !== undefined) {
+            error(res, message, 400, `/data/attributes/${attribute}`);
+            return false;
+        }
+    }
+
     return true;
 }
 
+/**
+ * Read the JSON:API pagination parameters (`page[number]` and `page[size]`)
+ * from a request. Page numbers are zero-based.
+ *
+ * @param {Request} req - The request to read the parameters from.
+ * @param {Response} res - The response to send potential error messages to.
+ * @param {number} [defaultSize=20] - The page size if none was requested.
+ * @param {number} [maxSize=100] - The largest page size that can be requested.
+ * @returns {({number: number, size: number}|undefined)} - The requested page,
+ * undefined if the parameters were invalid and an error message has been sent.
+ */
+export function parsePage(req, res, defaultSize=20, maxSize=100) {
+    const page = req.query.page || {};
+    const number = page.number === undefined ? 0 : Number(page.number);
+    const size = page.size === undefined ? defaultSize : Number(page.size);
+
+    if (!Number.isInteger(number) || number < 0) {
+        error(res, `Invalid page number: '${page.number}'.`);
+        return undefined;
+    }
+
+    if (!Number.isInteger(size) || size < 1 || size > maxSize) {
+        error(res, `Invalid page size: '${page.size}', should be between 1 and ${maxSize}.`);
+        return undefined;
+    }
+
+    return { number, size };
+}
+
+/**
+ * Create the JSON:API pagination links for a paginated resource. The other
+ * query parameters of the request, e.g. a search, are kept.
+ *
+ * @param {Request} req - The request for the current page.
+ * @param {{number: number, size: number}} page - The current page.
+ * @param {number} count - The total amount of resources.
+ * @returns {object} - The `first`, `last`, `prev` and `next` links, `prev` and
+ * `next` are omitted if there is no such page.
+ */
+export function pageLinks(req, page, count) {
+    const lastNumber = Math.max(Math.ceil(count / page.size) - 1, 0);
+    const query = Object.entries(req.query || {})
+        .filter(([name, value]) => name !== 'page' && typeof value === 'string')
+        .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}&`)
+        .join('');
+    const link = (number) =>
+        `${req.baseUrl}${req.path}?${query}page[number]=${number}&page[size]=${page.size}`;
+
+    let links = {
+        'first': link(0),
+        'last': link(lastNumber),
+    };
+
+    if (page.number > 0) {
+        links['prev'] = link(Math.min(page.number - 1, lastNumber));
+    }
+
+    if (page.number < lastNumber) {
+        links['next'] = link(page.number + 1);
+    }
+
+    return links;
+}
+
+/**
+ * Check if a subscription to a filter is active, i.e. not paused and not past
+ * its `active-until`.
+ *
+ * @param {import('./queries').SubscriptionFilter} filter - The filter.
+ * @param {Date} now - The moment to check.
+ * @returns {boolean} - True if notifications should be sent for the filter.
+ */
+export function isActiveSubscription(filter, now) {
+    return !filter.paused &&
+        (filter['active-until'] === undefined || new Date(filter['active-until']) >= now);
+}
+
+/**
+ * Create the RFC 8058 `List-Unsubscribe` and `List-Unsubscribe-Post` headers
+ * for an email sent to a user.
+ *
+ * @param {string} userToken - The token of the user the email is sent to.
+ * @param {string} [filterId] - The id of the filter the email is about, if
+ * omitted the link unsubscribes from all filters.
+ * @returns {object} - The headers, by name.
+ */
+export function listUnsubscribeHeaders(userToken, filterId) {
+    const query = new URLSearchParams({ 'token': userToken });
+
+    if (filterId) {
+        query.set('filter', filterId);
+    }
+
+    return {
+        'List-Unsubscribe': `<${API_BASE_URL}/subscriptions/unsubscribe?${query}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    };
+}
+
+/**
+ * Check if an email address is syntactically valid. Only the common form of
+ * addresses is accepted, without quoted local parts or IP address domains.
+ *
+ * @param {string} email - The email address to check.
+ * @returns {boolean} - True if the email address is valid, false otherwise.
+ */
+export function isValidEmail(email) {
+    if (typeof email !== 'string' || email.length > 254) {
+        return false;
+    }
+
+    const match = /^([A-Za-z0-9!#$%&'*+/=?^_`{|}~.-]{1,64})@((?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63})$/.exec(email);
+
+    if (!match) {
+        return false;
+    }
+
+    const localPart = match[1];
+
+    return !localPart.startsWith('.') &&
+        !localPart.endsWith('.') &&
+        !localPart.includes('..');
+}
+
+/**
+ * Check if the domain of an email address can receive email, i.e. it has an
+ * MX record or an address record. Only checked if `EMAIL_DOMAIN_LOOKUP` is
+ * enabled, addresses are accepted if the DNS lookup fails for another reason
+ * than the domain not existing.
+ *
+ * @param {string} email - The (syntactically valid) email address to check.
+ * @returns {Promise<boolean>} - True if the domain can receive email, false
+ * otherwise.
+ */
+export async function hasMailDomain(email) {
+    if (!EMAIL_DOMAIN_LOOKUP) {
+        return true;
+    }
+
+    const domain = email.substring(email.lastIndexOf('@') + 1);
+
+    for (const lookup of [dns.resolveMx, dns.resolve4, dns.resolve6]) {
+        try {
+            if ((await lookup(domain)).length > 0) {
+                return true;
+            }
+        } catch (err) {
+            if (err.code === 'ENOTFOUND') {
+                return false;
+            }
+
+            if (err.code !== 'ENODATA') {
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
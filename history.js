@@ -0,0 +1,372 @@
+import { updateSudo, querySudo } from '@lblod/mu-auth-sudo';
+import { uuid } from 'mu';
+import {
+    REQUIREMENT_PATH,
+    findFilter,
+    existsFilter,
+    findOwners,
+    resolveFilterDocument,
+    createConstraint,
+    createFilterTree,
+    updateFilter,
+    updateFrequency,
+    updateSubscriptionDetails
+} from './queries';
+import { toJsonApi, localDocument } from './portability';
+import { checkResourceLimits } from './limits';
+import { escapeSparqlString } from './helpers';
+
+/**
+ * The graph the history of the filters is kept in.
+ */
+const HISTORY_GRAPH = 'http://lokaalbeslist.be/graphs/subscription-history';
+
+/**
+ * @typedef {object} FilterChange
+ * @property {string} id - The id of the activity that made the change.
+ * @property {string} action - One of 'create', 'update', 'delete' or
+ * 'restore'.
+ * @property {string} time - The xsd:dateTime the change was made at.
+ * @property {(string|undefined)} agent - The URI of the user or admin that
+ * made the change, undefined if it was made anonymously.
+ * @property {(object|null)} previous-state - The filter tree before the
+ * change as a JSON:API document, null if the filter did not exist yet.
+ * @property {(object|null)} new-state - The filter tree after the change as a
+ * JSON:API document, null if the filter was deleted.
+ */
+
+/**
+ * @typedef {object} StateChange
+ * @property {string} filter - The URI of the changed filter.
+ * @property {(string|null)} previous - The serialized filter tree before the
+ * change, null if the filter did not exist yet.
+ * @property {(string|null)} next - The serialized filter tree after the
+ * change, null if the filter was deleted.
+ */
+
+/**
+ * Find the filters whose tree contains a filter or constraint, including the
+ * filter itself.
+ *
+ * @param {string} uri - The URI of the filter or constraint.
+ * @returns {Promise<string[]>} - The URIs of the filters.
+ */
+async function findAffectedFilters(uri) {
+    const result = await querySudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        SELECT DISTINCT ?filter WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?filter (${REQUIREMENT_PATH})* <${escapeSparqlString(uri)}>;
+                    a sh:NodeShape.
+          }
+        }
+    `);
+
+    return result.results.bindings.map((binding) => binding['filter']['value']);
+}
+
+/**
+ * Take a snapshot of a filter tree.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @returns {Promise<(string|null)>} - The filter tree as a serialized JSON:API
+ * document, null if the filter does not exist.
+ */
+async function snapshot(filterUri) {
+    const filter = await findFilter(filterUri);
+
+    return filter ? JSON.stringify(toJsonApi([filter])) : null;
+}
+
+/**
+ * Store a PROV-O activity for a change to one or more filter trees. Every
+ * state of a filter is a `prov:Entity` that is a `prov:specializationOf` the
+ * filter, the activity `prov:used` the previous states and `prov:generated`
+ * the new ones.
+ *
+ * @param {string} action - The kind of change.
+ * @param {(string|undefined)} agent - The URI of the agent that made the
+ * change.
+ * @param {StateChange[]} changes - The states of the changed filters.
+ * @returns {Promise} - Resolves when the activity has been stored.
+ */
+async function recordActivity(action, agent, changes) {
+    if (changes.length === 0) {
+        return;
+    }
+
+    const activityUri = `http://lokaalbeslist.be/subscriptions/activities/${uuid()}`;
+
+    const entity = (filterUri, state, link) => {
+        const entityUri = `http://lokaalbeslist.be/subscriptions/filter-states/${uuid()}`;
+
+        return `
+            <${activityUri}> ${link} <${entityUri}>.
+            <${entityUri}> a prov:Entity;
+                prov:specializationOf <${escapeSparqlString(filterUri)}>;
+                prov:value "${escapeSparqlString(state)}".
+        `;
+    };
+
+    const triples = changes.map((change) => [
+        change.previous !== null ? entity(change.filter, change.previous, 'prov:used') : '',
+        change.next !== null ? entity(change.filter, change.next, 'prov:generated') : '',
+    ].join('\n'));
+
+    await updateSudo(`
+        PREFIX prov: <http://www.w3.org/ns/prov#>
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        INSERT DATA {
+          GRAPH <${HISTORY_GRAPH}> {
+            <${activityUri}> a prov:Activity;
+                ext:filterAction "${escapeSparqlString(action)}";
+                prov:startedAtTime "${new Date().toISOString()}"^^xsd:dateTime
+                ${agent !== undefined ? `; prov:wasAssociatedWith <${escapeSparqlString(agent)}>` : ''}.
+            ${triples.join('\n')}
+          }
+        }
+    `);
+}
+
+/**
+ * Record the creation of a filter tree.
+ *
+ * @param {string} filterUri - The URI of the created filter.
+ * @param {(string|undefined)} agent - The URI of the agent that created it.
+ * @returns {Promise} - Resolves when the creation has been recorded.
+ */
+export async function recordCreation(filterUri, agent) {
+    await recordActivity('create', agent, [{
+        'filter': filterUri,
+        'previous': null,
+        'next': await snapshot(filterUri),
+    }]);
+}
+
+/**
+ * Run an operation on a filter or constraint and record how it changed the
+ * trees of the filter itself and of every filter containing it. Nothing is
+ * recorded if the operation fails.
+ *
+ * @param {string} uri - The URI of the filter or constraint that is changed.
+ * @param {string} action - The kind of change, 'update', 'delete' or
+ * 'restore'.
+ * @param {(string|undefined)} agent - The URI of the agent making the change.
+ * @param {function(): Promise<*>} operation - The change itself.
+ * @returns {Promise<*>} - Resolves to the result of the operation.
+ */
+export async function trackChanges(uri, action, agent, operation) {
+    const filters = await findAffectedFilters(uri);
+    const previous = await Promise.all(filters.map(snapshot));
+
+    const result = await operation();
+
+    const next = await Promise.all(filters.map(snapshot));
+
+    await recordActivity(action, agent, filters
+        .map((filter, index) => {
+            return { 'filter': filter, 'previous': previous[index], 'next': next[index] };
+        })
+        .filter((change) => change.previous !== change.next));
+
+    return result;
+}
+
+/**
+ * Find the changes made to a filter tree, oldest first.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @returns {Promise<FilterChange[]>} - The changes.
+ */
+export async function findHistory(filterUri) {
+    const result = await querySudo(`
+        PREFIX prov: <http://www.w3.org/ns/prov#>
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        SELECT DISTINCT ?activity ?action ?time ?agent ?previous ?next WHERE {
+          GRAPH <${HISTORY_GRAPH}> {
+            ?activity a prov:Activity;
+                ext:filterAction ?action;
+                prov:startedAtTime ?time.
+            ?state prov:specializationOf <${escapeSparqlString(filterUri)}>.
+            ?activity prov:used|prov:generated ?state.
+            OPTIONAL {
+              ?activity prov:wasAssociatedWith ?agent.
+            }
+            OPTIONAL {
+              ?activity prov:used ?previousState.
+              ?previousState prov:specializationOf <${escapeSparqlString(filterUri)}>;
+                             prov:value ?previous.
+            }
+            OPTIONAL {
+              ?activity prov:generated ?nextState.
+              ?nextState prov:specializationOf <${escapeSparqlString(filterUri)}>;
+                         prov:value ?next.
+            }
+          }
+        }
+        ORDER BY ?time
+    `);
+
+    return result.results.bindings.map((binding) => {
+        const activityParts = binding['activity']['value'].split('/');
+
+        return {
+            'id': activityParts[activityParts.length - 1],
+            'action': binding['action']['value'],
+            'time': binding['time']['value'],
+            'agent': binding['agent']?.['value'],
+            'previous-state': binding['previous'] ? JSON.parse(binding['previous']['value']) : null,
+            'new-state': binding['next'] ? JSON.parse(binding['next']['value']) : null,
+        };
+    });
+}
+
+/**
+ * Put a filter back in the state it was in before one of the changes in its
+ * history. The constraints and sub-filters of that state are recreated, so
+ * later changes to shared resources do not affect the restored filter.
+ *
+ * @param {string} filterUri - The URI of the filter, it needs to exist.
+ * @param {string} activityId - The id of the change to undo.
+ * @param {(string|undefined)} agent - The URI of the agent restoring the
+ * filter.
+ * @returns {Promise} - Resolves when the filter has been restored, rejects
+ * with an error message if the change is unknown, there is no earlier state
+ * to restore or its owner would have too many filters or constraints.
+ */
+export async function restoreFilter(filterUri, activityId, agent) {
+    const change = (await findHistory(filterUri)).find((change) => change.id === activityId);
+
+    if (change === undefined) {
+        throw `No such change: '${activityId}'.`;
+    }
+
+    if (change['previous-state'] === null) {
+        throw 'The filter did not exist before this change.';
+    }
+
+    const local = localDocument(change['previous-state']);
+    const root = local.data[0];
+    const filter = await resolveFilterDocument({
+        'data': root,
+        'included': local.included,
+    });
+    const filterUriParts = filterUri.split('/');
+
+    await checkResourceLimits((await findOwners(filterUri))[0], [{
+        ...filter,
+        'id': filterUriParts[filterUriParts.length - 1],
+    }], filterUri);
+
+    await trackChanges(filterUri, 'restore', agent, async () => {
+        const constraints = [];
+        const subFilters = [];
+
+        for (const constraint of filter.constraints) {
+            const id = uuid();
+
+            await createConstraint(
+                `http://lokaalbeslist.be/subscriptions/constraints/${id}`,
+                constraint.subject,
+                constraint.predicate,
+                constraint.object
+            );
+            constraints.push({ 'type': 'subscription-filter-constraints', 'id': id });
+        }
+
+        for (const subFilter of filter['sub-filters']) {
+            const stored = await createFilterTree(subFilter);
+
+            subFilters.push({ 'type': 'subscription-filters', 'id': stored.id });
+        }
+
+        await updateFilter(
+            filterUri,
+            filter['require-all'],
+            constraints,
+            subFilters,
+            filter['negate']
+        );
+        await updateFrequency(filterUri, root.attributes['frequency']);
+        await updateSubscriptionDetails(filterUri, {
+            'name': root.attributes['name'] ?? null,
+            'description': root.attributes['description'] ?? null,
+            'paused': root.attributes['paused'] ?? null,
+            'active-until': root.attributes['active-until'] ?? null,
+            'weekday': root.attributes['weekday'] ?? null,
+            'hour': root.attributes['hour'] ?? null,
+            'time-zone': root.attributes['time-zone'] ?? null,
+        });
+    });
+}
+
+/**
+ * Remove the history that refers to a user: their association with the
+ * changes they made and all the states of filters that no longer exist.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @param {string[]} filterUris - The URIs of the filters the user used.
+ * @returns {Promise} - Resolves when the history has been removed.
+ */
+export async function eraseHistory(userUri, filterUris) {
+    const deleted = [];
+
+    for (const filterUri of filterUris) {
+        if (!await existsFilter(filterUri)) {
+            deleted.push(filterUri);
+        }
+    }
+
+    await updateSudo(`
+        PREFIX prov: <http://www.w3.org/ns/prov#>
+
+        DELETE WHERE {
+          GRAPH <${HISTORY_GRAPH}> {
+            ?activity prov:wasAssociatedWith <${escapeSparqlString(userUri)}>.
+          }
+        }
+    `);
+
+    for (const filterUri of deleted) {
+        await updateSudo(`
+            PREFIX prov: <http://www.w3.org/ns/prov#>
+
+            DELETE {
+              GRAPH <${HISTORY_GRAPH}> {
+                ?activity ?link ?state.
+                ?state ?p ?o.
+              }
+            } WHERE {
+              GRAPH <${HISTORY_GRAPH}> {
+                ?state prov:specializationOf <${escapeSparqlString(filterUri)}>;
+                       ?p ?o.
+                ?activity ?link ?state.
+              }
+            }
+        `);
+    }
+
+    // Activities without any states left no longer say anything.
+    await updateSudo(`
+        PREFIX prov: <http://www.w3.org/ns/prov#>
+
+        DELETE {
+          GRAPH <${HISTORY_GRAPH}> {
+            ?activity ?p ?o.
+          }
+        } WHERE {
+          GRAPH <${HISTORY_GRAPH}> {
+            ?activity a prov:Activity;
+                      ?p ?o.
+            FILTER NOT EXISTS {
+              ?activity prov:used|prov:generated ?state.
+            }
+          }
+        }
+    `);
+}
@@ -0,0 +1,16 @@
+module.exports = {
+    'testEnvironment': 'node',
+    'roots': ['<rootDir>/test'],
+    'setupFiles': ['<rootDir>/test/support/env.js'],
+    // The mu-javascript-template provides `mu` and talks to a real triplestore,
+    // the tests use an Express app and an in-memory store instead.
+    'moduleNameMapper': {
+        '^mu$': '<rootDir>/test/support/mu.js',
+        '^@lblod/mu-auth-sudo$': '<rootDir>/test/support/mu-auth-sudo.js',
+    },
+    'transform': {
+        '\\.js$': ['babel-jest', {
+            'presets': [['@babel/preset-env', { 'targets': { 'node': 'current' } }]],
+        }],
+    },
+};
@@ -0,0 +1,210 @@
+import { querySudo } from '@lblod/mu-auth-sudo';
+import { REQUIREMENT_PATH } from './queries';
+import { escapeSparqlString } from './helpers';
+import {
+    SIGNUP_WINDOW_MINUTES,
+    SIGNUP_LIMIT_PER_IP,
+    SIGNUP_LIMIT_PER_EMAIL,
+    MAX_FILTERS_PER_USER,
+    MAX_CONSTRAINTS_PER_USER
+} from './config';
+
+/**
+ * @typedef {import('./queries').SubscriptionFilter} SubscriptionFilter
+ */
+
+/**
+ * @typedef {object} RateLimiter
+ * @property {function(string): number} hit - Count a hit for a key, returns
+ * 0 if the hit is allowed or the amount of seconds until the next hit for
+ * the key will be allowed otherwise. Hits that are not allowed are not
+ * counted.
+ */
+
+/**
+ * The amount of keys after which a rate limiter removes its expired windows.
+ */
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Create an in-memory rate limiter allowing at most `limit` hits per key in a
+ * fixed window.
+ *
+ * @param {number} limit - The maximal amount of hits per key and window.
+ * @param {number} windowMinutes - The length of a window in minutes.
+ * @returns {RateLimiter} - The rate limiter.
+ */
+export function createRateLimiter(limit, windowMinutes) {
+    const windows = new Map();
+    const windowLength = windowMinutes * 60 * 1000;
+
+    return {
+        'hit': (key) => {
+            const now = Date.now();
+
+            if (windows.size > PRUNE_THRESHOLD) {
+                for (const [windowKey, window] of windows) {
+                    if (window.end <= now) {
+                        windows.delete(windowKey);
+                    }
+                }
+            }
+
+            let window = windows.get(key);
+
+            if (window === undefined || window.end <= now) {
+                window = { 'end': now + windowLength, 'hits': 0 };
+                windows.set(key, window);
+            }
+
+            if (window.hits >= limit) {
+                return Math.ceil((window.end - now) / 1000);
+            }
+
+            window.hits += 1;
+            return 0;
+        },
+    };
+}
+
+/**
+ * The sign-ups per IP address.
+ */
+export const signupsPerIp = createRateLimiter(
+    SIGNUP_LIMIT_PER_IP,
+    SIGNUP_WINDOW_MINUTES
+);
+
+/**
+ * The sign-ups per email address.
+ */
+export const signupsPerEmail = createRateLimiter(
+    SIGNUP_LIMIT_PER_EMAIL,
+    SIGNUP_WINDOW_MINUTES
+);
+
+/**
+ * Find the filters and constraints a user owns, i.e. everything in the filter
+ * trees of their (pending) subscriptions.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @param {string} [replacedUri] - The URI of a filter whose requirements are
+ * being replaced, the resources that are only owned through it are skipped.
+ * @returns {Promise<{filters: Set<string>, constraints: Set<string>}>} - The
+ * URIs of the filters and constraints.
+ */
+async function findOwnedResources(userUri, replacedUri) {
+    const queryResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        SELECT DISTINCT ?root ?parent ?member ?isFilter WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> ext:hasSubscription|ext:hasPendingSubscription ?root.
+            OPTIONAL {
+              ?root (${REQUIREMENT_PATH})* ?parent.
+              ?parent ${REQUIREMENT_PATH} ?member.
+              BIND(EXISTS { ?member a sh:NodeShape } as ?isFilter)
+            }
+          }
+        }
+    `);
+
+    const roots = new Set();
+    const members = new Map();
+    const isFilter = new Map();
+
+    for (const binding of queryResult.results.bindings) {
+        roots.add(binding['root']['value']);
+
+        if (binding['member'] === undefined) {
+            continue;
+        }
+
+        const parent = binding['parent']['value'];
+        const member = binding['member']['value'];
+
+        members.set(parent, new Set([...(members.get(parent) || []), member]));
+        isFilter.set(member, ['true', '1'].includes(binding['isFilter']['value']));
+    }
+
+    const resources = {
+        'filters': new Set(),
+        'constraints': new Set(),
+    };
+
+    const visit = (uri, filter) => {
+        const collection = filter ? resources.filters : resources.constraints;
+
+        if (collection.has(uri)) {
+            return;
+        }
+
+        collection.add(uri);
+
+        if (uri === replacedUri) {
+            return;
+        }
+
+        for (const member of members.get(uri) || []) {
+            visit(member, isFilter.get(member));
+        }
+    };
+
+    roots.forEach((root) => visit(root, true));
+
+    return resources;
+}
+
+/**
+ * Add the filters and constraints in a filter tree to a collection of
+ * resources. Stored resources are identified by their URI, new ones by their
+ * `lid`.
+ *
+ * @param {SubscriptionFilter} filter - The root of the filter tree.
+ * @param {{filters: Set<string>, constraints: Set<string>}} resources - The
+ * collection to add the resources to.
+ */
+function addTreeResources(filter, resources) {
+    resources.filters.add(filter.id !== undefined
+        ? `http://lokaalbeslist.be/subscriptions/filters/${filter.id}`
+        : `lid:${filter.lid}`);
+
+    for (const constraint of filter.constraints) {
+        resources.constraints.add(constraint.id !== undefined
+            ? `http://lokaalbeslist.be/subscriptions/constraints/${constraint.id}`
+            : `lid:${constraint.lid}`);
+    }
+
+    filter['sub-filters'].forEach((subFilter) => addTreeResources(subFilter, resources));
+}
+
+/**
+ * Check that a user does not own more than `MAX_FILTERS_PER_USER` filters and
+ * `MAX_CONSTRAINTS_PER_USER` constraints after adding some filter trees.
+ *
+ * @param {(string|undefined)} userUri - The URI of the user, undefined for a
+ * user that does not exist yet or a filter that is not owned by anyone.
+ * @param {SubscriptionFilter[]} filters - The roots of the new filter trees.
+ * @param {string} [replacedUri] - The URI of a stored filter whose
+ * requirements are replaced by the first of the new trees, e.g. when it is
+ * updated or restored. Its current requirements are not counted.
+ * @returns {Promise} - Resolves if the user stays within the limits, rejects
+ * with an error message otherwise.
+ */
+export async function checkResourceLimits(userUri, filters, replacedUri) {
+    const resources = userUri !== undefined
+        ? await findOwnedResources(userUri, replacedUri)
+        : { 'filters': new Set(), 'constraints': new Set() };
+
+    filters.forEach((filter) => addTreeResources(filter, resources));
+
+    if (resources.filters.size > MAX_FILTERS_PER_USER) {
+        throw `A user can not have more than ${MAX_FILTERS_PER_USER} filters.`;
+    }
+
+    if (resources.constraints.size > MAX_CONSTRAINTS_PER_USER) {
+        throw `A user can not have more than ${MAX_CONSTRAINTS_PER_USER} constraints.`;
+    }
+}
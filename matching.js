@@ -0,0 +1,349 @@
+import { querySudo } from '@lblod/mu-auth-sudo';
+import { subjectPath, constraintPath, describePredicateObject } from './queries';
+import { escapeSparqlString } from './helpers';
+
+/**
+ * @typedef {import('./queries').SubscriptionFilter} SubscriptionFilter
+ * @typedef {import('./queries').SubscriptionFilterConstraint} SubscriptionFilterConstraint
+ */
+
+/**
+ * @typedef {object} AgendaItem
+ * @property {string} id - The mu:uuid of the agenda item, or its URI if it
+ * has none.
+ * @property {string} uri - The URI of the agenda item.
+ * @property {(string|undefined)} title - The title of the agenda item.
+ * @property {(string|undefined)} description - The description of the agenda
+ * item.
+ * @property {(string|undefined)} sessionDate - The start of the session the
+ * agenda item is handled in.
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {string} id - The mu:uuid of the session, or its URI if it has
+ * none.
+ * @property {string} uri - The URI of the besluit:Zitting.
+ * @property {string} start - The xsd:dateTime the session starts at.
+ * @property {(string|undefined)} end - The xsd:dateTime the session ends at.
+ * @property {(string|undefined)} location - Where the session takes place.
+ * @property {(string|undefined)} governingBody - The label of the
+ * bestuursorgaan holding the session.
+ * @property {AgendaItem[]} items - The agenda items of the session that match
+ * the filter, without session date.
+ */
+
+const PREFIXES = `
+    PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+    PREFIX prov: <http://www.w3.org/ns/prov#>
+    PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+    PREFIX terms: <http://purl.org/dc/terms/>
+    PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+    PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+    PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+`;
+
+/**
+ * Resolve a relative duration literal (as produced by
+ * `describePredicateObject`) to an xsd:dateTime literal.
+ *
+ * @param {string} term - The xsd:dayTimeDuration literal, e.g.
+ * `"-P7D"^^xsd:dayTimeDuration`.
+ * @param {Date} now - The moment the duration is relative to.
+ * @returns {string} - The xsd:dateTime literal.
+ */
+function resolveRelativeDate(term, now) {
+    const [, sign, days] = term.match(/^"(-?)P(\d+)D"/);
+    const date = new Date(now.getTime() + (sign ? -1 : 1) * days * 24 * 60 * 60 * 1000);
+
+    return `"${date.toISOString()}"^^xsd:dateTime`;
+}
+
+/**
+ * Create a SPARQL expression that is true when an agenda item matches a
+ * constraint. A constraint matches when at least one of the values on its path
+ * satisfies it (all of its `sh:pattern`s), `sh:minCount` and `sh:maxCount`
+ * only look at the amount of values.
+ *
+ * @param {SubscriptionFilterConstraint} constraint - The constraint to
+ * translate.
+ * @param {string} item - The variable holding the agenda item.
+ * @param {Date} now - The moment relative dates are resolved against.
+ * @returns {string} - The SPARQL expression.
+ */
+function constraintExpression(constraint, item, now) {
+    const path = constraintPath(constraint.subject, constraint.predicate).join('/');
+    const description = describePredicateObject(
+        constraint.predicate,
+        constraint.object,
+        constraint.values
+    );
+
+    const properties = Object.fromEntries(description);
+    const valueConditions = [];
+
+    if (properties['sh:hasValue'] !== undefined) {
+        valueConditions.push(`?value = ${properties['sh:hasValue']}`);
+    }
+    if (properties['sh:in'] !== undefined) {
+        valueConditions.push(`?value IN (${constraint.values.map((value) => `<${escapeSparqlString(value)}>`).join(', ')})`);
+    }
+    for (const [property, pattern] of description) {
+        if (property === 'sh:pattern') {
+            valueConditions.push(
+                `REGEX(STR(?value), ${pattern}, ${properties['sh:flags'] || '""'})`
+            );
+        }
+    }
+    if (properties['sh:minInclusive'] !== undefined) {
+        valueConditions.push(`?value >= ${properties['sh:minInclusive']}`);
+    }
+    if (properties['sh:maxInclusive'] !== undefined) {
+        valueConditions.push(`?value <= ${properties['sh:maxInclusive']}`);
+    }
+    if (properties['ext:relativeMinInclusive'] !== undefined) {
+        valueConditions.push(
+            `?value >= ${resolveRelativeDate(properties['ext:relativeMinInclusive'], now)}`
+        );
+    }
+    if (properties['ext:relativeMaxInclusive'] !== undefined) {
+        valueConditions.push(
+            `?value <= ${resolveRelativeDate(properties['ext:relativeMaxInclusive'], now)}`
+        );
+    }
+
+    if (properties['sh:maxCount'] === '0') {
+        return `NOT EXISTS { ${item} ${path} ?value. }`;
+    }
+
+    const valueFilter = valueConditions.length > 0
+        ? `FILTER(${valueConditions.join(' && ')})`
+        : '';
+
+    return `EXISTS { ${item} ${path} ?value. ${valueFilter} }`;
+}
+
+/**
+ * Create a SPARQL expression that is true when an agenda item matches a
+ * filter, including all its constraints and sub-filters. A negated filter
+ * matches the agenda items that do not match its requirements.
+ *
+ * @param {SubscriptionFilter} filter - The filter to translate.
+ * @param {string} item - The variable holding the agenda item.
+ * @param {Date} now - The moment relative dates are resolved against.
+ * @returns {string} - The SPARQL expression.
+ */
+export function filterExpression(filter, item, now) {
+    const expressions = [
+        ...filter.constraints.map(
+            (constraint) => constraintExpression(constraint, item, now)
+        ),
+        ...filter['sub-filters'].map(
+            (subFilter) => filterExpression(subFilter, item, now)
+        ),
+    ];
+
+    const expression = `(${expressions.join(filter['require-all'] ? ' && ' : ' || ')})`;
+
+    return filter['negate'] ? `!${expression}` : expression;
+}
+
+/**
+ * Find the agenda items matching a SPARQL pattern.
+ *
+ * @param {string} matchPattern - The pattern binding the matching agenda items
+ * to `?agendapunt`.
+ * @param {number} limit - The maximal amount of agenda items to return.
+ * @param {number} offset - The amount of agenda items to skip.
+ * @returns {Promise<{items: AgendaItem[], count: number}>} - The agenda items,
+ * most recent session first, and the total amount of matching agenda items.
+ */
+async function queryAgendaItems(matchPattern, limit, offset) {
+    const countResult = await querySudo(`
+        ${PREFIXES}
+
+        SELECT (COUNT(DISTINCT ?agendapunt) as ?count) WHERE {
+            ${matchPattern}
+        }
+    `);
+
+    const itemsResult = await querySudo(`
+        ${PREFIXES}
+
+        SELECT
+            ?agendapunt
+            (SAMPLE(?uuid) as ?id)
+            (SAMPLE(?title) as ?agendapuntTitle)
+            (SAMPLE(?description) as ?agendapuntDescription)
+            (MAX(?sessionDate) as ?agendapuntSessionDate)
+        WHERE {
+            ${matchPattern}
+
+            OPTIONAL { ?agendapunt mu:uuid ?uuid. }
+            OPTIONAL { ?agendapunt terms:title ?title. }
+            OPTIONAL { ?agendapunt terms:description ?description. }
+            OPTIONAL { ?agendapunt ${subjectPath('sessionDate').join('/')} ?sessionDate. }
+        }
+        GROUP BY ?agendapunt
+        ORDER BY DESC(?agendapuntSessionDate) ?agendapunt
+        LIMIT ${limit}
+        OFFSET ${offset}
+    `);
+
+    return {
+        'count': parseInt(countResult.results.bindings[0]?.['count']?.['value'] || '0'),
+        'items': itemsResult.results.bindings.map((binding) => {
+            return {
+                'id': binding['id']?.['value'] || binding['agendapunt']['value'],
+                'uri': binding['agendapunt']['value'],
+                'title': binding['agendapuntTitle']?.['value'],
+                'description': binding['agendapuntDescription']?.['value'],
+                'sessionDate': binding['agendapuntSessionDate']?.['value'],
+            };
+        }),
+    };
+}
+
+/**
+ * Find the agenda items matching a filter.
+ *
+ * @param {SubscriptionFilter} filter - The filter to evaluate, this does not
+ * need to be stored.
+ * @param {number} pageNumber - The (zero-based) page to return.
+ * @param {number} pageSize - The amount of agenda items per page.
+ * @param {Date} [now] - The moment relative dates are resolved against.
+ * @returns {Promise<{items: AgendaItem[], count: number}>} - The agenda items
+ * on the requested page, most recent session first, and the total amount of
+ * matching agenda items.
+ */
+export async function findMatchingAgendaItems(filter, pageNumber, pageSize, now=new Date()) {
+    return queryAgendaItems(`
+        ?agendapunt a besluit:Agendapunt.
+        FILTER(${filterExpression(filter, '?agendapunt', now)})
+    `, pageSize, pageNumber * pageSize);
+}
+
+/**
+ * Find the agenda items matching a filter that have not been sent to a user
+ * in a digest yet, see `digest.js`. Only agenda items of sessions that start
+ * after `since` are considered new.
+ *
+ * @param {SubscriptionFilter} filter - The filter to evaluate.
+ * @param {string} userUri - The URI of the user the digest is for.
+ * @param {Date} since - The start of the period the digest is about.
+ * @param {number} limit - The maximal amount of agenda items to return.
+ * @param {Date} [now] - The moment relative dates are resolved against.
+ * @returns {Promise<{items: AgendaItem[], count: number}>} - The new agenda
+ * items, most recent session first, and the total amount of new agenda items.
+ */
+export async function findNewAgendaItems(filter, userUri, since, limit, now=new Date()) {
+    return queryAgendaItems(`
+        ?agendapunt a besluit:Agendapunt.
+        FILTER(${filterExpression(filter, '?agendapunt', now)})
+        FILTER(EXISTS {
+            ?agendapunt ${subjectPath('sessionDate').join('/')} ?newSessionDate.
+            FILTER(?newSessionDate >= "${since.toISOString()}"^^xsd:dateTime)
+        })
+        FILTER NOT EXISTS {
+            ?digest a ext:Digest;
+                    ext:digestRecipient <${escapeSparqlString(userUri)}>;
+                    ext:includesItem ?agendapunt.
+        }
+    `, limit, 0);
+}
+
+/**
+ * Find the upcoming sessions with at least one agenda item matching a filter.
+ *
+ * @param {SubscriptionFilter} filter - The filter to evaluate.
+ * @param {number} limit - The maximal amount of sessions to return.
+ * @param {Date} [now] - Only sessions starting at or after this moment are
+ * returned, relative dates are resolved against it as well.
+ * @returns {Promise<Session[]>} - The sessions, earliest first.
+ */
+export async function findUpcomingSessions(filter, limit, now=new Date()) {
+    const [sessionLink, startPredicate] = subjectPath('sessionDate');
+    const locationPredicate = subjectPath('sessionLocation')[1];
+    const matchPattern = `
+        ?agendapunt a besluit:Agendapunt;
+                    ${sessionLink} ?zitting.
+        FILTER(${filterExpression(filter, '?agendapunt', now)})
+    `;
+
+    const sessionsResult = await querySudo(`
+        ${PREFIXES}
+
+        SELECT
+            ?zitting
+            (SAMPLE(?uuid) as ?id)
+            (MIN(?start) as ?zittingStart)
+            (SAMPLE(?end) as ?zittingEnd)
+            (SAMPLE(?location) as ?zittingLocation)
+            (SAMPLE(?organLabel) as ?zittingOrgan)
+        WHERE {
+            ${matchPattern}
+            ?zitting ${startPredicate} ?start.
+            FILTER(?start >= "${now.toISOString()}"^^xsd:dateTime)
+
+            OPTIONAL { ?zitting mu:uuid ?uuid. }
+            OPTIONAL { ?zitting prov:endedAtTime ?end. }
+            OPTIONAL { ?zitting ${locationPredicate} ?location. }
+            OPTIONAL { ?zitting besluit:isGehoudenDoor/skos:prefLabel ?organLabel. }
+        }
+        GROUP BY ?zitting
+        ORDER BY ?zittingStart ?zitting
+        LIMIT ${limit}
+    `);
+
+    const sessions = sessionsResult.results.bindings.map((binding) => {
+        return {
+            'id': binding['id']?.['value'] || binding['zitting']['value'],
+            'uri': binding['zitting']['value'],
+            'start': binding['zittingStart']['value'],
+            'end': binding['zittingEnd']?.['value'],
+            'location': binding['zittingLocation']?.['value'],
+            'governingBody': binding['zittingOrgan']?.['value'],
+            'items': [],
+        };
+    });
+
+    if (sessions.length === 0) {
+        return sessions;
+    }
+
+    const itemsResult = await querySudo(`
+        ${PREFIXES}
+
+        SELECT
+            ?zitting
+            ?agendapunt
+            (SAMPLE(?uuid) as ?id)
+            (SAMPLE(?title) as ?agendapuntTitle)
+            (SAMPLE(?description) as ?agendapuntDescription)
+        WHERE {
+            VALUES ?zitting {
+                ${sessions.map((session) => `<${session.uri}>`).join('\n')}
+            }
+            ${matchPattern}
+
+            OPTIONAL { ?agendapunt mu:uuid ?uuid. }
+            OPTIONAL { ?agendapunt terms:title ?title. }
+            OPTIONAL { ?agendapunt terms:description ?description. }
+        }
+        GROUP BY ?zitting ?agendapunt
+        ORDER BY ?zitting ?agendapuntTitle ?agendapunt
+    `);
+
+    const sessionsByUri = new Map(sessions.map((session) => [session.uri, session]));
+
+    for (const binding of itemsResult.results.bindings) {
+        sessionsByUri.get(binding['zitting']['value']).items.push({
+            'id': binding['id']?.['value'] || binding['agendapunt']['value'],
+            'uri': binding['agendapunt']['value'],
+            'title': binding['agendapuntTitle']?.['value'],
+            'description': binding['agendapuntDescription']?.['value'],
+        });
+    }
+
+    return sessions;
+}
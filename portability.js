@@ -0,0 +1,591 @@
+import { Parser } from 'n3';
+import jsonld from 'jsonld';
+import {
+    findFilters,
+    resolveFilterDocument,
+    createFilterTree,
+    deleteFilter,
+    subscribe,
+    validateSubscriptionDetails,
+    updateSubscriptionDetails
+} from './queries';
+import { SCHEDULE_VALIDATORS, weekdayUri, weekdayFromUri } from './schedule';
+import { checkResourceLimits } from './limits';
+import { escapeSparqlString } from './helpers';
+
+/**
+ * @typedef {import('./queries').SubscriptionFilter} SubscriptionFilter
+ * @typedef {import('./queries').SubscriptionFilterConstraint} SubscriptionFilterConstraint
+ */
+
+/**
+ * The media types filters can be exported as, the first one is the default.
+ */
+export const EXPORT_TYPES = [
+    'application/vnd.api+json',
+    'application/json',
+    'text/turtle',
+    'application/ld+json',
+];
+
+/**
+ * The JSON-LD context of exported filters.
+ */
+const JSON_LD_CONTEXT = {
+    'sh': 'http://www.w3.org/ns/shacl#',
+    'ext': 'http://mu.semte.ch/vocabularies/ext/',
+    'terms': 'http://purl.org/dc/terms/',
+    'xsd': 'http://www.w3.org/2001/XMLSchema#',
+    'schema': 'http://schema.org/',
+    'ext:paused': { '@type': 'xsd:boolean' },
+    'ext:activeUntil': { '@type': 'xsd:dateTime' },
+    'ext:preferredHour': { '@type': 'xsd:integer' },
+    'schema:dayOfWeek': { '@type': '@id' },
+    'sh:and': { '@container': '@list' },
+    'sh:or': { '@container': '@list' },
+};
+
+/**
+ * Get the URI of a filter.
+ *
+ * @param {SubscriptionFilter} filter - The filter.
+ * @returns {string} - The URI of the filter.
+ */
+function filterUri(filter) {
+    return `http://lokaalbeslist.be/subscriptions/filters/${filter.id}`;
+}
+
+/**
+ * Get the URI of a constraint.
+ *
+ * @param {SubscriptionFilterConstraint} constraint - The constraint.
+ * @returns {string} - The URI of the constraint.
+ */
+function constraintUri(constraint) {
+    return `http://lokaalbeslist.be/subscriptions/constraints/${constraint.id}`;
+}
+
+/**
+ * Collect all the filters and constraints in some filter trees, every
+ * resource is only collected once.
+ *
+ * @param {SubscriptionFilter[]} filters - The roots of the filter trees.
+ * @returns {{filters: Map<string, SubscriptionFilter>, constraints:
+ * Map<string, SubscriptionFilterConstraint>}} - The filters and constraints,
+ * by id.
+ */
+function collectResources(filters) {
+    const resources = {
+        'filters': new Map(),
+        'constraints': new Map(),
+    };
+
+    const collect = (filter) => {
+        if (resources.filters.has(filter.id)) {
+            return;
+        }
+
+        resources.filters.set(filter.id, filter);
+        filter.constraints.forEach((constraint) => {
+            resources.constraints.set(constraint.id, constraint);
+        });
+        filter['sub-filters'].forEach(collect);
+    };
+
+    filters.forEach(collect);
+
+    return resources;
+}
+
+/**
+ * Export filter trees as a JSON:API compound document, the roots are the
+ * primary data and all the sub-filters and constraints are included.
+ *
+ * @param {SubscriptionFilter[]} filters - The roots of the filter trees.
+ * @returns {object} - The JSON:API document.
+ */
+export function toJsonApi(filters) {
+    const resources = collectResources(filters);
+    const rootIds = new Set(filters.map((filter) => filter.id));
+
+    const filterResource = (filter) => {
+        return {
+            'type': 'subscription-filters',
+            'id': filter.id,
+            'attributes': {
+                'require-all': filter['require-all'],
+                'negate': filter['negate'],
+                'frequency': filter.frequency,
+                'weekday': filter.weekday,
+                'hour': filter.hour,
+                'time-zone': filter['time-zone'],
+                'name': filter.name,
+                'description': filter.description,
+                'paused': filter.paused,
+                'active-until': filter['active-until'],
+            },
+            'relationships': {
+                'constraints': {
+                    'data': filter.constraints.map((constraint) => {
+                        return {
+                            'type': 'subscription-filter-constraints',
+                            'id': constraint.id,
+                        };
+                    }),
+                },
+                'sub-filters': {
+                    'data': filter['sub-filters'].map((subFilter) => {
+                        return {
+                            'type': 'subscription-filters',
+                            'id': subFilter.id,
+                        };
+                    }),
+                },
+            },
+        };
+    };
+
+    const subFilters = [...resources.filters.values()]
+        .filter((filter) => !rootIds.has(filter.id))
+        .map(filterResource);
+    const constraints = [...resources.constraints.values()].map((constraint) => {
+        return {
+            'type': 'subscription-filter-constraints',
+            'id': constraint.id,
+            'attributes': {
+                'subject': constraint.subject,
+                'predicate': constraint.predicate,
+                'object': constraint.object,
+            },
+        };
+    });
+
+    return {
+        'data': filters.map(filterResource),
+        'included': [...subFilters, ...constraints],
+    };
+}
+
+/**
+ * Export filter trees as Turtle, using the same vocabulary as the database.
+ * Only the constraints as they were sent by the frontend are exported, the
+ * SHACL constraints are derived from them when importing.
+ *
+ * @param {SubscriptionFilter[]} filters - The roots of the filter trees.
+ * @returns {string} - The Turtle document.
+ */
+export function toTurtle(filters) {
+    const resources = collectResources(filters);
+
+    const filterTriples = [...resources.filters.values()].map((filter) => {
+        const andOr = filter['require-all'] ? 'sh:and' : 'sh:or';
+        const members = [
+            ...filter.constraints.map(constraintUri),
+            ...filter['sub-filters'].map(filterUri),
+        ].map((uri) => `<${uri}>`).join(' ');
+        const requirements = filter['negate']
+            ? `sh:not [ ${andOr} ( ${members} ) ]`
+            : `${andOr} ( ${members} )`;
+        const details = [
+            filter.frequency !== undefined && `ext:subscriptionFrequency "${escapeSparqlString(filter.frequency)}"`,
+            filter.weekday !== undefined && `schema:dayOfWeek <${weekdayUri(filter.weekday)}>`,
+            filter.hour !== undefined && `ext:preferredHour ${filter.hour}`,
+            filter['time-zone'] !== undefined && `ext:timeZone "${escapeSparqlString(filter['time-zone'])}"`,
+            filter.name !== undefined && `terms:title "${escapeSparqlString(filter.name)}"`,
+            filter.description !== undefined && `terms:description "${escapeSparqlString(filter.description)}"`,
+            filter.paused && 'ext:paused true',
+            filter['active-until'] !== undefined && `ext:activeUntil "${filter['active-until']}"^^xsd:dateTime`,
+        ].filter((triple) => !!triple).map((triple) => `\n    ${triple};`).join('');
+
+        return `<${filterUri(filter)}> a sh:NodeShape;${details}\n    ${requirements}.\n`;
+    });
+
+    const constraintTriples = [...resources.constraints.values()].map((constraint) => {
+        return `<${constraintUri(constraint)}> ext:constraintSubject "${escapeSparqlString(constraint.subject)}";
+    ext:constraintPredicate "${escapeSparqlString(constraint.predicate)}";
+    ext:constraintObject "${escapeSparqlString(`${constraint.object}`)}".
+`;
+    });
+
+    return [
+        '@prefix sh: <http://www.w3.org/ns/shacl#>.',
+        '@prefix ext: <http://mu.semte.ch/vocabularies/ext/>.',
+        '@prefix terms: <http://purl.org/dc/terms/>.',
+        '@prefix xsd: <http://www.w3.org/2001/XMLSchema#>.',
+        '@prefix schema: <http://schema.org/>.',
+        '',
+        ...filterTriples,
+        ...constraintTriples,
+    ].join('\n');
+}
+
+/**
+ * Export filter trees as JSON-LD, with the sub-filters and constraints
+ * embedded in the filters that use them.
+ *
+ * @param {SubscriptionFilter[]} filters - The roots of the filter trees.
+ * @returns {object} - The JSON-LD document.
+ */
+export function toJsonLd(filters) {
+    const constraintNode = (constraint) => {
+        return {
+            '@id': constraintUri(constraint),
+            'ext:constraintSubject': constraint.subject,
+            'ext:constraintPredicate': constraint.predicate,
+            'ext:constraintObject': `${constraint.object}`,
+        };
+    };
+
+    const filterNode = (filter) => {
+        const requirements = {
+            [filter['require-all'] ? 'sh:and' : 'sh:or']: [
+                ...filter.constraints.map(constraintNode),
+                ...filter['sub-filters'].map(filterNode),
+            ],
+        };
+
+        return {
+            '@id': filterUri(filter),
+            '@type': 'sh:NodeShape',
+            'ext:subscriptionFrequency': filter.frequency,
+            'schema:dayOfWeek': filter.weekday && weekdayUri(filter.weekday),
+            'ext:preferredHour': filter.hour,
+            'ext:timeZone': filter['time-zone'],
+            'terms:title': filter.name,
+            'terms:description': filter.description,
+            'ext:paused': filter.paused || undefined,
+            'ext:activeUntil': filter['active-until'],
+            ...(filter['negate'] ? { 'sh:not': requirements } : requirements),
+        };
+    };
+
+    return {
+        '@context': JSON_LD_CONTEXT,
+        '@graph': filters.map(filterNode),
+    };
+}
+
+/**
+ * The IRIs of the vocabulary imported filters and constraints are read in.
+ */
+const VOCABULARY = {
+    'first': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#first',
+    'rest': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest',
+    'nil': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil',
+    'type': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type',
+    'NodeShape': 'http://www.w3.org/ns/shacl#NodeShape',
+    'and': 'http://www.w3.org/ns/shacl#and',
+    'or': 'http://www.w3.org/ns/shacl#or',
+    'not': 'http://www.w3.org/ns/shacl#not',
+    'subject': 'http://mu.semte.ch/vocabularies/ext/constraintSubject',
+    'predicate': 'http://mu.semte.ch/vocabularies/ext/constraintPredicate',
+    'object': 'http://mu.semte.ch/vocabularies/ext/constraintObject',
+    'frequency': 'http://mu.semte.ch/vocabularies/ext/subscriptionFrequency',
+    'weekday': 'http://schema.org/dayOfWeek',
+    'hour': 'http://mu.semte.ch/vocabularies/ext/preferredHour',
+    'time-zone': 'http://mu.semte.ch/vocabularies/ext/timeZone',
+    'name': 'http://purl.org/dc/terms/title',
+    'description': 'http://purl.org/dc/terms/description',
+    'paused': 'http://mu.semte.ch/vocabularies/ext/paused',
+    'active-until': 'http://mu.semte.ch/vocabularies/ext/activeUntil',
+};
+
+/**
+ * Get the key of an RDF/JS term, blank nodes are kept apart from IRIs.
+ *
+ * @param {object} term - The RDF/JS term.
+ * @returns {string} - The key.
+ */
+function termKey(term) {
+    return term.termType === 'BlankNode' ? `_:${term.value}` : term.value;
+}
+
+/**
+ * Convert RDF quads describing filter trees in the vocabulary of `toTurtle`
+ * and `toJsonLd` to a JSON:API document with the same filter trees. The roots
+ * are the filters that are not part of another filter.
+ *
+ * @param {object[]} quads - The RDF/JS quads.
+ * @returns {object} - The JSON:API document, referring to every resource by
+ * `lid`.
+ */
+function quadsToJsonApi(quads) {
+    const properties = new Map();
+    const members = new Set();
+
+    for (const quad of quads) {
+        const subject = termKey(quad.subject);
+        const objects = properties.get(subject) || new Map();
+
+        objects.set(quad.predicate.value, [...(objects.get(quad.predicate.value) || []), quad.object]);
+        properties.set(subject, objects);
+
+        if (quad.predicate.value === VOCABULARY.first) {
+            members.add(termKey(quad.object));
+        }
+    }
+
+    const objectOf = (key, property) => properties.get(key)?.get(VOCABULARY[property])?.[0];
+    const valueOf = (key, property) => objectOf(key, property)?.value;
+
+    const list = (term, filterKey) => {
+        const items = [];
+        const seen = new Set();
+
+        for (let node = term; node?.value !== VOCABULARY.nil; node = objectOf(termKey(node), 'rest')) {
+            if (node === undefined || seen.has(termKey(node)) || objectOf(termKey(node), 'first') === undefined) {
+                throw `Invalid filter: '${filterKey}' has an invalid sh:and or sh:or list.`;
+            }
+
+            seen.add(termKey(node));
+            items.push(objectOf(termKey(node), 'first'));
+        }
+
+        return items;
+    };
+
+    const included = new Map();
+
+    const constraintIdentifier = (key) => {
+        const identifier = { 'type': 'subscription-filter-constraints', 'lid': key };
+
+        if (!included.has(`${identifier.type}/${key}`)) {
+            included.set(`${identifier.type}/${key}`, {
+                ...identifier,
+                'attributes': {
+                    'subject': valueOf(key, 'subject'),
+                    'predicate': valueOf(key, 'predicate'),
+                    'object': valueOf(key, 'object'),
+                },
+            });
+        }
+
+        return identifier;
+    };
+
+    const filterResource = (key, path) => {
+        if (path.includes(key)) {
+            throw `Invalid filter: '${key}' contains itself.`;
+        }
+
+        const negation = objectOf(key, 'not');
+        const shape = negation !== undefined ? termKey(negation) : key;
+        const andOr = objectOf(shape, 'and') !== undefined ? 'and' : 'or';
+
+        if (objectOf(shape, andOr) === undefined) {
+            throw `Invalid filter: '${key}' has no sh:and or sh:or list.`;
+        }
+
+        const constraints = [];
+        const subFilters = [];
+
+        for (const member of list(objectOf(shape, andOr), key)) {
+            if (member.termType === 'Literal') {
+                throw `Invalid filter: '${key}' contains something that is not a node.`;
+            }
+
+            const memberKey = termKey(member);
+
+            if (valueOf(memberKey, 'subject') !== undefined) {
+                constraints.push(constraintIdentifier(memberKey));
+            } else {
+                const identifier = { 'type': 'subscription-filters', 'lid': memberKey };
+
+                if (!included.has(`${identifier.type}/${memberKey}`)) {
+                    included.set(`${identifier.type}/${memberKey}`, filterResource(memberKey, [...path, key]));
+                }
+
+                subFilters.push(identifier);
+            }
+        }
+
+        const weekday = valueOf(key, 'weekday');
+        const hour = valueOf(key, 'hour');
+
+        return {
+            'type': 'subscription-filters',
+            'lid': key,
+            'attributes': {
+                'require-all': andOr === 'and',
+                'negate': negation !== undefined,
+                'frequency': valueOf(key, 'frequency'),
+                // Invalid values are kept, so the import rejects them.
+                'weekday': weekday === undefined ? undefined : weekdayFromUri(weekday) ?? weekday,
+                'hour': hour !== undefined && /^\d+$/.test(hour) ? parseInt(hour) : hour,
+                'time-zone': valueOf(key, 'time-zone'),
+                'name': valueOf(key, 'name'),
+                'description': valueOf(key, 'description'),
+                'paused': valueOf(key, 'paused') === 'true',
+                'active-until': valueOf(key, 'active-until'),
+            },
+            'relationships': {
+                'constraints': {
+                    'data': constraints,
+                },
+                'sub-filters': {
+                    'data': subFilters,
+                },
+            },
+        };
+    };
+
+    const roots = [...properties.keys()].filter((key) => {
+        return !members.has(key) && (properties.get(key).get(VOCABULARY.type) || [])
+            .some((type) => type.value === VOCABULARY.NodeShape);
+    });
+
+    return {
+        'data': roots.map((key) => filterResource(key, [])),
+        'included': [...included.values()],
+    };
+}
+
+/**
+ * Convert a Turtle document in the format of `toTurtle` to a JSON:API
+ * document with the same filter trees, see `quadsToJsonApi`.
+ *
+ * @param {string} text - The Turtle document.
+ * @returns {object} - The JSON:API document, referring to every resource by
+ * `lid`.
+ */
+export function turtleToJsonApi(text) {
+    let quads;
+
+    try {
+        quads = new Parser().parse(`${text}`);
+    } catch (err) {
+        throw `Invalid Turtle: ${err.message}`;
+    }
+
+    return quadsToJsonApi(quads);
+}
+
+/**
+ * Convert a JSON-LD document in the format of `toJsonLd` to a JSON:API
+ * document with the same filter trees, see `quadsToJsonApi`. Remote contexts
+ * are not loaded.
+ *
+ * @param {object} document - The JSON-LD document.
+ * @returns {Promise<object>} - The JSON:API document, referring to every
+ * resource by `lid`, rejects with an error message if the document is not
+ * valid JSON-LD.
+ */
+export async function jsonLdToJsonApi(document) {
+    let quads;
+
+    try {
+        quads = await jsonld.toRDF(document, {
+            'documentLoader': (url) => Promise.reject(new Error(`Remote contexts are not supported: '${url}'.`)),
+        });
+    } catch (err) {
+        throw `Invalid JSON-LD: ${err.message}`;
+    }
+
+    return quadsToJsonApi(quads);
+}
+
+/**
+ * Replace every `id` in a JSON:API document by a `lid`, so all the resources
+ * are created anew instead of referring to the stored ones.
+ *
+ * @param {object} document - The JSON:API document.
+ * @returns {object} - The document with only local ids.
+ */
+export function localDocument(document) {
+    const localIdentifier = (identifier) => {
+        const { id, ...rest } = identifier;
+
+        return { ...rest, 'lid': rest.lid ?? id };
+    };
+
+    const localResource = (resource) => {
+        const relationships = Object.fromEntries(
+            Object.entries(resource.relationships || {}).map(([name, relationship]) => [
+                name,
+                { ...relationship, 'data': (relationship.data || []).map(localIdentifier) },
+            ])
+        );
+
+        return { ...localIdentifier(resource), 'relationships': relationships };
+    };
+
+    const data = Array.isArray(document.data) ? document.data : [document.data];
+
+    return {
+        'data': data.map(localResource),
+        'included': (document.included || []).map(localResource),
+    };
+}
+
+/**
+ * Recreate exported filter trees with new ids and subscribe a user to them.
+ * The trees are validated like new filters and nothing is stored if one of
+ * them is invalid or the user would own too many filters or constraints.
+ *
+ * @param {string} userUri - The URI of the user to subscribe.
+ * @param {object} document - The JSON:API document with the filters to
+ * import as primary data, see `toJsonApi`.
+ * @returns {Promise<SubscriptionFilter[]>} - Resolves to the created filter
+ * trees, rejects with an error message if the document is invalid.
+ */
+export async function importFilters(userUri, document) {
+    if (!document || !document.data) {
+        throw 'No data was sent.';
+    }
+
+    const local = localDocument(document);
+
+    const filters = await Promise.all(local.data.map((resource) => {
+        const attributes = resource.attributes || {};
+
+        for (const [attribute, validate] of Object.entries(SCHEDULE_VALIDATORS)) {
+            const invalid = attributes[attribute] === undefined
+                ? undefined
+                : validate(attributes[attribute], attributes);
+
+            if (invalid !== undefined) {
+                throw invalid;
+            }
+        }
+
+        if (attributes['frequency'] === undefined) {
+            throw 'Missing attribute: \'frequency\'.';
+        }
+
+        const invalidDetails = validateSubscriptionDetails(resource.attributes);
+
+        if (invalidDetails !== undefined) {
+            throw invalidDetails;
+        }
+
+        return resolveFilterDocument({
+            'data': resource,
+            // Roots can be sub-filters of other roots as well.
+            'included': [...local.data, ...local.included],
+        });
+    }));
+
+    await checkResourceLimits(userUri, filters);
+
+    const created = [];
+
+    try {
+        for (const filter of filters) {
+            created.push(await createFilterTree(filter));
+        }
+    } catch (err) {
+        // Don't leave half of the import behind.
+        for (const filter of created) {
+            await deleteFilter(filterUri(filter));
+        }
+
+        throw err;
+    }
+
+    for (const [index, filter] of created.entries()) {
+        await subscribe(userUri, filterUri(filter), filter.frequency);
+        await updateSubscriptionDetails(filterUri(filter), local.data[index].attributes);
+    }
+
+    return await findFilters(created.map(filterUri));
+}
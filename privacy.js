@@ -0,0 +1,356 @@
+import { updateSudo, querySudo } from '@lblod/mu-auth-sudo';
+import { uuid } from 'mu';
+import { REQUIREMENT_PATH, findFilters, deleteUnreferenced } from './queries';
+import { toJsonApi } from './portability';
+import { eraseHistory } from './history';
+import { escapeSparqlString } from './helpers';
+
+/**
+ * @typedef {import('./queries').SubscriptionFilter} SubscriptionFilter
+ */
+
+/**
+ * Get the last part of a URI, used as the id of resources in JSON:API.
+ *
+ * @param {string} uri - The URI.
+ * @returns {string} - The last part of the URI.
+ */
+function uriId(uri) {
+    const uriParts = uri.split('/');
+    return uriParts[uriParts.length - 1];
+}
+
+/**
+ * Find the (pending) subscriptions of a user.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @returns {Promise<{filter: string, pending: boolean}[]>} - The URIs of the
+ * filters the user is subscribed to and whether that subscription still needs
+ * to be confirmed.
+ */
+async function findSubscriptions(userUri) {
+    const result = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        SELECT DISTINCT ?filter ?link WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> ?link ?filter.
+            VALUES ?link {
+              ext:hasSubscription
+              ext:hasPendingSubscription
+            }
+          }
+        }
+    `);
+
+    return result.results.bindings.map((binding) => {
+        return {
+            'filter': binding['filter']['value'],
+            'pending': binding['link']['value'] === 'http://mu.semte.ch/vocabularies/ext/hasPendingSubscription',
+        };
+    });
+}
+
+/**
+ * Find the email address and language of a user.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @returns {Promise<{email: string, language: (string|undefined)}>} - The
+ * personal details of the user.
+ */
+async function findPerson(userUri) {
+    const result = await querySudo(`
+        PREFIX schema: <http://schema.org/>
+
+        SELECT ?email ?language WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> schema:email ?email.
+            OPTIONAL {
+              <${escapeSparqlString(userUri)}> schema:knowsLanguage ?language.
+            }
+          }
+        }
+    `);
+
+    const binding = result.results.bindings[0];
+
+    return {
+        'email': binding?.['email']['value'],
+        'language': binding?.['language']?.['value'],
+    };
+}
+
+/**
+ * Collect everything that is stored about a user: their personal details,
+ * their filters and subscriptions, the records of their digests and
+ * unsubscriptions and the emails addressed to them.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @returns {Promise<object>} - The personal data as a JSON:API document, with
+ * the user as primary data and everything else included.
+ */
+export async function findPersonalData(userUri) {
+    const person = await findPerson(userUri);
+    const subscriptions = await findSubscriptions(userUri);
+
+    const filters = (await findFilters(
+        subscriptions.map((subscription) => subscription.filter)
+    )).filter((filter) => !!filter);
+    const filterTrees = toJsonApi(filters);
+
+    const unsubscriptionsResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+
+        SELECT ?unsubscription ?filter ?method ?created WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?unsubscription a ext:Unsubscription;
+                ext:unsubscribedUser <${escapeSparqlString(userUri)}>;
+                ext:unsubscribedFrom ?filter;
+                ext:unsubscriptionMethod ?method;
+                terms:created ?created.
+          }
+        }
+        ORDER BY ?created
+    `);
+
+    const digestsResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+
+        SELECT ?digest ?frequency ?created (GROUP_CONCAT(STR(?item) ; separator=",") as ?items) WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?digest a ext:Digest;
+                ext:digestRecipient <${escapeSparqlString(userUri)}>;
+                ext:digestFrequency ?frequency;
+                terms:created ?created.
+            OPTIONAL {
+              ?digest ext:includesItem ?item.
+            }
+          }
+        }
+        GROUP BY ?digest ?frequency ?created
+        ORDER BY ?created
+    `);
+
+    const emailsResult = person.email === undefined ? { 'results': { 'bindings': [] } } : await querySudo(`
+        PREFIX nmo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nmo#>
+
+        SELECT ?email ?subject ?text ?sentDate WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/system/email> {
+            ?email a nmo:Email;
+                nmo:emailTo "${escapeSparqlString(person.email)}";
+                nmo:messageSubject ?subject.
+            OPTIONAL {
+              ?email nmo:plainTextMessageContent ?text.
+            }
+            OPTIONAL {
+              ?email nmo:sentDate ?sentDate.
+            }
+          }
+        }
+    `);
+
+    const unsubscriptions = unsubscriptionsResult.results.bindings.map((binding) => {
+        return {
+            'type': 'unsubscriptions',
+            'id': uriId(binding['unsubscription']['value']),
+            'attributes': {
+                'filter': binding['filter']['value'],
+                'method': binding['method']['value'],
+                'created': binding['created']['value'],
+            },
+        };
+    });
+
+    const digests = digestsResult.results.bindings.map((binding) => {
+        return {
+            'type': 'digests',
+            'id': uriId(binding['digest']['value']),
+            'attributes': {
+                'frequency': binding['frequency']['value'],
+                'created': binding['created']['value'],
+                'items': binding['items']?.['value']
+                    ? binding['items']['value'].split(',')
+                    : [],
+            },
+        };
+    });
+
+    const emails = emailsResult.results.bindings.map((binding) => {
+        return {
+            'type': 'emails',
+            'id': uriId(binding['email']['value']),
+            'attributes': {
+                'subject': binding['subject']['value'],
+                'content': binding['text']?.['value'],
+                'sent-date': binding['sentDate']?.['value'] || undefined,
+            },
+        };
+    });
+
+    const identifiers = (resources) => resources.map((resource) => {
+        return { 'type': resource.type, 'id': resource.id };
+    });
+
+    const filterIdentifiers = (pending) => subscriptions
+        .filter((subscription) => subscription.pending === pending)
+        .map((subscription) => {
+            return { 'type': 'subscription-filters', 'id': uriId(subscription.filter) };
+        });
+
+    return {
+        'data': {
+            'type': 'users',
+            'id': uriId(userUri),
+            'attributes': {
+                'email': person.email,
+                'language': person.language,
+            },
+            'relationships': {
+                'subscriptions': { 'data': filterIdentifiers(false) },
+                'pending-subscriptions': { 'data': filterIdentifiers(true) },
+                'unsubscriptions': { 'data': identifiers(unsubscriptions) },
+                'digests': { 'data': identifiers(digests) },
+                'emails': { 'data': identifiers(emails) },
+            },
+        },
+        'included': [
+            ...filterTrees.data,
+            ...filterTrees.included,
+            ...unsubscriptions,
+            ...digests,
+            ...emails,
+        ],
+    };
+}
+
+/**
+ * Erase a user and everything stored about them: their personal details,
+ * their pending confirmations, the records of their digests and
+ * unsubscriptions, all the emails addressed to them, the filters and
+ * constraints they (un)subscribed from that are not used by anyone else and
+ * the history of those filters. Only an anonymous record that an account was
+ * erased is kept.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @returns {Promise<number>} - The amount of (pending) subscriptions that
+ * were removed.
+ */
+export async function eraseUser(userUri) {
+    const person = await findPerson(userUri);
+    const subscriptions = await findSubscriptions(userUri);
+
+    const unsubscribedResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        SELECT DISTINCT ?filter WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?unsubscription ext:unsubscribedUser <${escapeSparqlString(userUri)}>;
+                            ext:unsubscribedFrom ?filter.
+          }
+        }
+    `);
+
+    const filters = unsubscribedResult.results.bindings.map((binding) => binding['filter']['value']);
+    subscriptions.forEach((subscription) => filters.push(subscription.filter));
+
+    const membersResult = await querySudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        SELECT DISTINCT ?member WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            VALUES ?root {
+              ${filters.map((filter) => `<${escapeSparqlString(filter)}>`).join('\n')}
+            }
+            ?root (${REQUIREMENT_PATH})+ ?member.
+            ?member a sh:NodeShape.
+          }
+        }
+    `);
+
+    await updateSudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?confirmation ext:confirmationFor <${escapeSparqlString(userUri)}>;
+                          ?p ?o.
+          }
+        };
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?unsubscription ext:unsubscribedUser <${escapeSparqlString(userUri)}>;
+                            ?p ?o.
+          }
+        };
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?digest ext:digestRecipient <${escapeSparqlString(userUri)}>;
+                    ?p ?o.
+          }
+        };
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> ?p ?o.
+          }
+        }
+    `);
+
+    if (person.email !== undefined) {
+        await updateSudo(`
+            PREFIX nmo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nmo#>
+
+            DELETE {
+              GRAPH <http://lokaalbeslist.be/graphs/system/email> {
+                ?header ?headerP ?headerO.
+              }
+            } WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/system/email> {
+                ?email nmo:emailTo "${escapeSparqlString(person.email)}";
+                       nmo:messageHeader ?header.
+                ?header ?headerP ?headerO.
+              }
+            };
+
+            DELETE {
+              GRAPH <http://lokaalbeslist.be/graphs/system/email> {
+                ?email ?p ?o.
+              }
+            } WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/system/email> {
+                ?email nmo:emailTo "${escapeSparqlString(person.email)}";
+                       ?p ?o.
+              }
+            }
+        `);
+    }
+
+    // The filters are only deleted now the user no longer refers to them, so
+    // filters that other users are subscribed to are kept.
+    await deleteUnreferenced(filters);
+
+    await eraseHistory(userUri, [
+        ...filters,
+        ...membersResult.results.bindings.map((binding) => binding['member']['value']),
+    ]);
+
+    await updateSudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <http://lokaalbeslist.be/subscriptions/erasures/${uuid()}> a ext:AccountErasure;
+                terms:created "${new Date().toISOString()}"^^xsd:dateTime.
+          }
+        }
+    `);
+
+    return subscriptions.length;
+}
@@ -1,6 +1,23 @@
 import { updateSudo, querySudo } from '@lblod/mu-auth-sudo';
 import { uuid } from 'mu';
-import { verifyConstraint, verifyFilter, escapeSparqlString } from './helpers';
+import {
+    verifyConstraint,
+    verifyFilter,
+    escapeSparqlString,
+    parseDateTime,
+    isValidEmail,
+    hasMailDomain
+} from './helpers';
+import { sendEmail } from './email';
+import { ENTITY_SUBJECTS, findEntities, findLabels } from './entities';
+import { inapplicablePreferences, weekdayUri, weekdayFromUri } from './schedule';
+import { escapeRegex, splitWords, wordPattern, phrasePattern } from './text';
+import {
+    CONFIRMATION_EXPIRY_HOURS,
+    UNCONFIRMED_PURGE_HOURS,
+    MAX_FILTER_DEPTH,
+    BASE_URL
+} from './config';
 
 /**
  * @typedef {import('express').Request} Request
@@ -13,16 +30,34 @@ import { verifyConstraint, verifyFilter, escapeSparqlString } from './helpers';
  * @property {string} subject - The subject of the constraint.
  * @property {string} predicate - The predicate of the constraint.
  * @property {string} object - The object of the constraint.
+ * @property {(string[]|undefined)} values - The URIs of the governance areas
+ * or entities a constraint with a URI predicate matches.
+ * @property {(string|undefined)} label - The label of the governance area or
+ * entities a constraint with a URI predicate refers to.
  */
 
 /**
  * @typedef {object} SubscriptionFilter
  * @property {string} id - The id of the filter.
  * @property {string} email - The email this subscription filter is for.
- * @property {string} frequency - The frequency, one of 'daily', 'weekly',
- * 'monthly'
+ * @property {string} frequency - The frequency, one of 'immediate', 'daily',
+ * 'weekly', 'monthly'
+ * @property {(string|undefined)} weekday - The preferred day of weekly
+ * digests, e.g. 'monday'.
+ * @property {(number|undefined)} hour - The preferred hour (0-23) of the
+ * digests.
+ * @property {(string|undefined)} time-zone - The IANA time zone of the weekday
+ * and hour.
  * @property {boolean} requireAll - Require all the constraints to be met if
  * true, only one if false.
+ * @property {boolean} negate - Match when the constraints are not met.
+ * @property {(string|undefined)} name - The name of the subscription.
+ * @property {(string|undefined)} description - The description of the
+ * subscription.
+ * @property {boolean} paused - No notifications are sent for the subscription
+ * if true.
+ * @property {(string|undefined)} active-until - The xsd:dateTime after which
+ * no notifications are sent for the subscription anymore.
  * @property {SubscriptionFilterConstraint[]} constraints - The
  * constraints for this filter.
  * @property {SubscriptionFilter[]} sub-filters - The subfilters that should
@@ -30,53 +65,411 @@ import { verifyConstraint, verifyFilter, escapeSparqlString } from './helpers';
  */
 
 /**
- * Map a frontend-subject onto a (list of) SPARQL-subject(s)
+ * SPARQL property path from a filter to its direct constraints and
+ * sub-filters. The list of a negated filter hangs under its `sh:not` shape.
+ */
+export const REQUIREMENT_PATH = 'sh:not?/(sh:and|sh:or)/rdf:rest*/rdf:first';
+
+/**
+ * Map a frontend-subject onto the SHACL path (a list of SPARQL-predicates)
+ * from a besluit:Agendapunt to the value to check. Predicates starting with
+ * `^` are followed in the inverse direction.
  *
  * @param {string} subject - The subject to map.
- * @returns {string} - A string that can be put as the **object** of a SPARQL
- * (without trailing period)
- * query. NOTE: this can be multiple lines in the case of a list of objects.
+ * @returns {(string[]|undefined)} - The predicates of the path, in order, or
+ * undefined if the subject is invalid.
  */
-function mapSubject(subject) {
+export function subjectPath(subject) {
     switch (subject) {
     case 'title':
-        return 'terms:title';
+        return ['terms:title'];
     case 'description':
-        return 'terms:description';
+        return ['terms:description'];
     //TODO: remove ext with ^
     case 'sessionLocation':
-        return createListQuery(['ext:zitting', 'prov:atLocation']);
+        return ['ext:zitting', 'prov:atLocation'];
     case 'sessionDate':
         // TODO: add besluit:geplandeStart
-        return createListQuery(['ext:zitting', 'prov:startedAtTime']);
+        return ['ext:zitting', 'prov:startedAtTime'];
     case 'governanceArea':
-        return createListQuery(['ext:zitting',  'besluit:isGehoudenDoor', 'besluit:bestuurt', 'skos:prefLabel' ]);
+        return ['ext:zitting',  'besluit:isGehoudenDoor', 'besluit:bestuurt', 'skos:prefLabel' ];
+    case 'governingBody':
+        return ['ext:zitting', 'besluit:isGehoudenDoor'];
+    case 'mandatary':
+        return ['^terms:subject', 'besluit:heeftStemming', 'besluit:heeftStemmer'];
     }
 }
 
 /**
- * Map a frontend-predicate and -object to a SHACL constraint.
+ * The frontend-predicates that compare the governance area itself instead of
+ * its label, these can only be used with the 'governanceArea' subject.
+ */
+const GOVERNANCE_AREA_PREDICATES = [
+    'governanceAreaIs',
+    'governanceAreaWithin',
+];
+
+/**
+ * The frontend-predicates that compare an entity by URI, these can only be
+ * used with the subjects in `ENTITY_PREDICATE_SUBJECTS`. `entityIs` takes a
+ * single URI, `entityIn` one or more URIs separated by whitespace.
+ */
+const ENTITY_PREDICATES = [
+    'entityIs',
+    'entityIn',
+];
+
+/**
+ * The frontend-subjects whose path ends at an entity instead of a literal.
+ */
+const ENTITY_PREDICATE_SUBJECTS = [
+    'governingBody',
+    'mandatary',
+];
+
+/**
+ * The frontend-predicates that are stored as the URIs they match, see
+ * `resolveConstraintValues`.
+ */
+const URI_PREDICATES = [
+    ...GOVERNANCE_AREA_PREDICATES,
+    ...ENTITY_PREDICATES,
+];
+
+/**
+ * Map a frontend-subject and -predicate onto the SHACL path of a constraint.
+ * URI predicates follow the path of the subject up to the werkingsgebied of
+ * the bestuurseenheid, the other predicates follow it to the end.
+ *
+ * @param {string} subject - The subject of the constraint.
+ * @param {string} predicate - The predicate of the constraint.
+ * @returns {(string[]|undefined)} - The predicates of the path, in order, or
+ * undefined if the subject is invalid.
+ */
+export function constraintPath(subject, predicate) {
+    if (GOVERNANCE_AREA_PREDICATES.includes(predicate) && subject === 'governanceArea') {
+        return ['ext:zitting', 'besluit:isGehoudenDoor', 'besluit:bestuurt', 'besluit:werkingsgebied'];
+    }
+
+    return subjectPath(subject);
+}
+
+/**
+ * Map a frontend-subject onto a (list of) SPARQL-subject(s). Inverse
+ * predicates are stored as a node with an `sh:inversePath`.
+ *
+ * @param {string} subject - The subject to map.
+ * @param {string} predicate - The predicate of the constraint.
+ * @returns {string} - A string that can be put as the **object** of a SPARQL
+ * (without trailing period)
+ * query. NOTE: this can be multiple lines in the case of a list of objects.
+ */
+function mapSubject(subject, predicate) {
+    const path = constraintPath(subject, predicate);
+
+    if (path === undefined) {
+        return undefined;
+    }
+
+    const inverseNodes = [];
+    const steps = path.map((step) => {
+        if (!step.startsWith('^')) {
+            return step;
+        }
+
+        const node = `<${pathURI()}>`;
+        inverseNodes.push(`${node} sh:inversePath ${step.slice(1)}`);
+
+        return node;
+    });
+
+    return [
+        steps.length === 1 ? steps[0] : createListQuery(steps),
+        ...inverseNodes,
+    ].join('.\n');
+}
+
+/**
+ * The frontend-predicates that look for whole words in a text, ignoring case
+ * and diacritics. `containsAnyWord` and `containsAllWords` take words
+ * separated by whitespace, `containsPhrase` a sequence of words.
+ */
+export const WORD_PREDICATES = [
+    'containsAnyWord',
+    'containsAllWords',
+    'containsPhrase',
+];
+
+/**
+ * The frontend-predicates that compare dates, these can only be used with the
+ * 'sessionDate' subject.
+ */
+const DATE_PREDICATES = [
+    'dateBefore',
+    'dateAfter',
+    'dateBetween',
+    'withinNextDays',
+    'withinPastDays',
+];
+
+/**
+ * Create a typed xsd:dateTime literal from a date string.
+ *
+ * @param {string} date - The date to convert, see `parseDateTime`.
+ * @returns {string} - The literal that can be used in a SPARQL query.
+ */
+function dateTimeLiteral(date) {
+    return `"${parseDateTime(date)}"^^xsd:dateTime`;
+}
+
+/**
+ * Create a typed xsd:dayTimeDuration literal for a number of days.
+ *
+ * @param {number} days - The amount of days, may be negative.
+ * @returns {string} - The literal that can be used in a SPARQL query.
+ */
+function dayDurationLiteral(days) {
+    return `"${days < 0 ? '-' : ''}P${Math.abs(days)}D"^^xsd:dayTimeDuration`;
+}
+
+/**
+ * Split the object of an entity predicate into the URIs it refers to.
+ *
+ * @param {string} object - The object of the constraint.
+ * @returns {string[]} - The URIs, these still need to be validated.
+ */
+function entityUris(object) {
+    return `${object}`.trim().split(/\s+/);
+}
+
+/**
+ * Check if a string is an absolute HTTP(S) URI that can be put in a SPARQL
+ * query.
+ *
+ * @param {string} uri - The string to check.
+ * @returns {boolean} - True if the string is a valid URI.
+ */
+function isUri(uri) {
+    return /^https?:\/\/[^\s<>"{}|\\^`]+$/.test(`${uri}`);
+}
+
+/**
+ * Check if a frontend-predicate and -object are valid for the given subject.
+ *
+ * @param {string} subject - The subject of the constraint.
+ * @param {string} predicate - The predicate of the constraint.
+ * @param {string} object - The object of the constraint.
+ * @returns {(string|undefined)} - An error message if the combination is
+ * invalid, undefined otherwise.
+ */
+function validatePredicateObject(subject, predicate, object) {
+    if (GOVERNANCE_AREA_PREDICATES.includes(predicate)) {
+        if (subject !== 'governanceArea') {
+            return `Predicate '${predicate}' can only be used with subject 'governanceArea'.`;
+        }
+
+        if (!isUri(object)) {
+            return `Invalid governance area: '${object}', expected a URI.`;
+        }
+
+        return undefined;
+    }
+
+    if (ENTITY_PREDICATE_SUBJECTS.includes(subject)) {
+        if (!ENTITY_PREDICATES.includes(predicate) && predicate !== 'exists' && predicate !== 'notExists') {
+            return `Predicate '${predicate}' can not be used with subject '${subject}'.`;
+        }
+
+        if (predicate === 'entityIs' && !isUri(object)) {
+            return `Invalid ${ENTITY_SUBJECTS[subject].name}: '${object}', expected a URI.`;
+        }
+
+        if (predicate === 'entityIn' && !entityUris(object).every(isUri)) {
+            return `Invalid ${ENTITY_SUBJECTS[subject].name}: '${object}', expected URIs separated by spaces.`;
+        }
+
+        return undefined;
+    }
+
+    if (ENTITY_PREDICATES.includes(predicate)) {
+        return `Predicate '${predicate}' can only be used with subjects '${ENTITY_PREDICATE_SUBJECTS.join('\', \'')}'.`;
+    }
+
+    if (WORD_PREDICATES.includes(predicate) && splitWords(object).length === 0) {
+        return `Invalid ${predicate}: '${object}', expected at least one word.`;
+    }
+
+    if (!DATE_PREDICATES.includes(predicate)) {
+        return undefined;
+    }
+
+    if (subject !== 'sessionDate') {
+        return `Predicate '${predicate}' can only be used with subject 'sessionDate'.`;
+    }
+
+    switch (predicate) {
+    case 'dateBefore':
+    case 'dateAfter':
+        if (!parseDateTime(object)) {
+            return `Invalid date: '${object}'.`;
+        }
+        break;
+    case 'dateBetween': {
+        const bounds = `${object}`.split('/');
+        if (bounds.length !== 2 || !bounds.every(parseDateTime)) {
+            return `Invalid date range: '${object}', expected '<start>/<end>'.`;
+        }
+        if (parseDateTime(bounds[0]) > parseDateTime(bounds[1])) {
+            return `Invalid date range: '${object}', start is after end.`;
+        }
+        break;
+    }
+    case 'withinNextDays':
+    case 'withinPastDays':
+        if (!/^\d+$/.test(`${object}`)) {
+            return `Invalid amount of days: '${object}'.`;
+        }
+        break;
+    }
+
+    return undefined;
+}
+
+/**
+ * Check if a constraint can be stored.
+ *
+ * @param {string} subject - The subject of the constraint.
+ * @param {string} predicate - The predicate of the constraint.
+ * @param {string} object - The object of the constraint.
+ * @returns {(string|undefined)} - An error message if the constraint is
+ * invalid, undefined otherwise.
+ */
+export function validateConstraint(subject, predicate, object) {
+    if (subjectPath(subject) === undefined) {
+        return `Invalid subject: ${subject}`;
+    }
+
+    const invalidObject = validatePredicateObject(subject, predicate, object);
+
+    if (invalidObject !== undefined) {
+        return invalidObject;
+    }
+
+    if (describePredicateObject(predicate, object) === undefined) {
+        return `Invalid predicate: ${predicate}`;
+    }
+
+    return undefined;
+}
+
+/**
+ * Describe the SHACL constraint for a frontend-predicate and -object as a list
+ * of SHACL properties and the SPARQL terms they should have.
+ *
+ * Relative date predicates can not be expressed with a fixed
+ * `sh:minInclusive`/`sh:maxInclusive`, they are stored as an
+ * `ext:relativeMinInclusive`/`ext:relativeMaxInclusive` duration that has to
+ * be added to the moment the constraint is evaluated.
+ *
+ * URI predicates are stored as the governance areas or entities they match,
+ * see `resolveConstraintValues`.
+ *
+ * Text predicates are stored as case-insensitive `sh:pattern`s that match the
+ * object literally. `containsAllWords` has a pattern per word, which all have
+ * to match.
  *
  * @param {string} predicate - The predicate to map.
- * @param {string} object - The object to map.
- * @returns {string} - The SHACL constraint that can be used after a subject in
- * a SPARQL query (without trailing period).
+ * @param {string} object - The object to map, should be validated using
+ * `validatePredicateObject`.
+ * @param {string[]} [values] - The URIs of the governance areas or entities
+ * for a URI predicate, the object itself if they are not resolved yet.
+ * @returns {(string[][]|undefined)} - A list of `[property, term]` pairs or
+ * undefined if the predicate is invalid.
  */
-function mapPredicateObject(predicate, object) {
-    // TODO: Date predicates
+export function describePredicateObject(predicate, object, values) {
+    const uris = (values || [object]).map((value) => `<${escapeSparqlString(`${value}`)}>`);
+
     switch (predicate) {
+    case 'governanceAreaIs':
+        return uris.length === 1
+            ? [['sh:hasValue', uris[0]]]
+            : [['sh:in', createListQuery(uris)]];
+    case 'governanceAreaWithin':
+        return [['sh:in', createListQuery(uris)]];
+    case 'entityIs':
+        return [['sh:hasValue', uris[0]]];
+    case 'entityIn':
+        return [['sh:in', createListQuery(uris)]];
     case 'textEquals':
     case 'governanceAreaEquals':
-        return `sh:pattern "^${escapeSparqlString(object)}$"; sh:flags "i"`;
+        return [
+            ['sh:pattern', `"^${escapeSparqlString(escapeRegex(object))}$"`],
+            ['sh:flags', '"i"'],
+        ];
     case 'textContains':
-        return `sh:pattern "${escapeSparqlString(object)}"; sh:flags "i"`;
+        return [
+            ['sh:pattern', `"${escapeSparqlString(escapeRegex(object))}"`],
+            ['sh:flags', '"i"'],
+        ];
+    case 'containsAnyWord':
+        return [
+            ['sh:pattern', `"${escapeSparqlString(wordPattern(splitWords(object)))}"`],
+            ['sh:flags', '"i"'],
+        ];
+    case 'containsAllWords':
+        return [
+            ...splitWords(object).map((word) =>
+                ['sh:pattern', `"${escapeSparqlString(wordPattern([word]))}"`]),
+            ['sh:flags', '"i"'],
+        ];
+    case 'containsPhrase':
+        return [
+            ['sh:pattern', `"${escapeSparqlString(phrasePattern(object))}"`],
+            ['sh:flags', '"i"'],
+        ];
     case 'exists':
-        return 'sh:minCount 1';
+        return [['sh:minCount', '1']];
     case 'notExists':
-        return 'sh:maxCount 0';
+        return [['sh:maxCount', '0']];
+    case 'dateBefore':
+        return [['sh:maxInclusive', dateTimeLiteral(object)]];
+    case 'dateAfter':
+        return [['sh:minInclusive', dateTimeLiteral(object)]];
+    case 'dateBetween': {
+        const [start, end] = object.split('/');
+        return [
+            ['sh:minInclusive', dateTimeLiteral(start)],
+            ['sh:maxInclusive', dateTimeLiteral(end)],
+        ];
+    }
+    case 'withinNextDays':
+        return [
+            ['ext:relativeMinInclusive', dayDurationLiteral(0)],
+            ['ext:relativeMaxInclusive', dayDurationLiteral(parseInt(object))],
+        ];
+    case 'withinPastDays':
+        return [
+            ['ext:relativeMinInclusive', dayDurationLiteral(-parseInt(object))],
+            ['ext:relativeMaxInclusive', dayDurationLiteral(0)],
+        ];
     }
 }
 
+/**
+ * Map a frontend-predicate and -object to a SHACL constraint.
+ *
+ * @param {string} predicate - The predicate to map.
+ * @param {string} object - The object to map.
+ * @param {string[]} [values] - The resolved governance areas or entities for
+ * a URI predicate.
+ * @returns {string} - The SHACL constraint that can be used after a subject in
+ * a SPARQL query (without trailing period).
+ */
+function mapPredicateObject(predicate, object, values) {
+    return describePredicateObject(predicate, object, values)
+        ?.map(([property, term]) => `${property} ${term}`)
+        .join('; ');
+}
 
 /**
  * Create a URI for a list item.
@@ -87,6 +480,24 @@ function listURI() {
     return `http://lokaalbeslist.be/subscriptions/list/${uuid()}`;
 }
 
+/**
+ * Create a URI for the `sh:inversePath` node of an inverse path step.
+ *
+ * @returns {string} - The URI that can be used for the path node.
+ */
+function pathURI() {
+    return `http://lokaalbeslist.be/subscriptions/paths/${uuid()}`;
+}
+
+/**
+ * Create a URI for the `sh:not` shape of a negated filter.
+ *
+ * @returns {string} - The URI that can be used for the negated shape.
+ */
+function negationURI() {
+    return `http://lokaalbeslist.be/subscriptions/negations/${uuid()}`;
+}
+
 /**
  * Create an RDF list from a list of objects.
  *
@@ -114,6 +525,80 @@ function createListQuery(items) {
     return ret;
 }
 
+/**
+ * Find the governance areas (werkingsgebieden) a URI refers to: the
+ * werkingsgebied of a bestuurseenheid or the werkingsgebied itself, which is
+ * known when a bestuurseenheid governs it or other areas are contained in it.
+ * Areas are contained in another area when they are linked to it with
+ * `geo:sfWithin`, directly or through other areas.
+ *
+ * @param {string} uri - The URI of the bestuurseenheid or werkingsgebied.
+ * @param {boolean} includeContained - Whether to include the areas contained
+ * in the referred area.
+ * @returns {Promise<string[]>} - The URIs of the areas, empty if the URI does
+ * not refer to a known governance area.
+ */
+async function findGovernanceAreas(uri, includeContained) {
+    const result = await querySudo(`
+        PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+        PREFIX geo: <http://www.opengis.net/ont/geosparql#>
+
+        SELECT DISTINCT ?area WHERE {
+          {
+            <${escapeSparqlString(uri)}> besluit:werkingsgebied ?root.
+          } UNION {
+            ?unit besluit:werkingsgebied <${escapeSparqlString(uri)}>.
+            BIND(<${escapeSparqlString(uri)}> as ?root)
+          } UNION {
+            ?part geo:sfWithin <${escapeSparqlString(uri)}>.
+            BIND(<${escapeSparqlString(uri)}> as ?root)
+          }
+          ${includeContained ? '?area geo:sfWithin* ?root.' : 'BIND(?root as ?area)'}
+        }
+        ORDER BY ?area
+    `);
+
+    return result.results.bindings.map((binding) => binding['area']['value']);
+}
+
+/**
+ * Resolve the governance areas or entities a constraint with a URI predicate
+ * matches.
+ *
+ * @param {string} subject - The subject of the constraint.
+ * @param {string} predicate - The predicate of the constraint.
+ * @param {string} object - The object of the constraint, validated using
+ * `validateConstraint`.
+ * @returns {Promise<(string[]|undefined)>} - Resolves to the URIs, or
+ * undefined for other predicates. Rejects with an error message if the object
+ * does not refer to known governance areas or entities.
+ */
+export async function resolveConstraintValues(subject, predicate, object) {
+    if (!URI_PREDICATES.includes(predicate)) {
+        return undefined;
+    }
+
+    if (ENTITY_PREDICATES.includes(predicate)) {
+        const uris = [...new Set(entityUris(object))];
+        const found = await findEntities(subject, uris);
+        const unknown = uris.filter((uri) => !found.includes(uri));
+
+        if (unknown.length > 0) {
+            throw `Unknown ${ENTITY_SUBJECTS[subject].name}: '${unknown.join('\', \'')}'.`;
+        }
+
+        return uris.sort();
+    }
+
+    const areas = await findGovernanceAreas(object, predicate === 'governanceAreaWithin');
+
+    if (areas.length === 0) {
+        throw `Unknown governance area: '${object}'.`;
+    }
+
+    return areas;
+}
+
 /**
  * Find all the filters for the user with the given token.
  *
@@ -127,393 +612,1741 @@ export async function findFiltersForToken(token) {
         PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
 
         SELECT ?filterUri WHERE {
-            BIND("${token}" as ?userToken)
+            BIND("${escapeSparqlString(token)}" as ?userToken)
             ?user account:password ?userToken;
                   ext:hasSubscription ?filterUri.
         }
-    `);
-
-    if (!queryResult || !(queryResult.results)) {
-        return undefined;
-    }
+    `);
+
+    if (!queryResult || !(queryResult.results)) {
+        return undefined;
+    }
+
+    return await findFilters(
+        queryResult.results.bindings.map((binding) => binding['filterUri']['value'])
+    );
+}
+
+/**
+ * Find the user with the given token.
+ *
+ * @param {string} token - The token to look up.
+ * @returns {Promise<(string|undefined)>} - The URI of the user or undefined if
+ * no user has this token.
+ */
+export async function findUserForToken(token) {
+    const queryResult = await querySudo(`
+        PREFIX account: <http://mu.semte.ch/vocabularies/account/>
+        PREFIX schema: <http://schema.org/>
+
+        SELECT ?user WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user a schema:Person;
+                  account:password "${escapeSparqlString(token)}".
+          }
+        }
+    `);
+
+    return queryResult.results.bindings[0]?.['user']?.['value'];
+}
+
+/**
+ * Find the user with the given email address.
+ *
+ * @param {string} email - The email address to look up.
+ * @returns {Promise<(string|undefined)>} - The URI of the user or undefined if
+ * no user has this email address.
+ */
+export async function findUserForEmail(email) {
+    const queryResult = await querySudo(`
+        PREFIX schema: <http://schema.org/>
+
+        SELECT ?user WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user a schema:Person;
+                  schema:email "${escapeSparqlString(email)}".
+          }
+        }
+    `);
+
+    return queryResult.results.bindings[0]?.['user']['value'];
+}
+
+/**
+ * Find the users that own a filter or constraint, i.e. the users with a
+ * (pending) subscription on a filter that contains it.
+ *
+ * @param {string} uri - The URI of the filter or constraint.
+ * @returns {Promise<string[]>} - The URIs of the owners, empty if nobody owns
+ * the resource (yet).
+ */
+export async function findOwners(uri) {
+    const queryResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        SELECT DISTINCT ?user WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user ext:hasSubscription|ext:hasPendingSubscription ?root.
+            ?root (${REQUIREMENT_PATH})* <${escapeSparqlString(uri)}>.
+          }
+        }
+    `);
+
+    return queryResult.results.bindings.map((binding) => binding['user']['value']);
+}
+
+/**
+ * Check if a filter or constraint was left behind: it was created before a
+ * moment (resources without a creation date count as old, like in
+ * `collectGarbage`) or it has been part of a subscription that was cancelled.
+ *
+ * @param {string} uri - The URI of the filter or constraint.
+ * @param {Date} createdBefore - The moment before which resources are old.
+ * @returns {Promise<boolean>} - True if the resource exists and was left
+ * behind.
+ */
+export async function isAbandoned(uri, createdBefore) {
+    return await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        ASK WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(uri)}> ?predicate ?object.
+            OPTIONAL {
+              <${escapeSparqlString(uri)}> terms:created ?created.
+            }
+            FILTER(!BOUND(?created)
+              || ?created < "${createdBefore.toISOString()}"^^xsd:dateTime
+              || EXISTS {
+                ?unsubscription ext:unsubscribedFrom ?root.
+                ?root (${REQUIREMENT_PATH})* <${escapeSparqlString(uri)}>.
+              })
+          }
+        }
+    `).then((result) => result.boolean);
+}
+
+/**
+ * Check if a user is subscribed to a filter.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @param {string} filterUri - The URI of the filter.
+ * @returns {Promise<boolean>} - True if the user has an active subscription on
+ * the filter, false otherwise.
+ */
+export async function isSubscribed(userUri, filterUri) {
+    return await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        ASK WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> ext:hasSubscription <${escapeSparqlString(filterUri)}>.
+          }
+        }
+    `).then((result) => result.boolean);
+}
+
+/**
+ * Unsubscribe a user from one or all of their subscriptions. The
+ * `ext:hasSubscription` links are replaced by an `ext:Unsubscription` record
+ * so it remains known when and how the user unsubscribed.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @param {(string|undefined)} filterUri - The filter to unsubscribe from, or
+ * undefined to unsubscribe from all filters.
+ * @param {string} method - How the user unsubscribed, e.g. 'token' or
+ * 'one-click'.
+ * @returns {Promise<number>} - The amount of subscriptions that were removed.
+ */
+export async function unsubscribe(userUri, filterUri, method) {
+    const subscriptionsResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        SELECT ?filter WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> ext:hasSubscription ?filter.
+          }
+          ${filterUri ? `FILTER(?filter = <${escapeSparqlString(filterUri)}>)` : ''}
+        }
+    `);
+
+    const filterUris = subscriptionsResult.results.bindings.map(
+        (binding) => binding['filter']['value']
+    );
+
+    if (filterUris.length === 0) {
+        return 0;
+    }
+
+    const now = new Date().toISOString();
+
+    await updateSudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        DELETE DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ${filterUris.map((uri) => `<${escapeSparqlString(userUri)}> ext:hasSubscription <${uri}>.`).join('\n')}
+          }
+        };
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ${filterUris.map((uri) => `
+            <http://lokaalbeslist.be/subscriptions/unsubscriptions/${uuid()}> a ext:Unsubscription;
+                ext:unsubscribedUser <${escapeSparqlString(userUri)}>;
+                ext:unsubscribedFrom <${uri}>;
+                ext:unsubscriptionMethod "${escapeSparqlString(method)}";
+                terms:created "${now}"^^xsd:dateTime.`).join('\n')}
+          }
+        }
+    `);
+
+    return filterUris.length;
+}
+
+/**
+ * The predicates needed to assemble filters and constraints, by the name they
+ * are used with in `buildFilter` and `buildConstraint`.
+ */
+const TREE_PREDICATES = {
+    'first': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#first',
+    'rest': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest',
+    'and': 'http://www.w3.org/ns/shacl#and',
+    'or': 'http://www.w3.org/ns/shacl#or',
+    'not': 'http://www.w3.org/ns/shacl#not',
+    'hasValue': 'http://www.w3.org/ns/shacl#hasValue',
+    'in': 'http://www.w3.org/ns/shacl#in',
+    'frequency': 'http://mu.semte.ch/vocabularies/ext/subscriptionFrequency',
+    'name': 'http://purl.org/dc/terms/title',
+    'description': 'http://purl.org/dc/terms/description',
+    'paused': 'http://mu.semte.ch/vocabularies/ext/paused',
+    'activeUntil': 'http://mu.semte.ch/vocabularies/ext/activeUntil',
+    'weekday': 'http://schema.org/dayOfWeek',
+    'hour': 'http://mu.semte.ch/vocabularies/ext/preferredHour',
+    'timeZone': 'http://mu.semte.ch/vocabularies/ext/timeZone',
+    'subject': 'http://mu.semte.ch/vocabularies/ext/constraintSubject',
+    'predicate': 'http://mu.semte.ch/vocabularies/ext/constraintPredicate',
+    'object': 'http://mu.semte.ch/vocabularies/ext/constraintObject',
+};
+
+/**
+ * Load everything needed to assemble the filters and constraints with the
+ * given URIs, including all their sub-filters and constraints, in a single
+ * query.
+ *
+ * @param {string[]} uris - The URIs of the filters and constraints.
+ * @returns {Promise<Map<string, Map<string, string[]>>>} - The values of the
+ * loaded resources, by resource and predicate.
+ */
+async function loadResources(uris) {
+    const result = await querySudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        SELECT DISTINCT ?resource ?predicate ?value WHERE {
+          VALUES ?root {
+            ${uris.map((uri) => `<${escapeSparqlString(uri)}>`).join('\n')}
+          }
+          VALUES ?predicate {
+            ${Object.values(TREE_PREDICATES).map((predicate) => `<${predicate}>`).join('\n')}
+          }
+
+          ?root (${REQUIREMENT_PATH})* ?member.
+          ?member (sh:not|(sh:not?/(sh:and|sh:or)/rdf:rest*)|(sh:in/rdf:rest*))? ?resource.
+          ?resource ?predicate ?value.
+        }
+    `);
+
+    const resources = new Map();
+
+    for (const binding of result.results.bindings) {
+        const resource = binding['resource']['value'];
+        const predicate = binding['predicate']['value'];
+
+        if (!resources.has(resource)) {
+            resources.set(resource, new Map());
+        }
+
+        const values = resources.get(resource);
+
+        values.set(predicate, [...(values.get(predicate) || []), binding['value']['value']]);
+    }
+
+    return resources;
+}
+
+/**
+ * Get the first value of a loaded resource for a predicate.
+ *
+ * @param {Map<string, Map<string, string[]>>} resources - The loaded
+ * resources.
+ * @param {string} uri - The URI of the resource.
+ * @param {string} name - The name of the predicate in `TREE_PREDICATES`.
+ * @returns {(string|undefined)} - The value or undefined if there is none.
+ */
+function loadedValue(resources, uri, name) {
+    return resources.get(uri)?.get(TREE_PREDICATES[name])?.[0];
+}
+
+/**
+ * Get the members of a loaded RDF list, in order.
+ *
+ * @param {Map<string, Map<string, string[]>>} resources - The loaded
+ * resources.
+ * @param {(string|undefined)} list - The URI of the first node of the list.
+ * @returns {string[]} - The members of the list.
+ */
+function loadedList(resources, list) {
+    const members = [];
+    const visited = new Set();
+
+    for (let node = list; resources.has(node) && !visited.has(node); node = loadedValue(resources, node, 'rest')) {
+        visited.add(node);
+
+        const member = loadedValue(resources, node, 'first');
+
+        if (member !== undefined) {
+            members.push(member);
+        }
+    }
+
+    return members;
+}
+
+/**
+ * Get the URIs the label of a URI constraint describes: what the user picked,
+ * not the resolved areas.
+ *
+ * @param {string} predicate - The predicate of the constraint.
+ * @param {string} object - The object of the constraint.
+ * @returns {string[]} - The URIs.
+ */
+function constraintLabelObjects(predicate, object) {
+    return ENTITY_PREDICATES.includes(predicate) ? entityUris(object) : [object];
+}
+
+/**
+ * Find the labels of the governance areas and entities the URI constraints
+ * among the loaded resources refer to.
+ *
+ * @param {Map<string, Map<string, string[]>>} resources - The loaded
+ * resources.
+ * @returns {Promise<Map<string, string>>} - The labels, by URI.
+ */
+async function findConstraintLabels(resources) {
+    const objects = [...resources.keys()]
+        .filter((uri) => URI_PREDICATES.includes(loadedValue(resources, uri, 'predicate')))
+        .flatMap((uri) => constraintLabelObjects(
+            loadedValue(resources, uri, 'predicate'),
+            loadedValue(resources, uri, 'object') || ''
+        ));
+
+    return objects.length > 0 ? await findLabels([...new Set(objects)]) : new Map();
+}
+
+/**
+ * Assemble a SubscriptionFilterConstraint from the loaded resources.
+ *
+ * @param {string} uri - The URI of the constraint.
+ * @param {Map<string, Map<string, string[]>>} resources - The loaded
+ * resources.
+ * @param {Map<string, string>} labels - The labels of the URIs the constraints
+ * refer to.
+ * @returns {(SubscriptionFilterConstraint|undefined)} - The constraint or
+ * undefined if it was not loaded or is invalid.
+ */
+function buildConstraint(uri, resources, labels) {
+    const subject = loadedValue(resources, uri, 'subject');
+    const predicate = loadedValue(resources, uri, 'predicate');
+    const object = loadedValue(resources, uri, 'object');
+
+    if (subject === undefined || predicate === undefined || object === undefined) {
+        return undefined;
+    }
+
+    const uriParts = uri.split('/');
+    const constraint = {
+        'id': uriParts[uriParts.length - 1],
+        'subject': subject,
+        'predicate': predicate,
+        'object': object,
+    };
+
+    if (URI_PREDICATES.includes(predicate)) {
+        const values = resources.get(uri);
+
+        constraint.values = [
+            ...(values.get(TREE_PREDICATES.hasValue) || []),
+            ...(values.get(TREE_PREDICATES.in) || [])
+                .flatMap((list) => loadedList(resources, list)),
+        ].sort();
+
+        constraint.label = constraintLabelObjects(predicate, object)
+            .filter((object) => labels.has(object))
+            .map((object) => labels.get(object))
+            .join(', ') || undefined;
+    }
+
+    return constraint;
+}
+
+/**
+ * Assemble a SubscriptionFilter from the loaded resources.
+ *
+ * @param {string} uri - The URI of the filter.
+ * @param {Map<string, Map<string, string[]>>} resources - The loaded
+ * resources.
+ * @param {Map<string, string>} labels - The labels of the URIs the constraints
+ * refer to.
+ * @param {Set<string>} [ancestors] - The URIs of the filters that contain this
+ * filter, used to break cycles in the stored filters.
+ * @returns {(SubscriptionFilter|undefined)} - The filter or undefined if it
+ * was not loaded, has no members or contains itself.
+ */
+function buildFilter(uri, resources, labels, ancestors=new Set()) {
+    if (ancestors.has(uri)) {
+        return undefined;
+    }
+
+    const negation = loadedValue(resources, uri, 'not');
+    const shape = negation === undefined ? uri : negation;
+    const andList = loadedValue(resources, shape, 'and');
+    const members = loadedList(resources, andList === undefined
+        ? loadedValue(resources, shape, 'or')
+        : andList);
+
+    if (members.length === 0) {
+        return undefined;
+    }
+
+    const filterUriParts = uri.split('/');
+    const memberAncestors = new Set([...ancestors, uri]);
+    const hour = loadedValue(resources, uri, 'hour');
+
+    return {
+        'id': filterUriParts[filterUriParts.length - 1],
+        'require-all': andList !== undefined,
+        'negate': negation !== undefined,
+        'constraints': members
+            .map((member) => buildConstraint(member, resources, labels))
+            .filter((x) => !!x),
+        'sub-filters': members
+            .map((member) => buildFilter(member, resources, labels, memberAncestors))
+            .filter((x) => !!x),
+        'frequency': loadedValue(resources, uri, 'frequency'),
+        'name': loadedValue(resources, uri, 'name'),
+        'description': loadedValue(resources, uri, 'description'),
+        'paused': ['true', '1'].includes(loadedValue(resources, uri, 'paused')),
+        'active-until': loadedValue(resources, uri, 'activeUntil'),
+        'weekday': weekdayFromUri(loadedValue(resources, uri, 'weekday')),
+        'hour': hour === undefined ? undefined : parseInt(hour),
+        'time-zone': loadedValue(resources, uri, 'timeZone'),
+    };
+}
+
+/**
+ * Get the SubscriptionFilterConstraint from a given URI.
+ *
+ * @param {string} uri - The URI to load.
+ * @returns {Promise<SubscriptionFilterConstraint|undefined>} - The
+ * corresponding constraint or undefined if the constraint does not exist or is
+ * invalid.
+ */
+export async function findConstraint(uri) {
+    const resources = await loadResources([uri]);
+
+    return buildConstraint(uri, resources, await findConstraintLabels(resources));
+}
+
+/**
+ * Look up filter URIs in the database and return them as SubscriptionFilters.
+ * The whole trees are loaded in a fixed number of queries, however many
+ * filters and constraints they contain.
+ *
+ * @param {string[]} uris - The URIs to look up.
+ * @returns {Promise<(SubscriptionFilter|undefined)[]>} - The filters converted
+ * to how the frontend expects them, in the same order as the URIs, undefined
+ * for the filters that do not exist.
+ */
+export async function findFilters(uris) {
+    if (uris.length === 0) {
+        return [];
+    }
+
+    const resources = await loadResources(uris);
+    const labels = await findConstraintLabels(resources);
+
+    return uris.map((uri) => buildFilter(uri, resources, labels));
+}
+
+/**
+ * Look up a filter URI in the database and return it as a SubscriptionFilter
+ *
+ * @param {string} uri - The URI to look up.
+ * @returns {Promise<SubscriptionFilter|undefined>} - The filter converted to how
+ * the frontend expects it or undefined if the filter does not exist.
+ */
+export async function findFilter(uri) {
+    return (await findFilters([uri]))[0];
+}
+
+/**
+ * Resolve a JSON:API document describing a (possibly unsaved) filter tree into
+ * a SubscriptionFilter. Relationships can either refer to existing resources
+ * by `id` or to resources in the `included` array of the document by `lid`.
+ * Resources that are not stored yet have a `lid` instead of an `id`.
+ *
+ * @param {object} document - The JSON:API document to resolve.
+ * @returns {Promise<SubscriptionFilter>} - Resolves to the filter tree,
+ * rejects with an error message if the document is invalid or refers to
+ * resources that do not exist.
+ */
+export async function resolveFilterDocument(document) {
+    const included = document.included || [];
+
+    const findIncluded = (identifier) => included.find((resource) =>
+        resource.type === identifier.type &&
+        identifier.lid !== undefined &&
+        resource.lid === identifier.lid
+    );
+
+    const resolveConstraint = async (identifier) => {
+        if (identifier.type !== 'subscription-filter-constraints') {
+            throw `Expected type 'subscription-filter-constraints' but got '${identifier.type}'.`;
+        }
+
+        const resource = findIncluded(identifier);
+
+        if (resource === undefined) {
+            const constraint = identifier.id !== undefined
+                ? await findConstraint(`http://lokaalbeslist.be/subscriptions/constraints/${identifier.id}`)
+                : undefined;
+
+            if (constraint === undefined) {
+                throw `Invalid constraint: '${identifier.id || identifier.lid}'.`;
+            }
+
+            return constraint;
+        }
+
+        const attributes = resource.attributes || {};
+        const invalidConstraint = validateConstraint(
+            attributes['subject'],
+            attributes['predicate'],
+            attributes['object']
+        );
+
+        if (invalidConstraint !== undefined) {
+            throw invalidConstraint;
+        }
+
+        return {
+            'lid': resource.lid,
+            'subject': attributes['subject'],
+            'predicate': attributes['predicate'],
+            'object': attributes['object'],
+            'values': await resolveConstraintValues(
+                attributes['subject'],
+                attributes['predicate'],
+                attributes['object']
+            ),
+        };
+    };
+
+    const resolveFilter = async (resource, visiting) => {
+        if (resource.type !== 'subscription-filters') {
+            throw `Expected type 'subscription-filters' but got '${resource.type}'.`;
+        }
+
+        if (visiting.has(resource.lid)) {
+            throw `Sub-filter '${resource.lid}' contains itself.`;
+        }
+
+        const attributes = resource.attributes || {};
+        const relationships = resource.relationships || {};
+
+        if (!Object.prototype.hasOwnProperty.call(attributes, 'require-all')) {
+            throw 'Missing attribute: \'require-all\'.';
+        }
+
+        const constraints = await Promise.all(
+            (relationships.constraints?.data || []).map(resolveConstraint)
+        );
+
+        const subFilters = await Promise.all(
+            (relationships['sub-filters']?.data || []).map(async (identifier) => {
+                const subResource = findIncluded(identifier);
+
+                if (subResource !== undefined) {
+                    return resolveFilter(
+                        subResource,
+                        new Set([...visiting, resource.lid])
+                    );
+                }
+
+                const subFilter = identifier.type === 'subscription-filters' && identifier.id !== undefined
+                    ? await findFilter(`http://lokaalbeslist.be/subscriptions/filters/${identifier.id}`)
+                    : undefined;
+
+                if (subFilter === undefined) {
+                    throw `Invalid sub-filter: '${identifier.id || identifier.lid}'.`;
+                }
+
+                return subFilter;
+            })
+        );
+
+        if (constraints.length === 0 && subFilters.length === 0) {
+            throw 'Need at least one constraint or subFilter';
+        }
+
+        return {
+            'id': resource.id,
+            'lid': resource.lid,
+            'require-all': !!attributes['require-all'],
+            'negate': !!attributes['negate'],
+            'constraints': constraints,
+            'sub-filters': subFilters,
+            'frequency': attributes['frequency'],
+        };
+    };
+
+    if (!document.data) {
+        throw 'No data was sent.';
+    }
+
+    return resolveFilter(document.data, new Set());
+}
+
+/**
+ * The prefixes used in the triples of constraints and filters.
+ */
+const WRITE_PREFIXES = `
+    PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+    PREFIX prov: <http://www.w3.org/ns/prov#>
+    PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+    PREFIX terms: <http://purl.org/dc/terms/>
+    PREFIX sh: <http://www.w3.org/ns/shacl#>
+    PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+    PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+    PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+`;
+
+/**
+ * Create the triples describing a new constraint, to be used in a SPARQL
+ * update with `WRITE_PREFIXES`.
+ *
+ * @param {string} constraintUri - The URI of the constraint.
+ * @param {string} subject - The subject for the constraint.
+ * @param {string} predicate - The predicate for the constraint.
+ * @param {string} object - The object for the constraint, should be
+ * validated using `validateConstraint`.
+ * @param {string[]} [values] - The governance areas or entities for a URI
+ * predicate, see `resolveConstraintValues`.
+ * @returns {string} - The triples, ending with a period.
+ */
+function constraintTriples(constraintUri, subject, predicate, object, values) {
+    return `
+        <${escapeSparqlString(constraintUri)}> ext:constraintSubject "${escapeSparqlString(subject)}";
+                           ext:constraintPredicate "${escapeSparqlString(predicate)}";
+                           ext:constraintObject "${escapeSparqlString(`${object}`)}";
+                           terms:created "${new Date().toISOString()}"^^xsd:dateTime;
+                           sh:path ${mapSubject(subject, predicate)}.
+
+        <${escapeSparqlString(constraintUri)}> ${mapPredicateObject(predicate, object, values)}.
+    `;
+}
+
+/**
+ * Store a new constraint to the database.
+ *
+ * @param {string} constraintUri - The URI where the constraint needs to be
+ * saved.
+ * @param {string} subject - The subject for the constraint.
+ * @param {string} predicate - The predicate for the constraint.
+ * @param {string} object - The object for the constraint.
+ * @returns {Promise} - Resolves when the SPARQL query has been executed,
+ * rejects with an error message if the input was invalid or the query failed.
+ */
+export function createConstraint(constraintUri, subject, predicate, object) {
+    return new Promise((resolve, reject) => {
+        const invalidConstraint = validateConstraint(subject, predicate, object);
+
+        if (invalidConstraint !== undefined) {
+            return reject(invalidConstraint);
+        }
+
+        return resolveConstraintValues(subject, predicate, object)
+            .then((values) => updateSudo(`
+                ${WRITE_PREFIXES}
+
+                INSERT {
+                GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                  ${constraintTriples(constraintUri, subject, predicate, object, values)}
+                }
+                } WHERE {}
+            `)).then(resolve).catch(reject);
+    });
+}
+
+/**
+ * Replace an existing constraint with a new subject, predicate and object. The
+ * constraint keeps its URI, so all filters using it keep doing so.
+ *
+ * @param {string} constraintUri - The URI of the constraint.
+ * @param {string} subject - The new subject for the constraint.
+ * @param {string} predicate - The new predicate for the constraint.
+ * @param {string} object - The new object for the constraint.
+ * @returns {Promise} - Resolves when the constraint has been replaced, rejects
+ * with an error message if the input was invalid or the query failed.
+ */
+export async function updateConstraint(constraintUri, subject, predicate, object) {
+    const invalidConstraint = validateConstraint(subject, predicate, object);
+
+    if (invalidConstraint !== undefined) {
+        throw invalidConstraint;
+    }
+
+    // Fail before the old constraint is cleared if the governance area or
+    // entity is unknown.
+    await resolveConstraintValues(subject, predicate, object);
+
+    await clearConstraint(constraintUri);
+    await createConstraint(constraintUri, subject, predicate, object);
+}
+
+/**
+ * Remove all the triples of a constraint, including the list and
+ * `sh:inversePath` nodes of its `sh:path` and the list nodes of its `sh:in`.
+ * References to the constraint from filters are left untouched.
+ *
+ * @param {string} constraintUri - The URI to clear.
+ * @returns {Promise} - Resolves when the deletion succeeds, rejects when the
+ * SPARQL query fails.
+ */
+function clearConstraint(constraintUri) {
+    return updateSudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        DELETE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?node ?nodeP ?nodeO.
+          }
+        } WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            {
+              <${escapeSparqlString(constraintUri)}> (sh:path|sh:in)/rdf:rest* ?node.
+            } UNION {
+              <${escapeSparqlString(constraintUri)}> sh:path/rdf:rest*/rdf:first ?node.
+              ?node sh:inversePath ?inverse.
+            }
+            ?node ?nodeP ?nodeO.
+          }
+        };
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(constraintUri)}> ?p ?o.
+          }
+        }
+    `);
+}
+
+/**
+ * Remove a constraint or filter from all the `sh:and`/`sh:or` lists it is a
+ * member of, linking the previous list node (or the filter itself) to the
+ * next list node.
+ *
+ * @param {string} uri - The URI of the constraint or filter.
+ * @returns {Promise} - Resolves when the resource has been removed from all
+ * lists, rejects when the SPARQL query fails.
+ */
+function removeFromLists(uri) {
+    return updateSudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        DELETE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?previous rdf:rest ?node.
+            ?filter ?andOr ?node.
+            ?node rdf:first <${escapeSparqlString(uri)}>;
+                  rdf:rest ?next.
+          }
+        } INSERT {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?previous rdf:rest ?next.
+            ?filter ?andOr ?next.
+          }
+        } WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?node rdf:first <${escapeSparqlString(uri)}>;
+                  rdf:rest ?next.
+
+            OPTIONAL {
+              ?previous rdf:rest ?node.
+            }
+
+            OPTIONAL {
+              ?filter ?andOr ?node.
+              VALUES ?andOr {
+                sh:and
+                sh:or
+              }
+            }
+          }
+        }
+    `);
+}
+
+/**
+ * Check if a constraint or filter is still used, either as a member of a
+ * `sh:and`/`sh:or` list or as a (pending) subscription of a user.
+ *
+ * @param {string} uri - The URI of the constraint or filter.
+ * @returns {Promise<boolean>} - True if the resource is still used, false
+ * otherwise.
+ */
+async function isReferenced(uri) {
+    return await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        ASK WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?s rdf:first|ext:hasSubscription|ext:hasPendingSubscription <${escapeSparqlString(uri)}>.
+          }
+        }
+    `).then((result) => result.boolean);
+}
+
+/**
+ * Delete the constraints and filters that are no longer used by any filter or
+ * user, including everything they contain that is not used elsewhere.
+ *
+ * @param {string[]} uris - The URIs of the constraints and filters to check.
+ * @returns {Promise} - Resolves when all the unused resources are deleted.
+ */
+export async function deleteUnreferenced(uris) {
+    for (const uri of uris) {
+        if (await isReferenced(uri)) {
+            continue;
+        }
+
+        if (await existsFilter(uri)) {
+            await deleteFilter(uri);
+        } else {
+            await clearConstraint(uri);
+        }
+    }
+}
+
+/**
+ * Delete a constraint from the database. The constraint is removed from all
+ * the filters that use it.
+ *
+ * @param {string} constraintUri - The URI to delete.
+ * @returns {Promise} - Resolves when the deletion succeeds, rejects when the
+ * SPARQL query fails.
+ */
+export async function deleteConstraint(constraintUri) {
+    await removeFromLists(constraintUri);
+    await clearConstraint(constraintUri);
+}
+
+/**
+ * Remove the `sh:and`/`sh:or` list of a filter, including all its list nodes
+ * and the `sh:not` shape of a negated filter.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @returns {Promise<string[]>} - The URIs of the constraints and sub-filters
+ * that were in the list.
+ */
+async function removeRequirements(filterUri) {
+    const membersResult = await querySudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        SELECT DISTINCT ?member WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> ${REQUIREMENT_PATH} ?member.
+          }
+        }
+    `);
+
+    await updateSudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        DELETE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?node ?nodeP ?nodeO.
+          }
+        } WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> sh:not?/(sh:and|sh:or)/rdf:rest* ?node.
+            ?node ?nodeP ?nodeO.
+          }
+        };
+
+        DELETE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?shape ?andOr ?list.
+            <${escapeSparqlString(filterUri)}> sh:not ?shape.
+          }
+        } WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> sh:not? ?shape.
+            ?shape ?andOr ?list.
+            VALUES ?andOr {
+              sh:and
+              sh:or
+            }
+          }
+        }
+    `);
+
+    return membersResult.results.bindings.map((binding) => binding['member']['value']);
+}
+
+/**
+ * Delete a filter from the database. This also deletes the constraints and
+ * sub-filters it contains that are not used elsewhere, removes the filter from
+ * the filters that use it and unsubscribes all the users that are subscribed
+ * to it.
+ *
+ * @param {string} filterUri - The URI to delete.
+ * @returns {Promise} - Resolves when the deletion succeeds, rejects when the
+ * SPARQL query fails.
+ */
+export async function deleteFilter(filterUri) {
+    const members = await removeRequirements(filterUri);
+
+    await removeFromLists(filterUri);
+
+    const subscribersResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        SELECT DISTINCT ?user WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user ext:hasSubscription <${escapeSparqlString(filterUri)}>.
+          }
+        }
+    `);
+
+    for (const binding of subscribersResult.results.bindings) {
+        await unsubscribe(binding['user']['value'], filterUri, 'filter-deleted');
+    }
+
+    await updateSudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user ext:hasPendingSubscription <${escapeSparqlString(filterUri)}>.
+          }
+        };
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?confirmation ext:confirmsSubscription <${escapeSparqlString(filterUri)}>;
+                          ?p ?o.
+          }
+        };
+
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> ?p ?o.
+          }
+        }
+    `);
+
+    await deleteUnreferenced(members);
+}
+
+/**
+ * Find the filters one level up or down the filter trees from the given
+ * filters.
+ *
+ * @param {string[]} uris - The URIs of the filters to start from.
+ * @param {boolean} up - Find the filters containing the given filters if true,
+ * the sub-filters of the given filters if false.
+ * @returns {Promise<string[]>} - The URIs of the found filters.
+ */
+async function neighbouringFilters(uris, up) {
+    const result = await querySudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        SELECT DISTINCT ?neighbour WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            VALUES ?filter {
+              ${uris.map((uri) => `<${escapeSparqlString(uri)}>`).join('\n')}
+            }
+
+            ${up ? '?neighbour' : '?filter'} ${REQUIREMENT_PATH} ${up ? '?filter' : '?neighbour'}.
+            ?neighbour a sh:NodeShape.
+          }
+        }
+    `);
+
+    return result.results.bindings.map((binding) => binding['neighbour']['value']);
+}
+
+/**
+ * Count the levels of filters in the filter trees above or below the given
+ * filters, the given filters themselves included. Counting stops once more
+ * than `MAX_FILTER_DEPTH` levels are found, which also ends the count for
+ * cycles that are already stored.
+ *
+ * @param {string[]} uris - The URIs of the filters to start from.
+ * @param {boolean} up - Count the filters containing the given filters if
+ * true, the sub-filters of the given filters if false.
+ * @returns {Promise<number>} - The amount of levels.
+ */
+async function countFilterLevels(uris, up) {
+    let levels = 0;
+    let current = uris;
+
+    while (current.length > 0 && levels <= MAX_FILTER_DEPTH) {
+        levels++;
+        current = await neighbouringFilters(current, up);
+    }
+
+    return levels;
+}
+
+/**
+ * Check if the constraints and sub-filters for a filter are valid.
+ *
+ * @param {(object[]|undefined)} constraints - The constraints for the filter.
+ * @param {(object[]|undefined)} subFilters - The subfilters for the filter.
+ * @param {string} [filterUri] - The URI of the filter, if it is already
+ * stored, to check that it does not end up containing itself.
+ * @returns {Promise} - Resolves if they are valid, rejects with an error
+ * message otherwise.
+ */
+async function validateRequirements(constraints, subFilters, filterUri) {
+    // Check if the constraints are valid
+    if (constraints && constraints.length > 0) {
+        const invalidConstraintsResults = await Promise.all(constraints.map(
+            async (constraint) => !await verifyConstraint(constraint)
+        ));
+        const invalidConstraints = constraints.filter(
+            (_, index) => invalidConstraintsResults[index]
+        );
+
+        if (invalidConstraints.length == 1) {
+            throw `Invalid constraint: '${invalidConstraints[0].id}'.`;
+        } else if (invalidConstraints.length > 1) {
+            throw `Invalid constraint: '${invalidConstraints.map((x) => x.id).join('\', \'')}'.`;
+        }
+    }
+
+    // Check if the subfilters are valid.
+    if (subFilters && subFilters.length > 0) {
+        const invalidSubFilterResults = await Promise.all(subFilters.map(
+            async (subFilter) => !await verifyFilter(subFilter)
+        ));
+        const invalidSubFilters = subFilters.filter(
+            (_, index) => invalidSubFilterResults[index]
+        );
+
+        if (invalidSubFilters.length == 1) {
+            throw `Invalid sub-filter: '${invalidSubFilters[0].id}'.`;
+        } else if (invalidSubFilters.length > 1) {
+            throw `Invalid sub-filter: '${invalidSubFilters.map((x) => x.id).join('\', \'')}'.`;
+        }
+    }
+
+    if ((constraints || []).length === 0 && (subFilters || []).length === 0) {
+        throw 'Need at least one constraint or subFilter';
+    }
+
+    const subFilterUris = (subFilters || []).map(
+        (subFilter) => `http://lokaalbeslist.be/subscriptions/filters/${subFilter.id}`
+    );
+
+    if (filterUri !== undefined && subFilterUris.length > 0) {
+        const containsItself = await querySudo(`
+            PREFIX sh: <http://www.w3.org/ns/shacl#>
+            PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+            ASK WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                VALUES ?subFilter {
+                  ${subFilterUris.map((uri) => `<${escapeSparqlString(uri)}>`).join('\n')}
+                }
+
+                ?subFilter (${REQUIREMENT_PATH})* <${escapeSparqlString(filterUri)}>.
+              }
+            }
+        `).then((result) => result.boolean);
+
+        if (containsItself) {
+            throw 'A filter can not contain itself, directly or through its sub-filters.';
+        }
+    }
+
+    const levelsAbove = filterUri !== undefined
+        ? await countFilterLevels([filterUri], true) - 1
+        : 0;
+    const levelsBelow = await countFilterLevels(subFilterUris, false);
+
+    if (levelsAbove + 1 + levelsBelow > MAX_FILTER_DEPTH) {
+        throw `Filters can not be nested more than ${MAX_FILTER_DEPTH} levels deep.`;
+    }
+}
+
+/**
+ * Create the `sh:and`/`sh:or` part of a filter. For a negated filter the list
+ * is put in a separate shape that is linked with `sh:not`.
+ *
+ * @param {boolean} requireAll - Whether or not all the constraints need to be
+ * fulfilled (if true) or just one (if false).
+ * @param {(object[]|undefined)} constraints - The constraints for the filter.
+ * @param {(object[]|undefined)} subFilters - The subfilters for the filter.
+ * @param {boolean} [negate=false] - Whether or not the filter should match
+ * when its requirements are not met.
+ * @returns {string} - The predicate and object that can be used after the
+ * filter in a SPARQL query (without trailing period).
+ */
+function requirementsQuery(requireAll, constraints, subFilters, negate=false) {
+    const requirements = [
+        ...(constraints || []).map((constraint) =>
+            `<http://lokaalbeslist.be/subscriptions/constraints/${constraint.id}>`
+        ),
+        ...(subFilters || []).map((subFilter) =>
+            `<http://lokaalbeslist.be/subscriptions/filters/${subFilter.id}>`
+        ),
+    ];
+
+    const list = `${requireAll ? 'sh:and' : 'sh:or'} ${createListQuery(requirements)}`;
+
+    if (!negate) {
+        return list;
+    }
+
+    const negation = negationURI();
+
+    return `sh:not <${negation}>.\n<${negation}> ${list}`;
+}
+
+/**
+ * Count the levels of filters in a filter tree, a filter without sub-filters
+ * is one level deep.
+ *
+ * @param {SubscriptionFilter} filter - The filter tree.
+ * @returns {number} - The amount of levels.
+ */
+function filterTreeDepth(filter) {
+    return 1 + Math.max(0, ...filter['sub-filters'].map(filterTreeDepth));
+}
+
+/**
+ * Store a filter tree, as resolved by `resolveFilterDocument`, to the
+ * database. Constraints and sub-filters with an `id` are expected to exist
+ * already, the ones with only a `lid` are created. Everything is written in a
+ * single SPARQL update, so either the whole tree is stored or nothing is.
+ *
+ * @param {SubscriptionFilter} filter - The root of the filter tree.
+ * @returns {Promise<SubscriptionFilter>} - Resolves to the stored filter tree,
+ * where all the created resources received an `id`, rejects with an error
+ * message if the tree is invalid or the query failed.
+ */
+export async function createFilterTree(filter) {
+    if (filterTreeDepth(filter) > MAX_FILTER_DEPTH) {
+        throw `Filters can not be nested more than ${MAX_FILTER_DEPTH} levels deep.`;
+    }
+
+    // Resources that are referred to more than once by the same lid are only
+    // created once.
+    const created = new Map();
+    const triples = [];
+
+    const storeConstraint = (constraint) => {
+        if (constraint.id !== undefined) {
+            return constraint;
+        }
+
+        const key = `subscription-filter-constraints/${constraint.lid}`;
+
+        if (!created.has(key)) {
+            const id = uuid();
+
+            triples.push(constraintTriples(
+                `http://lokaalbeslist.be/subscriptions/constraints/${id}`,
+                constraint.subject,
+                constraint.predicate,
+                constraint.object,
+                constraint.values
+            ));
+            created.set(key, { ...constraint, 'id': id });
+        }
+
+        return created.get(key);
+    };
+
+    const storeFilter = (filter, isRoot) => {
+        if (!isRoot && filter.id !== undefined) {
+            return filter;
+        }
+
+        const key = `subscription-filters/${filter.lid}`;
+
+        if (!isRoot && created.has(key)) {
+            return created.get(key);
+        }
+
+        const id = uuid();
+        const constraints = filter.constraints.map(storeConstraint);
+        const subFilters = filter['sub-filters'].map(
+            (subFilter) => storeFilter(subFilter, false)
+        );
+
+        triples.push(`
+            <http://lokaalbeslist.be/subscriptions/filters/${id}> a sh:NodeShape;
+                sh:targetClass besluit:Agendapunt;
+                terms:created "${new Date().toISOString()}"^^xsd:dateTime;
+                ${requirementsQuery(filter['require-all'], constraints, subFilters, filter['negate'])}.
+        `);
+
+        const stored = {
+            ...filter,
+            'id': id,
+            'constraints': constraints,
+            'sub-filters': subFilters,
+        };
+
+        if (!isRoot) {
+            created.set(key, stored);
+        }
+
+        return stored;
+    };
+
+    const stored = storeFilter(filter, true);
+
+    await updateSudo(`
+        ${WRITE_PREFIXES}
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ${triples.join('\n')}
+          }
+        }
+    `);
+
+    return stored;
+}
+
+/**
+ * Replace the constraints and sub-filters of an existing filter. The filter
+ * keeps its URI and subscriptions, constraints and sub-filters that are no
+ * longer used by any filter afterwards are deleted.
+ *
+ * @param {string} filterUri - The URI of the filter.
+ * @param {boolean} requireAll - Whether or not all the constraints need to be
+ * fulfilled (if true) or just one (if false).
+ * @param {(object[]|undefined)} constraints - The new constraints of the filter.
+ * @param {(object[]|undefined)} subFilters - The new subfilters of the filter.
+ * @param {boolean} [negate=false] - Whether or not the filter should match
+ * when its requirements are not met.
+ * @returns {Promise} - Resolves when the filter has been replaced, rejects
+ * with an error message if the input was invalid or the query failed.
+ */
+export async function updateFilter(filterUri, requireAll, constraints, subFilters, negate=false) {
+    await validateRequirements(constraints, subFilters, filterUri);
+
+    const oldMembers = await removeRequirements(filterUri);
+
+    await updateSudo(`
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterUri)}> ${requirementsQuery(requireAll, constraints, subFilters, negate)}.
+          }
+        }
+    `);
+
+    await deleteUnreferenced(oldMembers);
+}
+
+/**
+ * Find and remove all the garbage in the subscriptions graph: subscriptions
+ * and confirmations for filters that no longer exist, filters and constraints
+ * that are not used by any filter or user, and list and inverse path nodes
+ * that are not part of any list or constraint. Filters and constraints that
+ * were created less than `graceHours` ago are kept, as they might still be
+ * used by a filter that is being built.
+ *
+ * @param {number} graceHours - The minimal age, in hours, of unused filters
+ * and constraints before they are removed.
+ * @returns {Promise<object>} - The amount of removed `subscriptions`,
+ * `filters`, `constraints` and `list-nodes`.
+ */
+export async function collectGarbage(graceHours) {
+    const removeBefore = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+    let removed = {
+        'subscriptions': 0,
+        'filters': 0,
+        'constraints': 0,
+        'list-nodes': 0,
+    };
+
+    const danglingResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX sh: <http://www.w3.org/ns/shacl#>
+
+        SELECT ?subject ?link ?filter WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?subject ?link ?filter.
+            VALUES ?link {
+              ext:hasSubscription
+              ext:hasPendingSubscription
+              ext:confirmsSubscription
+            }
+            FILTER NOT EXISTS {
+              ?filter a sh:NodeShape.
+            }
+          }
+        }
+    `);
+
+    for (const binding of danglingResult.results.bindings) {
+        const subject = binding['subject']['value'];
+        const link = binding['link']['value'];
+        const filter = binding['filter']['value'];
+
+        await updateSudo(`
+            DELETE WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                ${link.endsWith('confirmsSubscription') ? `<${subject}> ?p ?o.` : `<${subject}> <${link}> <${filter}>.`}
+              }
+            }
+        `);
+
+        removed['subscriptions'] += 1;
+    }
+
+    let removedInPass;
+    do {
+        removedInPass = 0;
+
+        const unusedResult = await querySudo(`
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+            PREFIX sh: <http://www.w3.org/ns/shacl#>
+            PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+            PREFIX terms: <http://purl.org/dc/terms/>
+            PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+            SELECT DISTINCT ?resource ?isFilter WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                {
+                  ?resource a sh:NodeShape.
+                  BIND(true as ?isFilter)
+                } UNION {
+                  ?resource ext:constraintSubject ?subject.
+                  BIND(false as ?isFilter)
+                }
+                FILTER NOT EXISTS {
+                  ?s rdf:first|ext:hasSubscription|ext:hasPendingSubscription ?resource.
+                }
+                OPTIONAL {
+                  ?resource terms:created ?created.
+                }
+              }
+              FILTER(!BOUND(?created) || ?created < "${removeBefore.toISOString()}"^^xsd:dateTime)
+            }
+        `);
+
+        for (const binding of unusedResult.results.bindings) {
+            const uri = binding['resource']['value'];
+
+            if (binding['isFilter']['value'] === 'true') {
+                await deleteFilter(uri);
+                removed['filters'] += 1;
+            } else {
+                await clearConstraint(uri);
+                removed['constraints'] += 1;
+            }
+            removedInPass += 1;
+        }
+
+        const orphanNodesResult = await querySudo(`
+            PREFIX sh: <http://www.w3.org/ns/shacl#>
+            PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+
+            SELECT DISTINCT ?node WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                {
+                  ?node rdf:first ?item.
+                } UNION {
+                  ?node sh:inversePath ?inverse.
+                } UNION {
+                  ?node sh:and|sh:or ?list.
+                  FILTER NOT EXISTS {
+                    ?node a sh:NodeShape.
+                  }
+                }
+                FILTER NOT EXISTS {
+                  ?s rdf:first|rdf:rest|sh:and|sh:or|sh:path|sh:in|sh:not ?node.
+                }
+              }
+            }
+        `);
+
+        for (const binding of orphanNodesResult.results.bindings) {
+            await updateSudo(`
+                DELETE WHERE {
+                  GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                    <${binding['node']['value']}> ?p ?o.
+                  }
+                }
+            `);
+            removed['list-nodes'] += 1;
+            removedInPass += 1;
+        }
+    } while (removedInPass > 0);
 
-    return await Promise.all(queryResult.results.bindings.map(async (binding) => {
-        return await findFilter(binding['filterUri']['value']);
-    }));
+    return removed;
 }
 
 /**
- * Get the SubscriptionFilterConstraint from a given URI.
+ * Send the email telling the user their subscription has been confirmed and
+ * how they can unsubscribe.
  *
- * @param {string} uri - The URI to load.
- * @returns {Promise<SubscriptionFilterConstraint|undefined>} - The
- * corresponding constraint or undefined if the constraint does not exist or is
- * invalid.
+ * @param {string} email - The email address of the user.
+ * @param {string} token - The token the user needs to change their preferences.
+ * @param {(string|undefined)} language - The preferred language of the user.
  */
-export async function findConstraint(uri) {
-    const constraintRequest = await querySudo(`
-        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
-        SELECT
-            ?subject
-            ?predicate
-            ?object
-        WHERE {
-            BIND(<${uri}> as ?constraint)
-
-            ?constraint ext:constraintSubject ?subject;
-                        ext:constraintPredicate ?predicate;
-                        ext:constraintObject ?object.
-        }
-    `);
-
-    if (!constraintRequest ||
-        !constraintRequest.results ||
-        constraintRequest.results.bindings.length == 0) {
-        return undefined;
-    }
-
-    const constraintBindings = constraintRequest.results.bindings[0];
-
-    const uriParts = uri.split('/');
-    return {
-        'id': uriParts[uriParts.length - 1],
-        'subject': constraintBindings['subject']['value'],
-        'predicate': constraintBindings['predicate']['value'],
-        'object': constraintBindings['object']['value'],
-    };
+export async function sendSubscriptionEmail(email, token, language) {
+    await sendEmail(email, 'subscription', language, {
+        'preferencesUrl': `${BASE_URL}/subscriptions?token=${token}`,
+    });
 }
 
 /**
- * Look up a filter URI in the database and return it as a SubscriptionFilter
+ * Send the email asking the user to confirm their new subscription.
  *
- * @param {string} uri - The URI to look up.
- * @returns {Promise<SubscriptionFilter|undefined>} - The filter converted to how
- * the frontend expects it or undefined if the filter does not exist.
+ * @param {string} email - The email address of the user.
+ * @param {string} confirmationToken - The single-use token that confirms the
+ * subscription.
+ * @param {(string|undefined)} language - The preferred language of the user.
  */
-export async function findFilter(uri) {
-    const fullFilterResults = await querySudo(`
-        PREFIX sh: <http://www.w3.org/ns/shacl#>
-        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
-
-        SELECT ?frequency ?andOr (GROUP_CONCAT(?constraint ; separator=",") as ?constraints) WHERE {
-          BIND(<${escapeSparqlString(uri)}> as ?filter)
-          ?filter ?andOr ?constraintList.
-
-          OPTIONAL {
-            ?filter ext:subscriptionFrequency ?frequency.
-          }
-
-          ?constraintList rdf:rest*/rdf:first ?constraint.
-
-          VALUES ?andOr {
-            sh:and
-            sh:or
-          }
-        }
-    `);
-
-    if (!fullFilterResults || !fullFilterResults.results || fullFilterResults.results.bindings.length == 0) {
-        return undefined;
-    }
-
-    const fullFilter = fullFilterResults.results.bindings[0];
-
-    const filterUriParts = uri.split('/');
-    const constraints = await Promise.all(
-        fullFilter['constraints']['value']
-            .split(',')
-            .map(findConstraint)
-    );
-    const subFilters = await Promise.all(
-        fullFilter['constraints']['value']
-            .split(',')
-            .map(findFilter)
-            .filter((x) => !!x)
-    );
-
-    return {
-        'id': filterUriParts[filterUriParts.length - 1],
-        'require-all': fullFilter['andOr']['value'] === 'http://www.w3.org/ns/shacl#and',
-        'constraints': constraints.filter(x => !!x),
-        'sub-filters': subFilters.filter(x => !!x),
-        'frequency': fullFilter['frequency']?.['value'],
-    };
+async function sendConfirmationEmail(email, confirmationToken, language) {
+    await sendEmail(email, 'confirmation', language, {
+        'confirmUrl': `${BASE_URL}/subscriptions/confirm?token=${confirmationToken}`,
+        'expiryHours': CONFIRMATION_EXPIRY_HOURS,
+    });
 }
 
 /**
- * Store a new constraint to the database.
+ * Add a pending subscription to the user with the given email address. This
+ * creates a new user if there is no user for the given email address. The
+ * subscription only becomes active after it has been confirmed using the link
+ * in the confirmation email, see `confirmSubscription`.
  *
- * @param {string} constraintUri - The URI where the constraint needs to be
- * saved.
- * @param {string} subject - The subject for the constraint.
- * @param {string} predicate - The predicate for the constraint.
- * @param {string} object - The object for the constraint.
- * @returns {Promise} - Resolves when the SPARQL query has been executed,
- * rejects with an error message if the input was invalid or the query failed.
+ * @param {string} filterUri - The URI to subscribe to.
+ * @param {string} email - The email address.
+ * @param {string} frequency - One of `FREQUENCIES`.
+ * @param {string} [language] - The preferred language of the user, this
+ * replaces the language of an existing user. The user keeps their language
+ * (or gets the default language) if it is undefined.
+ * @returns {Promise} - Resolves if the subscription was successfully added,
+ * rejects if something went wrong.
  */
-export function createConstraint(constraintUri, subject, predicate, object) {
-    return new Promise((resolve, reject) => {
-        const newSubject = mapSubject(subject);
+export function addSubscription(filterUri, email, frequency, language) {
+    if (!isValidEmail(email)) {
+        return Promise.reject(`Invalid email address: '${email}'.`);
+    }
 
-        if (newSubject === undefined) {
-            return reject(`Invalid subject: ${subject}`);
+    return hasMailDomain(email).then((valid) => {
+        if (!valid) {
+            throw `Invalid email address: '${email}' can not receive email.`;
         }
 
-        const shaclConstraint = mapPredicateObject(predicate, object);
+        // Check if the user exists and create one if it doesn't
+        return querySudo(`
+            PREFIX schema: <http://schema.org/>
+
+            SELECT ?user ?language WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                ?user a schema:Person;
+                      schema:email "${escapeSparqlString(email)}".
+                OPTIONAL {
+                  ?user schema:knowsLanguage ?language.
+                }
+              }
+            }
+        `);
+    }).then((userURIQuery) => {
+        const userURIBindings = userURIQuery.results.bindings;
+
+        if (userURIBindings.length > 0) {
+            const userURI = userURIBindings[0].user.value;
+
+            if (language === undefined) {
+                return {
+                    userURI,
+                    'userLanguage': userURIBindings[0].language?.value,
+                };
+            }
 
-        if (shaclConstraint === undefined) {
-            return reject(`Invalid predicate: ${predicate}`);
+            return updateLanguage(userURI, language)
+                .then(() => ({ userURI, 'userLanguage': language }));
         }
 
+        const userURI = `http://lokaalbeslist.be/subscriptions/users/${uuid()}`;
+
         return updateSudo(`
-            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
-            PREFIX prov: <http://www.w3.org/ns/prov#>
-            PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
-            PREFIX terms: <http://purl.org/dc/terms/>
-            PREFIX sh: <http://www.w3.org/ns/shacl#>
-            PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-            PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+            PREFIX schema: <http://schema.org/>
+            PREFIX account: <http://mu.semte.ch/vocabularies/account/>
 
             INSERT {
-            GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
-              <${escapeSparqlString(constraintUri)}> ext:constraintSubject "${escapeSparqlString(subject)}";
-                                 ext:constraintPredicate "${escapeSparqlString(predicate)}";
-                                 ext:constraintObject "${escapeSparqlString(object)}";
-                                 sh:path ${newSubject}.
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                <${userURI}> a schema:Person;
+                      schema:email "${escapeSparqlString(email)}";
+                      ${language !== undefined ? `schema:knowsLanguage "${escapeSparqlString(language)}";` : ''}
+                      account:password "${uuid()}".
+              }
+            } WHERE {}
+        `).then(() => ({ userURI, 'userLanguage': language }));
+    }).then(({ userURI, userLanguage }) => {
+        const confirmationToken = uuid();
+
+        return updateSudo(`
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+            PREFIX terms: <http://purl.org/dc/terms/>
+            PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
 
-              <${escapeSparqlString(constraintUri)}> ${shaclConstraint}.
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                <${userURI}> ext:hasPendingSubscription <${escapeSparqlString(filterUri)}>.
+                <${escapeSparqlString(filterUri)}> ext:subscriptionFrequency "${escapeSparqlString(frequency)}".
+
+                <http://lokaalbeslist.be/subscriptions/confirmations/${uuid()}> a ext:SubscriptionConfirmation;
+                    ext:confirmationToken "${confirmationToken}";
+                    ext:confirmationFor <${userURI}>;
+                    ext:confirmsSubscription <${escapeSparqlString(filterUri)}>;
+                    terms:created "${new Date().toISOString()}"^^xsd:dateTime.
+              }
             }
-            } WHERE {}
-        `).then(resolve).catch(reject);
+        `).then(() => sendConfirmationEmail(email, confirmationToken, userLanguage));
     });
 }
 
 /**
- * Delete a constraint from the database.
+ * Subscribe a user to a filter without asking for confirmation, for users who
+ * proved who they are with their token.
  *
- * @param {string} constraintUri - The URI to delete.
- * @returns {Promise} - Resolves when the deletion succeeds, rejects when the
- * SPARQL query fails.
+ * @param {string} userUri - The URI of the user.
+ * @param {string} filterUri - The URI of the filter to subscribe to.
+ * @param {string} frequency - One of `FREQUENCIES`.
+ * @returns {Promise} - Resolves when the subscription has been added.
  */
-export async function deleteConstraint(constraintUri) {
-    //TODO: Deeper cleaning
+export function subscribe(userUri, filterUri, frequency) {
     return updateSudo(`
         PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
-        PREFIX prov: <http://www.w3.org/ns/prov#>
-        PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
-        PREFIX terms: <http://purl.org/dc/terms/>
-        PREFIX sh: <http://www.w3.org/ns/shacl#>
-        PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
 
-        DELETE WHERE {
-        GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
-            <${escapeSparqlString(constraintUri)}> ?p ?o.
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> ext:hasSubscription <${escapeSparqlString(filterUri)}>.
+            <${escapeSparqlString(filterUri)}> ext:subscriptionFrequency "${escapeSparqlString(frequency)}".
           }
         }
     `);
 }
 
 /**
- * Delete a filter from the database.
+ * Change the preferred language of a user.
  *
- * @param {string} filterUri - The URI to delete.
- * @returns {Promise} - Resolves when the deletion succeeds, rejects when the
- * SPARQL query fails.
+ * @param {string} userUri - The URI of the user.
+ * @param {string} language - The new language.
+ * @returns {Promise} - Resolves when the language has been changed, rejects
+ * when the SPARQL query fails.
  */
-export async function deleteFilter(filterUri) {
-    //TODO: Deeper cleaning
+function updateLanguage(userUri, language) {
     return updateSudo(`
-        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
-        PREFIX prov: <http://www.w3.org/ns/prov#>
-        PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
-        PREFIX terms: <http://purl.org/dc/terms/>
-        PREFIX sh: <http://www.w3.org/ns/shacl#>
-        PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-        PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+        PREFIX schema: <http://schema.org/>
 
         DELETE WHERE {
-        GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
-            <${escapeSparqlString(filterUri)}> ?p ?o.
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> schema:knowsLanguage ?language.
+          }
+        };
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(userUri)}> schema:knowsLanguage "${escapeSparqlString(language)}".
           }
         }
     `);
 }
 
 /**
- * Create a filter and store it to the database.
+ * Confirm a pending subscription using the token from the confirmation email.
+ * The token can only be used once and expires after
+ * `CONFIRMATION_EXPIRY_HOURS`.
  *
- * @param {string} filterUri - The URI of the filter.
- * @param {boolean} requireAll - Whether or not all the constraints need to be
- * fulfilled (if true) or just one (if false).
- * @param {(object[]|undefined)} constraints - The constraints to add to the filter.
- * @param {(object[]|undefined)} subFilters - The subfilters for this filter.
+ * @param {string} confirmationToken - The token from the confirmation email.
+ * @returns {Promise<({userToken: string, filterUri: string}|undefined)>} - The
+ * token of the user and the URI of the filter they are now subscribed to, or
+ * undefined if the confirmation token is invalid or expired.
  */
-export function createFilter(filterUri, requireAll, constraints, subFilters) {
-    return new Promise((resolve, reject) => {
-        let promises = [];
-
-        // Check if the constraints are valid
-        if (constraints && constraints.length > 0) {
-            Promise.all(constraints.map(
-                async (constraint) => !await verifyConstraint(constraint)
-            )).then((invalidConstraintsResults) => {
-                const invalidConstraints = constraints.filter(
-                    (_, index) => invalidConstraintsResults[index]
-                );
-
-                if (invalidConstraints.length == 1) {
-                    return reject(`Invalid constraint: '${invalidConstraints[0].id}'.`);
-                } else if (invalidConstraints.length > 1) {
-                    return reject(`Invalid constraint: '${invalidConstraints.map((x) => x.id).join('\', \'')}'.`);
-                }
-            }).catch(reject);
-        }
-
-        // Check if the subfilters are valid.
-        if (subFilters && subFilters.length > 0) {
-            Promise.all(subFilters.map(
-                async (subFilter) => !await verifyFilter(subFilter)
-            )).then((invalidSubFilterResults) => {
-                const invalidSubFilters = subFilters.filter(
-                    (_, index) => invalidSubFilterResults[index]
-                );
-
-                if (invalidSubFilters.length == 1) {
-                    return reject(`Invalid sub-filter: '${invalidSubFilters[0].id}'.`);
-                } else if (invalidSubFilters.length > 1) {
-                    return reject(`Invalid sub-filter: '${invalidSubFilters.map((x) => x.id).join('\', \'')}'.`);
-                }
-            }).catch(reject);
-        }
-
-        Promise.all(promises).then(() => {
-            let requirements = [];
+export async function confirmSubscription(confirmationToken) {
+    const confirmationResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX schema: <http://schema.org/>
+        PREFIX account: <http://mu.semte.ch/vocabularies/account/>
 
-            if (constraints) {
-                constraints.forEach((constraint) =>
-                    requirements.push(
-                        `<http://lokaalbeslist.be/subscriptions/constraints/${constraint.id}>`
-                    )
-                );
-            }
-            if (subFilters) {
-                console.log(subFilters);
-                subFilters.forEach((subFilter) => 
-                    requirements.push(
-                        `<http://lokaalbeslist.be/subscriptions/filters/${subFilter.id}>`
-                    )
-                );
+        SELECT ?confirmation ?user ?filter ?created ?email ?userToken ?language WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?confirmation a ext:SubscriptionConfirmation;
+                ext:confirmationToken "${escapeSparqlString(confirmationToken)}";
+                ext:confirmationFor ?user;
+                ext:confirmsSubscription ?filter;
+                terms:created ?created.
+            ?user ext:hasPendingSubscription ?filter;
+                schema:email ?email;
+                account:password ?userToken.
+            OPTIONAL {
+              ?user schema:knowsLanguage ?language.
             }
+          }
+        }
+    `);
 
-            if (requirements.length === 0) {
-                return reject('Need at least one constraint or subFilter');
-            }
+    const binding = confirmationResult.results.bindings[0];
+
+    if (binding === undefined) {
+        return undefined;
+    }
 
-            return updateSudo(`
-                PREFIX sh: <http://www.w3.org/ns/shacl#>
-                PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
-                PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
-                PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+    const expiresAt = new Date(binding['created']['value']).getTime() +
+        CONFIRMATION_EXPIRY_HOURS * 60 * 60 * 1000;
 
-                INSERT DATA {
-                  GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
-                    <${escapeSparqlString(filterUri)}> a sh:NodeShape;
-                                   sh:targetClass besluit:Agendapunt;
-                                   ${requireAll ? 'sh:and' : 'sh:or'} ${createListQuery(requirements)}.
-                  }
-                }
-            `).then(resolve).catch(reject);
-        }).catch(reject);
-    });
+    if (expiresAt < Date.now()) {
+        return undefined;
+    }
 
-}
+    const userUri = binding['user']['value'];
+    const filterUri = binding['filter']['value'];
+    const userToken = binding['userToken']['value'];
 
-/**
- * Send the email telling the user they are now subscribed and how they can
- * unsubscribe.
- *
- * @param {string} email - The email address of the user.
- * @param {string} token - The token the user needs to change their preferences.
- */
-async function sendSubscriptionEmail(email, token) {
     await updateSudo(`
-        PREFIX nmo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nmo#>
-        PREFIX nie: <http://www.semanticdesktop.org/ontologies/2007/01/19/nie#>
-        PREFIX nfo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nfo#>
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
 
-        INSERT DATA {
-          GRAPH <http://lokaalbeslist.be/graphs/system/email> {
-            <http://lokaalbeslist.be/id/emails/${uuid()}> a nmo:Email;
-                nmo:messageFrom "lokaalbeslist@semantic.works";
-                nmo:emailTo "${escapeSparqlString(email)}";
-                nmo:messageSubject "Inschrijving notificaties LokaalBeslist.be";
-                nmo:htmlMessageContent "Beste,<br><br>U bent ingeschreven voor notificaties van LokaalBeslist.be. Als u wil uitschrijven voor deze notificaties of uw voorkeuren aanpassen kan dat via volgende link: <a href='http://lokaalbeslist.be/subscriptions?token=${token}'>http://lokaalbeslist.be/subscriptions?token=${token}</a>.<br><br>Met vriendelijke groet,<br>LokaalBeslist.be";
-                nmo:sentDate "";
-                nmo:isPartOf <http://lokaalbeslist.be/id/mail-folders/2>.
-         }
+        DELETE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${userUri}> ext:hasPendingSubscription <${filterUri}>.
+            ?confirmation ?p ?o.
+          }
+        } INSERT {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${userUri}> ext:hasSubscription <${filterUri}>.
+          }
+        } WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?confirmation ext:confirmsSubscription <${filterUri}>;
+                ?p ?o.
+          }
         }
     `);
+
+    await sendSubscriptionEmail(
+        binding['email']['value'],
+        userToken,
+        binding['language']?.['value']
+    );
+
+    return { userToken, filterUri };
 }
 
 /**
- * Add a subscription to the user with the given email address. This creates a
- * new user if there is no user for the given email address.
+ * Remove the subscriptions that have not been confirmed within
+ * `UNCONFIRMED_PURGE_HOURS`, together with their filters. Users that are left
+ * without any subscription are removed as well.
  *
- * @param {string} filterUri - The URI to subscribe to.
- * @param {string} email - The email address.
- * @param {string} frequency - One of 'daily', 'weekly', 'monthly'
- * @returns {Promise} - Resolves if the subscription was successfully added,
- * rejects if something went wrong.
+ * @returns {Promise} - Resolves when the unconfirmed subscriptions have been
+ * removed.
  */
-export function addSubscription(filterUri, email, frequency) {
-    // Check if the user exists and create one if it doesn't
-    return new Promise((resolve, reject) => {
-        querySudo(`
-            PREFIX schema: <http://schema.org/>
+export async function purgeUnconfirmedSubscriptions() {
+    const purgeBefore = new Date(
+        Date.now() - UNCONFIRMED_PURGE_HOURS * 60 * 60 * 1000
+    );
 
-            SELECT ?user WHERE {
+    const pendingResult = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        SELECT DISTINCT ?user ?filter WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?user ext:hasPendingSubscription ?filter.
+            OPTIONAL {
+              ?confirmation ext:confirmsSubscription ?filter;
+                  terms:created ?created.
+            }
+          }
+          FILTER(!BOUND(?created) || ?created < "${purgeBefore.toISOString()}"^^xsd:dateTime)
+        }
+    `);
+
+    for (const binding of pendingResult.results.bindings) {
+        const userUri = binding['user']['value'];
+        const filterUri = binding['filter']['value'];
+
+        await updateSudo(`
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+            DELETE {
               GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
-                ?user a schema:Person;
-                      schema:email "${escapeSparqlString(email)}".
+                <${userUri}> ext:hasPendingSubscription <${filterUri}>.
+                ?confirmation ?p ?o.
+              }
+            } WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                <${userUri}> ext:hasPendingSubscription <${filterUri}>.
+                OPTIONAL {
+                  ?confirmation ext:confirmsSubscription <${filterUri}>;
+                      ?p ?o.
+                }
               }
             }
-        `).then((userURIQuery) => {
-            const userURIBindings = userURIQuery.results.bindings;
-
-            let userURI;
-            if (userURIBindings.length === 0) {
-                userURI = `http://lokaalbeslist.be/subscriptions/users/${uuid()}`;
-                let userPassword = uuid();
-                updateSudo(`
-                    PREFIX schema: <http://schema.org/>
-                    PREFIX account: <http://mu.semte.ch/vocabularies/account/>
-
-                    INSERT {
-                      GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
-                        <${userURI}> a schema:Person;
-                              schema:email "${escapeSparqlString(email)}";
-                              account:password "${userPassword}".
-                      }
-                    } WHERE {}
-                `).then(() => sendSubscriptionEmail(email, userPassword))
-                    .catch(reject);
-            } else {
-                userURI = userURIBindings[0].user.value;
-            }
+        `);
 
-            updateSudo(`
-                PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        await deleteFilter(filterUri);
 
-                INSERT DATA {
-                  GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
-                    <${userURI}> ext:hasSubscription <${escapeSparqlString(filterUri)}>.
-                    <${escapeSparqlString(filterUri)}> ext:subscriptionFrequency "${escapeSparqlString(frequency)}".
-                  }
+        await updateSudo(`
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+            DELETE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                <${userUri}> ?p ?o.
+              }
+            } WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                <${userUri}> ?p ?o.
+                FILTER NOT EXISTS {
+                  <${userUri}> ext:hasSubscription|ext:hasPendingSubscription ?subscription.
                 }
-            `).then(resolve).catch(reject);
-        }).catch(reject);
-    });
+              }
+            }
+        `);
+    }
 }
 
 /**
@@ -557,18 +2390,154 @@ export async function existsFilter(uri) {
     `).then((result) => result.boolean);
 }
 
+/**
+ * Replace the frequency of a subscription filter. The preferences of the
+ * schedule that do not apply to the new frequency are removed.
+ *
+ * @param {string} filterURI - The URI of the filter.
+ * @param {(string|undefined)} frequency - The new frequency, one of
+ * `FREQUENCIES`. The frequency is left untouched if undefined.
+ * @returns {Promise} - Resolves when the frequency has been replaced.
+ */
 export async function updateFrequency(filterURI, frequency) {
-    return await querySudo(`
+    if (frequency === undefined) {
+        return;
+    }
+
+    const removed = inapplicablePreferences(frequency)
+        .map((name) => SUBSCRIPTION_DETAILS[name].predicate);
+
+    return await updateSudo(`
         PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX schema: <http://schema.org/>
 
         DELETE WHERE {
           GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
             <${escapeSparqlString(filterURI)}> ext:subscriptionFrequency ?freq.
           }
-        } INSERT DATA {
+        };
+
+        ${removed.map((predicate) => `
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterURI)}> ${predicate} ?value.
+          }
+        };`).join('\n')}
+
+        INSERT DATA {
           GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
             <${escapeSparqlString(filterURI)}> ext:subscriptionFrequency "${escapeSparqlString(frequency)}".
           }
         }
     `);
 }
+
+/**
+ * The details of a subscription that can be set through the API, with the
+ * predicate they are stored with and a function converting a valid value to a
+ * SPARQL literal.
+ */
+const SUBSCRIPTION_DETAILS = {
+    'name': {
+        'predicate': 'terms:title',
+        'literal': (value) => `"${escapeSparqlString(value)}"`,
+    },
+    'description': {
+        'predicate': 'terms:description',
+        'literal': (value) => `"${escapeSparqlString(value)}"`,
+    },
+    'paused': {
+        'predicate': 'ext:paused',
+        'literal': (value) => `"${value}"^^xsd:boolean`,
+    },
+    'active-until': {
+        'predicate': 'ext:activeUntil',
+        'literal': (value) => `"${parseDateTime(value)}"^^xsd:dateTime`,
+    },
+    'weekday': {
+        'predicate': 'schema:dayOfWeek',
+        'literal': (value) => `<${weekdayUri(value)}>`,
+    },
+    'hour': {
+        'predicate': 'ext:preferredHour',
+        'literal': (value) => `"${value}"^^xsd:integer`,
+    },
+    'time-zone': {
+        'predicate': 'ext:timeZone',
+        'literal': (value) => `"${escapeSparqlString(value)}"`,
+    },
+};
+
+/**
+ * Check if the details of a subscription are valid.
+ *
+ * @param {object} attributes - The JSON:API attributes of the subscription
+ * filter, details that are undefined or null are not checked.
+ * @returns {(string|undefined)} - An error message if a detail is invalid,
+ * undefined otherwise.
+ */
+export function validateSubscriptionDetails(attributes) {
+    for (const name of ['name', 'description']) {
+        if (attributes[name] != null && typeof attributes[name] !== 'string') {
+            return `Invalid ${name}: expected a string.`;
+        }
+    }
+
+    if (attributes['paused'] != null && typeof attributes['paused'] !== 'boolean') {
+        return 'Invalid paused: expected a boolean.';
+    }
+
+    if (attributes['active-until'] != null && parseDateTime(attributes['active-until']) === undefined) {
+        return `Invalid active-until: '${attributes['active-until']}'.`;
+    }
+
+    return undefined;
+}
+
+/**
+ * Replace the details of a subscription (name, description, paused,
+ * active-until and the preferred weekday, hour and time zone of the digests),
+ * these are stored on the top-level filter alongside its frequency.
+ *
+ * @param {string} filterURI - The URI of the filter.
+ * @param {object} attributes - The JSON:API attributes of the subscription
+ * filter, validated with `validateSubscriptionDetails` and
+ * `SCHEDULE_VALIDATORS`. Details that are undefined are left untouched,
+ * details that are null are removed.
+ * @returns {Promise} - Resolves when the details have been replaced.
+ */
+export async function updateSubscriptionDetails(filterURI, attributes) {
+    const changed = Object.keys(SUBSCRIPTION_DETAILS)
+        .filter((name) => attributes[name] !== undefined);
+
+    if (changed.length === 0) {
+        return;
+    }
+
+    const updates = changed.map((name) => {
+        const { predicate, literal } = SUBSCRIPTION_DETAILS[name];
+        const insert = attributes[name] === null ? '' : `;
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterURI)}> ${predicate} ${literal(attributes[name])}.
+          }
+        }`;
+
+        return `
+        DELETE WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${escapeSparqlString(filterURI)}> ${predicate} ?value.
+          }
+        }${insert}`;
+    });
+
+    return await updateSudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+        PREFIX schema: <http://schema.org/>
+
+        ${updates.join(';\n')}
+    `);
+}
@@ -0,0 +1,310 @@
+import { DEFAULT_TIME_ZONE } from './config';
+
+/**
+ * @typedef {object} Schedule
+ * @property {string} frequency - One of `FREQUENCIES`.
+ * @property {(string|undefined)} weekday - The preferred day of weekly
+ * digests, one of `WEEKDAYS`.
+ * @property {(number|undefined)} hour - The preferred hour (0-23) of the
+ * digests.
+ * @property {(string|undefined)} timeZone - The IANA time zone the weekday
+ * and hour are in.
+ */
+
+/**
+ * The frequencies digests are sent with.
+ */
+export const FREQUENCIES = ['immediate', 'daily', 'weekly', 'monthly'];
+
+/**
+ * The days of the week, in the order of ISO 8601.
+ */
+export const WEEKDAYS = [
+    'monday',
+    'tuesday',
+    'wednesday',
+    'thursday',
+    'friday',
+    'saturday',
+    'sunday',
+];
+
+/**
+ * Get the schema.org URI of a day of the week, as stored with
+ * `schema:dayOfWeek`.
+ *
+ * @param {string} weekday - One of `WEEKDAYS`.
+ * @returns {string} - The URI, e.g. `http://schema.org/Monday`.
+ */
+export function weekdayUri(weekday) {
+    return `http://schema.org/${weekday[0].toUpperCase()}${weekday.substring(1)}`;
+}
+
+/**
+ * Get the day of the week from its schema.org URI.
+ *
+ * @param {(string|undefined)} uri - The URI.
+ * @returns {(string|undefined)} - One of `WEEKDAYS`, undefined if the URI is
+ * undefined or not a day of the week.
+ */
+export function weekdayFromUri(uri) {
+    return WEEKDAYS.find((weekday) => weekdayUri(weekday) === uri);
+}
+
+/**
+ * Check if a time zone is a known IANA time zone, e.g. `Europe/Brussels`.
+ *
+ * @param {string} timeZone - The time zone to check.
+ * @returns {boolean} - True if the time zone is known, false otherwise.
+ */
+export function isTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone === '') {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { 'timeZone': timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * The checks of the schedule attributes of subscription filters, by
+ * attribute, for `validateRequest`. Every check gets the value of its
+ * attribute and all the attributes, and returns an error message if the value
+ * is invalid. Preferences that do not apply to the frequency sent along are
+ * rejected, `null` removes a preference.
+ */
+export const SCHEDULE_VALIDATORS = {
+    'frequency': (frequency) => {
+        if (!FREQUENCIES.includes(frequency)) {
+            return `Invalid frequency: '${frequency}', expected one of '${FREQUENCIES.join('\', \'')}'.`;
+        }
+
+        return undefined;
+    },
+    'weekday': (weekday, attributes) => {
+        if (weekday === null) {
+            return undefined;
+        }
+
+        if (!WEEKDAYS.includes(weekday)) {
+            return `Invalid weekday: '${weekday}', expected one of '${WEEKDAYS.join('\', \'')}'.`;
+        }
+
+        if (attributes['frequency'] !== undefined && attributes['frequency'] !== 'weekly') {
+            return 'Invalid weekday: only weekly digests have a weekday.';
+        }
+
+        return undefined;
+    },
+    'hour': (hour, attributes) => {
+        if (hour === null) {
+            return undefined;
+        }
+
+        if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+            return `Invalid hour: '${hour}', expected a whole number from 0 to 23.`;
+        }
+
+        if (attributes['frequency'] === 'immediate') {
+            return 'Invalid hour: immediate digests have no hour.';
+        }
+
+        return undefined;
+    },
+    'time-zone': (timeZone) => {
+        if (timeZone !== null && !isTimeZone(timeZone)) {
+            return `Invalid time-zone: '${timeZone}', expected an IANA time zone like 'Europe/Brussels'.`;
+        }
+
+        return undefined;
+    },
+};
+
+/**
+ * Get the preferences that do not apply to a frequency: only weekly digests
+ * have a weekday and immediate digests have no hour or time zone.
+ *
+ * @param {string} frequency - One of `FREQUENCIES`.
+ * @returns {string[]} - The attributes of the preferences, e.g. `weekday`.
+ */
+export function inapplicablePreferences(frequency) {
+    return [
+        ...(frequency !== 'weekly' ? ['weekday'] : []),
+        ...(frequency === 'immediate' ? ['hour', 'time-zone'] : []),
+    ];
+}
+
+/**
+ * Create a schedule, leaving out the preferences that do not apply to its
+ * frequency.
+ *
+ * @param {string} frequency - One of `FREQUENCIES`.
+ * @param {(string|undefined)} weekday - The preferred weekday.
+ * @param {(number|undefined)} hour - The preferred hour.
+ * @param {(string|undefined)} timeZone - The time zone.
+ * @returns {Schedule} - The schedule.
+ */
+export function createSchedule(frequency, weekday, hour, timeZone) {
+    const inapplicable = inapplicablePreferences(frequency);
+
+    return {
+        'frequency': frequency,
+        'weekday': inapplicable.includes('weekday') ? undefined : weekday,
+        'hour': inapplicable.includes('hour') ? undefined : hour,
+        'timeZone': inapplicable.includes('time-zone') ? undefined : timeZone,
+    };
+}
+
+/**
+ * Calculate the moment one period of a frequency before the given moment.
+ * Immediate digests have no period, the first one covers the last day like a
+ * daily digest.
+ *
+ * @param {string} frequency - One of `FREQUENCIES`.
+ * @param {Date} date - The moment to start from.
+ * @returns {(Date|undefined)} - The moment one period earlier, undefined if
+ * the frequency is unknown.
+ */
+export function periodBefore(frequency, date) {
+    const result = new Date(date.getTime());
+
+    switch (frequency) {
+    case 'immediate':
+    case 'daily':
+        result.setUTCDate(result.getUTCDate() - 1);
+        return result;
+    case 'weekly':
+        result.setUTCDate(result.getUTCDate() - 7);
+        return result;
+    case 'monthly':
+        result.setUTCMonth(result.getUTCMonth() - 1);
+        return result;
+    }
+
+    return undefined;
+}
+
+/**
+ * Get the calendar date and time of a moment in a time zone.
+ *
+ * @param {Date} date - The moment.
+ * @param {string} timeZone - The IANA time zone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ * - The local date and time, with months counted from 1.
+ */
+function zonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        'timeZone': timeZone,
+        'hourCycle': 'h23',
+        'year': 'numeric',
+        'month': 'numeric',
+        'day': 'numeric',
+        'hour': 'numeric',
+        'minute': 'numeric',
+        'second': 'numeric',
+    }).formatToParts(date);
+
+    return Object.fromEntries(parts
+        .filter((part) => part.type !== 'literal')
+        .map((part) => [part.type, parseInt(part.value)]));
+}
+
+/**
+ * Get the offset of a time zone from UTC at a moment.
+ *
+ * @param {Date} date - The moment.
+ * @param {string} timeZone - The IANA time zone.
+ * @returns {number} - The offset in milliseconds, positive east of UTC.
+ */
+function timeZoneOffset(date, timeZone) {
+    const local = zonedParts(date, timeZone);
+    const localAsUtc = Date.UTC(
+        local.year,
+        local.month - 1,
+        local.day,
+        local.hour,
+        local.minute,
+        local.second
+    );
+
+    return localAsUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * Get the moment a local date and hour in a time zone starts. Hours skipped
+ * by daylight saving time are moved forward.
+ *
+ * @param {Date} day - The local date, as midnight UTC of that date.
+ * @param {number} hour - The local hour.
+ * @param {string} timeZone - The IANA time zone.
+ * @returns {Date} - The moment.
+ */
+function zonedTime(day, hour, timeZone) {
+    const localAsUtc = day.getTime() + hour * 60 * 60 * 1000;
+    const guess = localAsUtc - timeZoneOffset(new Date(localAsUtc), timeZone);
+
+    return new Date(localAsUtc - timeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Find the most recent moment a digest with a preferred weekday or hour was
+ * scheduled for: the hour (midnight by default) of every day for daily
+ * digests, of the weekday (Monday by default) for weekly digests and of the
+ * first day of the month for monthly digests, in the time zone of the
+ * schedule (`DEFAULT_TIME_ZONE` by default).
+ *
+ * @param {Schedule} schedule - The schedule.
+ * @param {Date} now - The current moment.
+ * @returns {Date} - The scheduled moment, at or before now.
+ */
+export function previousSlot(schedule, now) {
+    const timeZone = schedule.timeZone || DEFAULT_TIME_ZONE;
+    const hour = schedule.hour ?? 0;
+    const weekday = WEEKDAYS.indexOf(schedule.weekday || 'monday');
+    const today = zonedParts(now, timeZone);
+
+    for (let days = 0; ; days++) {
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day - days));
+
+        if (schedule.frequency === 'weekly' && (day.getUTCDay() + 6) % 7 !== weekday) {
+            continue;
+        }
+
+        if (schedule.frequency === 'monthly' && day.getUTCDate() !== 1) {
+            continue;
+        }
+
+        const slot = zonedTime(day, hour, timeZone);
+
+        if (slot <= now) {
+            return slot;
+        }
+    }
+}
+
+/**
+ * Check if a digest is due. Immediate digests are due at every check, other
+ * digests once per period after the previous one or, if they have a preferred
+ * weekday or hour, once the next scheduled moment has passed.
+ *
+ * @param {Schedule} schedule - The schedule of the digest.
+ * @param {(Date|undefined)} lastSent - When the previous digest with this
+ * schedule was sent, undefined if none was sent yet.
+ * @param {Date} now - The current moment.
+ * @returns {boolean} - True if the digest should be sent now.
+ */
+export function isDue(schedule, lastSent, now) {
+    if (lastSent === undefined || schedule.frequency === 'immediate') {
+        return true;
+    }
+
+    if (schedule.weekday === undefined && schedule.hour === undefined) {
+        return lastSent <= periodBefore(schedule.frequency, now);
+    }
+
+    return lastSent < previousSlot(schedule, now);
+}
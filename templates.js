@@ -0,0 +1,122 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { escapeHtml } from './helpers';
+import { TEMPLATES_DIRECTORY, DEFAULT_LANGUAGE } from './config';
+
+/**
+ * The languages emails can be sent in, with the locale used to format dates.
+ */
+const LOCALES = {
+    'nl': 'nl-BE',
+    'fr': 'fr-BE',
+    'en': 'en-GB',
+};
+
+/**
+ * The templates that have been read already, by path.
+ */
+const cache = new Map();
+
+/**
+ * @typedef {object} RenderedEmail
+ * @property {string} subject - The subject of the email.
+ * @property {string} html - The HTML content of the email.
+ * @property {string} text - The plain text content of the email.
+ */
+
+/**
+ * Check if emails can be sent in a language.
+ *
+ * @param {string} language - The language code to check, e.g. 'nl'.
+ * @returns {boolean} - True if the language is supported, false otherwise.
+ */
+export function isLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, language);
+}
+
+/**
+ * Format a date for use in an email.
+ *
+ * @param {string} date - The xsd:dateTime to format.
+ * @param {string} [language] - The language of the email.
+ * @returns {string} - The formatted date.
+ */
+export function formatDate(date, language=DEFAULT_LANGUAGE) {
+    return new Date(date).toLocaleDateString(
+        LOCALES[language] || LOCALES[DEFAULT_LANGUAGE],
+        { 'timeZone': 'Europe/Brussels' }
+    );
+}
+
+/**
+ * Read a template file, files are only read once.
+ *
+ * @param {string} language - The language of the template.
+ * @param {string} name - The name of the template.
+ * @param {string} file - The file of the template, one of 'subject.txt',
+ * 'body.html' and 'body.txt'.
+ * @returns {string} - The contents of the template.
+ */
+function readTemplate(language, name, file) {
+    const path = join(TEMPLATES_DIRECTORY, language, name, file);
+
+    if (!cache.has(path)) {
+        cache.set(path, readFileSync(path, 'utf8').trimEnd());
+    }
+
+    return cache.get(path);
+}
+
+/**
+ * Fill in a template. `{{name}}` is replaced by the escaped value of the
+ * variable, `{{#name}}...{{/name}}` is left out if the variable is falsy and
+ * repeated for every element if it is a list, the elements of which can
+ * contain variables of their own.
+ *
+ * @param {string} template - The template to fill in.
+ * @param {object} variables - The values to fill in, by name.
+ * @param {function(string): string} escape - The function escaping values.
+ * @returns {string} - The filled in template.
+ */
+function fillTemplate(template, variables, escape) {
+    return template.replace(
+        /{{#(\w+)}}([\s\S]*?){{\/\1}}|{{(\w+)}}/g,
+        (_, section, content, name) => {
+            if (name !== undefined) {
+                return escape(`${variables[name] ?? ''}`);
+            }
+
+            const value = variables[section];
+
+            if (Array.isArray(value)) {
+                return value.map(
+                    (element) => fillTemplate(content, { ...variables, ...element }, escape)
+                ).join('');
+            }
+
+            return value ? fillTemplate(content, variables, escape) : '';
+        }
+    );
+}
+
+/**
+ * Render an email from the templates in `TEMPLATES_DIRECTORY`, which contains
+ * a `<language>/<name>/` directory with a `subject.txt`, `body.html` and
+ * `body.txt` for every email.
+ *
+ * @param {string} name - The name of the email, e.g. 'confirmation'.
+ * @param {(string|undefined)} language - The language of the email, the
+ * default language is used if it is undefined or unsupported.
+ * @param {object} variables - The values to fill in, by name.
+ * @returns {RenderedEmail} - The rendered email.
+ */
+export function renderEmail(name, language, variables) {
+    const templateLanguage = isLanguage(language) ? language : DEFAULT_LANGUAGE;
+    const identity = (value) => value;
+
+    return {
+        'subject': fillTemplate(readTemplate(templateLanguage, name, 'subject.txt'), variables, identity),
+        'html': fillTemplate(readTemplate(templateLanguage, name, 'body.html'), variables, escapeHtml),
+        'text': fillTemplate(readTemplate(templateLanguage, name, 'body.txt'), variables, identity),
+    };
+}
@@ -0,0 +1,165 @@
+import { resetStore, updateSudo } from '@lblod/mu-auth-sudo';
+import { createConstraint, createFilterTree } from '../queries';
+import {
+    hasSessionRole,
+    findUser,
+    searchUsers,
+    findStatistics
+} from '../admin';
+
+/**
+ * Store a user.
+ *
+ * @param {string} id - The id of the user.
+ * @param {string} email - The email address of the user.
+ * @returns {Promise<string>} - The URI of the user.
+ */
+async function storeUser(id, email) {
+    const uri = `http://lokaalbeslist.be/subscriptions/users/${id}`;
+
+    await updateSudo(`
+        PREFIX schema: <http://schema.org/>
+        PREFIX account: <http://mu.semte.ch/vocabularies/account/>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${uri}> a schema:Person;
+                schema:email "${email}";
+                account:password "token-${id}".
+          }
+        }
+    `);
+
+    return uri;
+}
+
+/**
+ * Store a filter with one constraint on the title and subscribe a user to it.
+ *
+ * @param {string} userUri - The URI of the user.
+ * @param {string} predicate - The predicate of the constraint.
+ * @param {string} object - The object of the constraint.
+ * @param {object} [options={}] - The frequency of the subscription, whether it
+ * is paused and whether it is pending.
+ * @returns {Promise<string>} - The URI of the filter.
+ */
+async function storeSubscription(userUri, predicate, object, options={}) {
+    const constraintId = `${userUri.split('/').pop()}-${object}`;
+
+    await createConstraint(
+        `http://lokaalbeslist.be/subscriptions/constraints/${constraintId}`,
+        'title',
+        predicate,
+        object
+    );
+
+    const filter = await createFilterTree({
+        'require-all': true,
+        'negate': false,
+        'constraints': [{ 'id': constraintId }],
+        'sub-filters': [],
+    });
+    const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${filter.id}`;
+
+    await updateSudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            <${userUri}> ${options.pending ? 'ext:hasPendingSubscription' : 'ext:hasSubscription'} <${filterUri}>.
+            <${filterUri}> ext:subscriptionFrequency "${options.frequency || 'daily'}";
+                ext:paused ${options.paused ? 'true' : 'false'}.
+          }
+        }
+    `);
+
+    return filterUri;
+}
+
+beforeEach(() => {
+    resetStore();
+});
+
+describe('hasSessionRole', () => {
+    test('checks the roles of the session', async () => {
+        await updateSudo(`
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+            INSERT DATA {
+              GRAPH <http://mu.semte.ch/graphs/sessions> {
+                <http://mu.semte.ch/sessions/s1> ext:sessionRole "SubscriptionAdmin".
+              }
+            }
+        `);
+
+        expect(await hasSessionRole('http://mu.semte.ch/sessions/s1', 'SubscriptionAdmin')).toBe(true);
+        expect(await hasSessionRole('http://mu.semte.ch/sessions/s1', 'Other')).toBe(false);
+        expect(await hasSessionRole('http://mu.semte.ch/sessions/s2', 'SubscriptionAdmin')).toBe(false);
+        expect(await hasSessionRole('"> } UNION { ?a ?b ?c', 'SubscriptionAdmin')).toBe(false);
+    });
+});
+
+describe('users', () => {
+    test('are found with their subscriptions', async () => {
+        const userUri = await storeUser('u1', 'jan@example.be');
+        const confirmed = await storeSubscription(userUri, 'textContains', 'fiets');
+        const pending = await storeSubscription(userUri, 'textContains', 'auto', { 'pending': true });
+
+        expect(await findUser(userUri)).toEqual({
+            'uri': userUri,
+            'id': 'u1',
+            'email': 'jan@example.be',
+            'language': undefined,
+            'subscriptions': [confirmed],
+            'pendingSubscriptions': [pending],
+        });
+        expect(await findUser('http://lokaalbeslist.be/subscriptions/users/missing')).toBeUndefined();
+    });
+
+    test('are searched by email address', async () => {
+        await storeUser('u1', 'jan@example.be');
+        await storeUser('u2', 'An@Example.be');
+        await storeUser('u3', 'piet@other.be');
+
+        const result = await searchUsers('example', { 'number': 0, 'size': 1 });
+
+        expect(result.count).toBe(2);
+        expect(result.users.map((user) => user.email)).toEqual(['An@Example.be']);
+
+        const nextPage = await searchUsers('EXAMPLE', { 'number': 1, 'size': 1 });
+
+        expect(nextPage.users.map((user) => user.email)).toEqual(['jan@example.be']);
+        expect((await searchUsers('', { 'number': 0, 'size': 10 })).count).toBe(3);
+    });
+});
+
+describe('findStatistics', () => {
+    test('counts users, active subscriptions and popular constraints', async () => {
+        const jan = await storeUser('u1', 'jan@example.be');
+        const an = await storeUser('u2', 'an@example.be');
+
+        await storeSubscription(jan, 'textContains', 'Fiets');
+        await storeSubscription(jan, 'textContains', 'auto', { 'frequency': 'weekly', 'paused': true });
+        await storeSubscription(an, 'textEquals', 'fiets', { 'frequency': 'weekly' });
+        await storeSubscription(an, 'textContains', 'trein', { 'pending': true });
+
+        const statistics = await findStatistics();
+
+        expect(statistics.users).toBe(2);
+        expect(statistics['active-subscriptions']).toEqual({
+            'immediate': 0,
+            'daily': 1,
+            'weekly': 1,
+            'monthly': 0,
+        });
+        expect(statistics.subjects).toEqual([{ 'value': 'title', 'count': 3 }]);
+        expect(statistics.predicates).toEqual([
+            { 'value': 'textContains', 'count': 2 },
+            { 'value': 'textEquals', 'count': 1 },
+        ]);
+        expect(statistics.keywords).toEqual([
+            { 'value': 'fiets', 'count': 2 },
+            { 'value': 'auto', 'count': 1 },
+        ]);
+    });
+});
@@ -0,0 +1,1667 @@
+import request from 'supertest';
+import { app } from 'mu';
+import { resetStore, querySudo, updateSudo } from '@lblod/mu-auth-sudo';
+import * as config from '../config';
+import '../app';
+
+const ADMIN = 'Bearer admin-token';
+
+/**
+ * Parse the body of a response, the service sends JSON without setting the
+ * content type.
+ *
+ * @param {object} res - The supertest response.
+ * @returns {object} - The parsed body.
+ */
+function body(res) {
+    return JSON.parse(res.text);
+}
+
+/**
+ * Create a constraint through the API.
+ *
+ * @param {string} [object='fiets'] - The text the title should contain.
+ * @param {object} [attributes={}] - Other attributes of the constraint.
+ * @returns {Promise<string>} - The id of the constraint.
+ */
+async function postConstraint(object='fiets', attributes={}) {
+    const res = await request(app)
+        .post('/subscription-filter-constraints')
+        .send({
+            'data': {
+                'type': 'subscription-filter-constraints',
+                'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': object, ...attributes },
+            },
+        })
+        .expect(201);
+
+    return body(res).data.id;
+}
+
+/**
+ * Build a JSON:API document for a filter referring to existing resources.
+ *
+ * @param {string[]} constraintIds - The ids of the constraints.
+ * @param {string[]} [subFilterIds=[]] - The ids of the sub-filters.
+ * @param {object} [attributes={}] - Extra attributes of the filter.
+ * @returns {object} - The document.
+ */
+function filterDocument(constraintIds, subFilterIds=[], attributes={}) {
+    return {
+        'data': {
+            'type': 'subscription-filters',
+            'attributes': { 'require-all': true, ...attributes },
+            'relationships': {
+                'constraints': {
+                    'data': constraintIds.map((id) => {
+                        return { 'type': 'subscription-filter-constraints', 'id': id };
+                    }),
+                },
+                'sub-filters': {
+                    'data': subFilterIds.map((id) => {
+                        return { 'type': 'subscription-filters', 'id': id };
+                    }),
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Create a filter through the API.
+ *
+ * @param {string[]} constraintIds - The ids of the constraints.
+ * @param {string[]} [subFilterIds=[]] - The ids of the sub-filters.
+ * @param {object} [attributes={}] - Extra attributes of the filter.
+ * @returns {Promise<string>} - The id of the filter.
+ */
+async function postFilter(constraintIds, subFilterIds=[], attributes={}) {
+    const res = await request(app)
+        .post('/subscription-filters')
+        .send(filterDocument(constraintIds, subFilterIds, attributes))
+        .expect(201);
+
+    return body(res).data.id;
+}
+
+/**
+ * Confirm all pending subscriptions.
+ *
+ * @returns {Promise<string[]>} - The user tokens from the confirmations.
+ */
+async function confirmAll() {
+    const result = await querySudo(`
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+        SELECT ?token WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?confirmation ext:confirmationToken ?token.
+          }
+        }
+    `);
+
+    const userTokens = [];
+
+    for (const binding of result.results.bindings) {
+        const res = await request(app)
+            .post('/subscriptions/confirm')
+            .send({
+                'data': {
+                    'type': 'subscription-confirmations',
+                    'attributes': { 'token': binding['token']['value'] },
+                },
+            })
+            .expect(200);
+
+        userTokens.push(body(res).data.attributes['user-token']);
+    }
+
+    return userTokens;
+}
+
+/**
+ * Subscribe to a new filter and confirm the subscription.
+ *
+ * @param {string} email - The email address to subscribe.
+ * @param {string} [object='fiets'] - The text the title should contain.
+ * @returns {Promise<{filterId: string, token: string}>} - The id of the
+ * filter and the token of the user.
+ */
+async function subscribe(email, object='fiets') {
+    const filterId = await postFilter([await postConstraint(object)], [], {
+        'email': email,
+        'frequency': 'daily',
+    });
+    const [token] = await confirmAll();
+
+    return { 'filterId': filterId, 'token': token };
+}
+
+beforeEach(() => {
+    resetStore();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('POST /subscription-filter-constraints', () => {
+    test('creates a constraint', async () => {
+        const res = await request(app)
+            .post('/subscription-filter-constraints')
+            .send({
+                'data': {
+                    'type': 'subscription-filter-constraints',
+                    'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': 'fiets' },
+                },
+            })
+            .expect(201);
+
+        const id = body(res).data.id;
+
+        expect(res.headers['location']).toBe(`http://lokaalbeslist.be/subscriptions/constraints/${id}`);
+        expect(body(res).data.attributes).toEqual({
+            'subject': 'title',
+            'predicate': 'textContains',
+            'object': 'fiets',
+        });
+    });
+
+    test('rejects invalid constraints', async () => {
+        const post = (data) => request(app)
+            .post('/subscription-filter-constraints')
+            .send({ 'data': data })
+            .expect(400);
+
+        expect(body(await post({
+            'type': 'subscription-filters',
+            'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': 'fiets' },
+        })).errors[0].detail).toMatch('Expected type');
+        expect(body(await post({
+            'type': 'subscription-filter-constraints',
+            'attributes': { 'subject': 'title', 'predicate': 'textContains' },
+        })).errors[0].detail).toBe('Missing attribute: \'object\'.');
+        expect(body(await post({
+            'type': 'subscription-filter-constraints',
+            'attributes': { 'subject': 'colour', 'predicate': 'textContains', 'object': 'fiets' },
+        })).errors[0].detail).toBe('Invalid subject: colour');
+    });
+});
+
+describe('GET /subscription-filter-constraints/:id', () => {
+    test('returns the constraint', async () => {
+        const { token } = await subscribe('jan@example.be');
+        const id = await postConstraint();
+
+        const res = await request(app)
+            .get(`/subscription-filter-constraints/${id}?token=${token}`)
+            .expect(200);
+
+        expect(body(res).data).toEqual({
+            'type': 'subscription-filter-constraints',
+            'id': id,
+            'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': 'fiets' },
+        });
+    });
+
+    test('returns 404 for unknown constraints', async () => {
+        await request(app).get('/subscription-filter-constraints/missing').expect(404);
+    });
+});
+
+describe('PATCH /subscription-filter-constraints/:id', () => {
+    const patch = (id, token, object='auto') => request(app)
+        .patch(`/subscription-filter-constraints/${id}?token=${token}`)
+        .send({
+            'data': {
+                'type': 'subscription-filter-constraints',
+                'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': object },
+            },
+        });
+
+    test('replaces the constraint', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const filter = body(await request(app).get(`/subscription-filters/${filterId}?token=${token}`));
+        const constraintId = filter.data.relationships.constraints.data[0].id;
+
+        await patch(constraintId, token).expect(201);
+
+        const res = await request(app).get(`/subscription-filter-constraints/${constraintId}?token=${token}`);
+
+        expect(body(res).data.attributes.object).toBe('auto');
+    });
+
+    test('returns 404 for unknown constraints', async () => {
+        const { token } = await subscribe('jan@example.be');
+
+        await patch('missing', token).expect(404);
+    });
+
+    test('does not change constraints of other users', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const other = await subscribe('an@example.be');
+        const filter = body(await request(app).get(`/subscription-filters/${filterId}?token=${token}`));
+
+        await patch(filter.data.relationships.constraints.data[0].id, other.token).expect(403);
+    });
+});
+
+describe('DELETE /subscription-filter-constraints/:id', () => {
+    test('deletes the constraint', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const extra = await postConstraint('auto');
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument([extra], [], { 'require-all': false }))
+            .expect(201);
+        await request(app)
+            .delete(`/subscription-filter-constraints/${extra}?token=${token}`)
+            .expect(204);
+        await request(app).get(`/subscription-filter-constraints/${extra}`).expect(404);
+    });
+
+    test('returns 404 for unknown constraints', async () => {
+        await request(app).delete('/subscription-filter-constraints/missing').expect(404);
+    });
+});
+
+describe('POST /subscription-filters', () => {
+    test('creates a filter referring to existing constraints', async () => {
+        const constraintId = await postConstraint();
+
+        const res = await request(app)
+            .post('/subscription-filters')
+            .send(filterDocument([constraintId], [], { 'name': 'Fietsen' }))
+            .expect(201);
+
+        const filter = body(res).data;
+
+        expect(filter.attributes['require-all']).toBe(true);
+        expect(filter.attributes['name']).toBe('Fietsen');
+        expect(filter.relationships.constraints.data).toEqual([
+            { 'type': 'subscription-filter-constraints', 'id': constraintId },
+        ]);
+    });
+
+    test('creates a nested filter tree in one request', async () => {
+        const { token } = await subscribe('jan@example.be');
+        const res = await request(app)
+            .post('/subscription-filters')
+            .send({
+                'data': {
+                    'type': 'subscription-filters',
+                    'attributes': { 'require-all': true },
+                    'relationships': {
+                        'constraints': {
+                            'data': [{ 'type': 'subscription-filter-constraints', 'lid': 'fiets' }],
+                        },
+                        'sub-filters': {
+                            'data': [{ 'type': 'subscription-filters', 'lid': 'places' }],
+                        },
+                    },
+                },
+                'included': [
+                    {
+                        'type': 'subscription-filter-constraints',
+                        'lid': 'fiets',
+                        'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': 'fiets' },
+                    },
+                    {
+                        'type': 'subscription-filters',
+                        'lid': 'places',
+                        'attributes': { 'require-all': false },
+                        'relationships': {
+                            'constraints': {
+                                'data': [{ 'type': 'subscription-filter-constraints', 'lid': 'gent' }],
+                            },
+                        },
+                    },
+                    {
+                        'type': 'subscription-filter-constraints',
+                        'lid': 'gent',
+                        'attributes': { 'subject': 'governanceArea', 'predicate': 'governanceAreaEquals', 'object': 'Gent' },
+                    },
+                ],
+            })
+            .expect(201);
+
+        const document = body(res);
+        const subFilter = document.included.find((resource) => resource.lid === 'places');
+
+        expect(subFilter.id).toBeDefined();
+        expect(document.included.map((resource) => resource.lid).sort()).toEqual(['fiets', 'gent', 'places']);
+
+        const stored = body(await request(app).get(`/subscription-filters/${subFilter.id}?token=${token}`).expect(200));
+
+        expect(stored.data.attributes['require-all']).toBe(false);
+        expect(stored.data.relationships.constraints.data).toHaveLength(1);
+    });
+
+    test('sends a confirmation email for a new subscription', async () => {
+        await postFilter([await postConstraint()], [], {
+            'email': 'jan@example.be',
+            'frequency': 'weekly',
+        });
+
+        const result = await querySudo(`
+            PREFIX nmo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nmo#>
+
+            SELECT ?to WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/system/email> {
+                ?email nmo:emailTo ?to.
+              }
+            }
+        `);
+
+        expect(result.results.bindings.map((binding) => binding['to']['value'])).toEqual(['jan@example.be']);
+    });
+
+    test('rejects invalid filters', async () => {
+        const constraintId = await postConstraint();
+        const post = (document) => request(app)
+            .post('/subscription-filters')
+            .send(document)
+            .expect(400);
+
+        const missingRequireAll = filterDocument([constraintId]);
+        delete missingRequireAll.data.attributes['require-all'];
+
+        expect(body(await post(missingRequireAll)).errors[0].detail)
+            .toBe('Missing attribute: \'require-all\'.');
+        expect(body(await post(filterDocument([constraintId], [], { 'language': 'de' }))).errors[0].detail)
+            .toBe('Invalid language: \'de\'.');
+        expect(body(await post(filterDocument([constraintId], [], { 'paused': 'yes' }))).errors[0].detail)
+            .toBeDefined();
+        expect(body(await post(filterDocument(['missing']))).errors[0].detail)
+            .toMatch('missing');
+        expect(body(await post(filterDocument([constraintId], [], {
+            'email': 'not an email',
+            'frequency': 'daily',
+        }))).errors[0].detail).toMatch('not an email');
+    });
+
+    test('rejects invalid schedules with a pointer to the attribute', async () => {
+        const constraintId = await postConstraint();
+        const post = async (attributes) => body(await request(app)
+            .post('/subscription-filters')
+            .send(filterDocument([constraintId], [], { 'email': 'jan@example.be', ...attributes }))
+            .expect(400)).errors[0];
+
+        expect(await post({ 'frequency': 'hourly' })).toMatchObject({
+            'detail': expect.stringContaining('Invalid frequency: \'hourly\''),
+            'source': { 'pointer': '/data/attributes/frequency' },
+        });
+        expect((await post({ 'frequency': 'daily', 'weekday': 'monday' })).source.pointer)
+            .toBe('/data/attributes/weekday');
+        expect((await post({ 'frequency': 'weekly', 'hour': 25 })).source.pointer)
+            .toBe('/data/attributes/hour');
+        expect((await post({ 'frequency': 'weekly', 'time-zone': 'Mars/Olympus' })).source.pointer)
+            .toBe('/data/attributes/time-zone');
+    });
+});
+
+describe('GET /subscription-filters/:id', () => {
+    test('returns the filter', async () => {
+        const { token } = await subscribe('jan@example.be');
+        const constraintId = await postConstraint();
+        const filterId = await postFilter([constraintId]);
+
+        const res = await request(app).get(`/subscription-filters/${filterId}?token=${token}`).expect(200);
+
+        expect(body(res).data.id).toBe(filterId);
+        expect(body(res).data.relationships.constraints.data).toEqual([
+            { 'type': 'subscription-filter-constraints', 'id': constraintId },
+        ]);
+    });
+
+    test('returns 404 for unknown filters', async () => {
+        await request(app).get('/subscription-filters/missing').expect(404);
+    });
+
+    test('is only visible to the owner', async () => {
+        const { filterId } = await subscribe('jan@example.be');
+        const other = await subscribe('an@example.be', 'auto');
+
+        await request(app).get(`/subscription-filters/${filterId}`).expect(403);
+        await request(app).get(`/subscription-filters/${filterId}?token=${other.token}`).expect(403);
+    });
+
+    test('is not visible to others once its owner unsubscribed', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const other = await subscribe('an@example.be', 'auto');
+
+        await request(app).delete(`/subscriptions/${filterId}?token=${token}`).expect(204);
+        await request(app).get(`/subscription-filters/${filterId}?token=${other.token}`).expect(403);
+        await request(app)
+            .post('/subscription-filters')
+            .send(filterDocument([], [filterId]))
+            .expect(403);
+    });
+
+    test('is only visible without an owner right after its creation', async () => {
+        const { token } = await subscribe('jan@example.be');
+        const filterId = await postFilter([await postConstraint()]);
+        const filterUri = `http://lokaalbeslist.be/subscriptions/filters/${filterId}`;
+
+        await request(app).get(`/subscription-filters/${filterId}?token=${token}`).expect(200);
+
+        await updateSudo(`
+            PREFIX terms: <http://purl.org/dc/terms/>
+            PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+            DELETE WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                <${filterUri}> terms:created ?created.
+              }
+            };
+
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                <${filterUri}> terms:created "2020-01-01T00:00:00Z"^^xsd:dateTime.
+              }
+            }
+        `);
+
+        await request(app).get(`/subscription-filters/${filterId}?token=${token}`).expect(403);
+    });
+});
+
+describe('GET /subscription-filters', () => {
+    test('lists the filters of the user', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+
+        const res = await request(app).get(`/subscription-filters?token=${token}`).expect(200);
+
+        expect(body(res).data.map((filter) => filter.id)).toEqual([filterId]);
+        expect(body(res).data[0].attributes.frequency).toBe('daily');
+        expect(body(res).included).toHaveLength(1);
+    });
+
+    test('needs a valid token', async () => {
+        await request(app).get('/subscription-filters').expect(400);
+        await request(app).get('/subscription-filters?token=missing').expect(400);
+    });
+});
+
+describe('PATCH /subscription-filters/:id', () => {
+    test('replaces the constraints and sub-filters', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const constraintId = await postConstraint('auto');
+        const subFilterId = await postFilter([await postConstraint('bus')]);
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument([constraintId], [subFilterId], { 'require-all': false, 'frequency': 'weekly' }))
+            .expect(201);
+
+        const filter = body(await request(app).get(`/subscription-filters/${filterId}?token=${token}`)).data;
+
+        expect(filter.attributes['require-all']).toBe(false);
+        expect(filter.attributes.frequency).toBe('weekly');
+        expect(filter.relationships.constraints.data.map((c) => c.id)).toEqual([constraintId]);
+        expect(filter.relationships['sub-filters'].data.map((f) => f.id)).toEqual([subFilterId]);
+    });
+
+    test('keeps the requirements when only attributes are sent', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send({
+                'data': {
+                    'type': 'subscription-filters',
+                    'attributes': { 'require-all': true, 'paused': true },
+                },
+            })
+            .expect(201);
+
+        const filter = body(await request(app).get(`/subscription-filters/${filterId}?token=${token}`)).data;
+
+        expect(filter.attributes.paused).toBe(true);
+        expect(filter.relationships.constraints.data).toHaveLength(1);
+    });
+
+    test('keeps the negation when a negated filter is paused', async () => {
+        const filterId = await postFilter([await postConstraint()], [], {
+            'email': 'jan@example.be',
+            'frequency': 'daily',
+            'negate': true,
+        });
+        const [token] = await confirmAll();
+        const patch = (attributes) => request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send({
+                'data': {
+                    'type': 'subscription-filters',
+                    'attributes': attributes,
+                },
+            })
+            .expect(201);
+        const get = async () => body(await request(app)
+            .get(`/subscription-filters/${filterId}?token=${token}`)).data;
+
+        const res = await patch({ 'paused': true });
+
+        expect(body(res).data.attributes).toMatchObject({
+            'require-all': true,
+            'negate': true,
+            'paused': true,
+        });
+        expect((await get()).attributes).toMatchObject({ 'require-all': true, 'negate': true });
+        expect((await get()).relationships.constraints.data).toHaveLength(1);
+
+        await patch({ 'require-all': false });
+
+        expect((await get()).attributes).toMatchObject({ 'require-all': false, 'negate': true });
+    });
+
+    test('keeps the owner within the resource limits', async () => {
+        jest.replaceProperty(config, 'MAX_CONSTRAINTS_PER_USER', 5);
+        const { filterId, token } = await subscribe('jan@example.be');
+        const constraintIds = [];
+
+        for (const object of ['a', 'b', 'c', 'd', 'e', 'f']) {
+            constraintIds.push(await postConstraint(object));
+        }
+
+        const res = await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument(constraintIds))
+            .expect(400);
+
+        expect(body(res).errors[0].detail).toBe('A user can not have more than 5 constraints.');
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument(constraintIds.slice(0, 5)))
+            .expect(201);
+    });
+
+    test('needs require-all when the requirements change', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const document = filterDocument([await postConstraint('auto')]);
+
+        delete document.data.attributes['require-all'];
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(document)
+            .expect(400);
+    });
+
+    test('stores the schedule', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const patch = (attributes) => request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send({
+                'data': {
+                    'type': 'subscription-filters',
+                    'attributes': { 'require-all': true, ...attributes },
+                },
+            })
+            .expect(201);
+        const get = async () => body(await request(app)
+            .get(`/subscription-filters/${filterId}?token=${token}`)).data.attributes;
+
+        await patch({ 'frequency': 'weekly', 'weekday': 'friday', 'hour': 7, 'time-zone': 'Europe/Brussels' });
+
+        expect(await get()).toMatchObject({
+            'frequency': 'weekly',
+            'weekday': 'friday',
+            'hour': 7,
+            'time-zone': 'Europe/Brussels',
+        });
+
+        await patch({ 'frequency': 'daily' });
+
+        const daily = await get();
+
+        expect(daily.frequency).toBe('daily');
+        expect(daily.weekday).toBeUndefined();
+        expect(daily.hour).toBe(7);
+
+        await patch({ 'frequency': 'immediate' });
+
+        expect(await get()).toMatchObject({ 'frequency': 'immediate' });
+        expect((await get()).hour).toBeUndefined();
+        expect((await get())['time-zone']).toBeUndefined();
+    });
+
+    test('checks the schedule against the stored frequency', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const patch = (attributes) => request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send({
+                'data': {
+                    'type': 'subscription-filters',
+                    'attributes': attributes,
+                },
+            });
+
+        const weekday = await patch({ 'weekday': 'monday' }).expect(400);
+
+        expect(body(weekday).errors[0].source.pointer).toBe('/data/attributes/weekday');
+
+        await patch({ 'hour': 7 }).expect(201);
+        await patch({ 'frequency': 'immediate' }).expect(201);
+
+        const hour = await patch({ 'hour': 7 }).expect(400);
+
+        expect(body(hour).errors[0].source.pointer).toBe('/data/attributes/hour');
+
+        await patch({ 'frequency': 'weekly' }).expect(201);
+        await patch({ 'weekday': 'monday', 'hour': 7 }).expect(201);
+    });
+
+    test('returns 404 for unknown filters', async () => {
+        const { token } = await subscribe('jan@example.be');
+
+        await request(app)
+            .patch(`/subscription-filters/missing?token=${token}`)
+            .send(filterDocument([await postConstraint()]))
+            .expect(404);
+    });
+
+    test('rejects a filter containing itself', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument([], [filterId]))
+            .expect(400);
+    });
+});
+
+describe('DELETE /subscription-filters/:id', () => {
+    test('deletes the filter and unsubscribes its users', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+
+        await request(app).delete(`/subscription-filters/${filterId}?token=${token}`).expect(204);
+        await request(app).get(`/subscription-filters/${filterId}`).expect(404);
+    });
+
+    test('returns 404 for unknown filters', async () => {
+        await request(app).delete('/subscription-filters/missing').expect(404);
+    });
+});
+
+describe('history', () => {
+    test('records and restores changes', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument([await postConstraint('auto')]))
+            .expect(201);
+
+        const history = body(await request(app)
+            .get(`/subscription-filters/${filterId}/history?token=${token}`)
+            .expect(200)).data;
+
+        expect(history.map((change) => change.attributes.action)).toEqual(['create', 'update']);
+
+        await request(app)
+            .post(`/subscription-filters/${filterId}/history/${history[1].id}/restore`)
+            .set('Authorization', ADMIN)
+            .expect(201);
+
+        const filter = body(await request(app).get(`/subscription-filters/${filterId}?token=${token}`)).data;
+        const constraintId = filter.relationships.constraints.data[0].id;
+        const constraint = body(await request(app)
+            .get(`/subscription-filter-constraints/${constraintId}?token=${token}`)).data;
+
+        expect(constraint.attributes.object).toBe('fiets');
+    });
+
+    test('records the deletion of a constraint', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const constraintId = await postConstraint('auto');
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument([constraintId, await postConstraint('fiets')]))
+            .expect(201);
+        await request(app)
+            .delete(`/subscription-filter-constraints/${constraintId}?token=${token}`)
+            .expect(204);
+
+        const history = body(await request(app)
+            .get(`/subscription-filters/${filterId}/history?token=${token}`)
+            .expect(200)).data;
+
+        expect(history.map((change) => change.attributes.action)).toEqual(['create', 'update', 'delete']);
+        expect(history[2].attributes['new-state']).not.toBeNull();
+    });
+
+    test('keeps the owner within the resource limits on restore', async () => {
+        jest.replaceProperty(config, 'MAX_CONSTRAINTS_PER_USER', 5);
+        const { filterId, token } = await subscribe('jan@example.be');
+        const constraintIds = [];
+
+        for (const object of ['a', 'b', 'c', 'd']) {
+            constraintIds.push(await postConstraint(object));
+        }
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument(constraintIds))
+            .expect(201);
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument([constraintIds[0]]))
+            .expect(201);
+        await postFilter([await postConstraint('g'), await postConstraint('h')], [], {
+            'email': 'jan@example.be',
+            'frequency': 'daily',
+        });
+
+        const history = body(await request(app)
+            .get(`/subscription-filters/${filterId}/history?token=${token}`)
+            .expect(200)).data;
+
+        const res = await request(app)
+            .post(`/subscription-filters/${filterId}/history/${history[2].id}/restore`)
+            .set('Authorization', ADMIN)
+            .expect(400);
+
+        expect(body(res).errors[0].detail).toBe('A user can not have more than 5 constraints.');
+    });
+});
+
+describe('matches', () => {
+    beforeEach(async () => {
+        await updateSudo(`
+            PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+            PREFIX terms: <http://purl.org/dc/terms/>
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+            PREFIX prov: <http://www.w3.org/ns/prov#>
+            PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/public> {
+                <http://data.lblod.info/id/agendapunten/1> a besluit:Agendapunt;
+                    terms:title "Nieuwe fietsstraat";
+                    ext:zitting <http://data.lblod.info/id/zittingen/1>.
+                <http://data.lblod.info/id/agendapunten/2> a besluit:Agendapunt;
+                    terms:title "Parkeerbeleid";
+                    ext:zitting <http://data.lblod.info/id/zittingen/1>.
+                <http://data.lblod.info/id/zittingen/1>
+                    prov:startedAtTime "2021-09-13T19:00:00Z"^^xsd:dateTime.
+              }
+            }
+        `);
+    });
+
+    test('GET /subscription-filters/:id/matches lists the matching agenda items', async () => {
+        const { filterId, token } = await subscribe('jan@example.be', 'fiets');
+
+        const res = await request(app).get(`/subscription-filters/${filterId}/matches?token=${token}`).expect(200);
+
+        expect(body(res).data.map((item) => item.attributes.title)).toEqual(['Nieuwe fietsstraat']);
+        expect(body(res).meta.count).toBe(1);
+    });
+
+    test('POST /subscription-filters/preview matches an unsaved filter', async () => {
+        const res = await request(app)
+            .post('/subscription-filters/preview')
+            .send({
+                'data': {
+                    'type': 'subscription-filters',
+                    'attributes': { 'require-all': true },
+                    'relationships': {
+                        'constraints': {
+                            'data': [{ 'type': 'subscription-filter-constraints', 'lid': 'parking' }],
+                        },
+                    },
+                },
+                'included': [{
+                    'type': 'subscription-filter-constraints',
+                    'lid': 'parking',
+                    'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': 'parkeer' },
+                }],
+            })
+            .expect(200);
+
+        expect(body(res).data.map((item) => item.attributes.title)).toEqual(['Parkeerbeleid']);
+    });
+
+    test('returns 404 for unknown filters', async () => {
+        await request(app).get('/subscription-filters/missing/matches').expect(404);
+    });
+});
+
+describe('word predicates', () => {
+    beforeEach(async () => {
+        await updateSudo(`
+            PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+            PREFIX terms: <http://purl.org/dc/terms/>
+
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/public> {
+                <http://data.lblod.info/id/agendapunten/1> a besluit:Agendapunt;
+                    terms:title "Heraanleg van het Stationsplein".
+                <http://data.lblod.info/id/agendapunten/2> a besluit:Agendapunt;
+                    terms:title "Fietsenstalling aan het station".
+                <http://data.lblod.info/id/agendapunten/3> a besluit:Agendapunt;
+                    terms:title "Vóór de zitting: parking (station) en fiets".
+              }
+            }
+        `);
+    });
+
+    /**
+     * Find the titles of the agenda items matching a single constraint.
+     *
+     * @param {string} predicate - The predicate of the constraint.
+     * @param {string} object - The object of the constraint.
+     * @returns {Promise<string[]>} - The titles, sorted.
+     */
+    async function matchingTitles(predicate, object) {
+        const res = await request(app)
+            .post('/subscription-filters/preview')
+            .send({
+                'data': {
+                    'type': 'subscription-filters',
+                    'attributes': { 'require-all': true },
+                    'relationships': {
+                        'constraints': {
+                            'data': [{ 'type': 'subscription-filter-constraints', 'lid': 'words' }],
+                        },
+                    },
+                },
+                'included': [{
+                    'type': 'subscription-filter-constraints',
+                    'lid': 'words',
+                    'attributes': { 'subject': 'title', 'predicate': predicate, 'object': object },
+                }],
+            })
+            .expect(200);
+
+        return body(res).data.map((item) => item.attributes.title).sort();
+    }
+
+    test('match whole words', async () => {
+        expect(await matchingTitles('containsAnyWord', 'station')).toEqual([
+            'Fietsenstalling aan het station',
+            'Vóór de zitting: parking (station) en fiets',
+        ]);
+        expect(await matchingTitles('containsAnyWord', 'stationsplein fiets')).toEqual([
+            'Heraanleg van het Stationsplein',
+            'Vóór de zitting: parking (station) en fiets',
+        ]);
+        expect(await matchingTitles('containsAllWords', 'station fiets')).toEqual([
+            'Vóór de zitting: parking (station) en fiets',
+        ]);
+    });
+
+    test('ignore diacritics', async () => {
+        expect(await matchingTitles('containsPhrase', 'voor de  zitting')).toEqual([
+            'Vóór de zitting: parking (station) en fiets',
+        ]);
+        expect(await matchingTitles('containsPhrase', 'de station')).toEqual([]);
+    });
+
+    test('treat regex metacharacters literally', async () => {
+        expect(await matchingTitles('textContains', '(station)')).toEqual([
+            'Vóór de zitting: parking (station) en fiets',
+        ]);
+        expect(await matchingTitles('textContains', 'st.tion')).toEqual([]);
+        expect(await matchingTitles('containsAnyWord', 'parking(')).toEqual([]);
+    });
+
+    test('need at least one word', async () => {
+        const res = await request(app)
+            .post('/subscription-filter-constraints')
+            .send({
+                'data': {
+                    'type': 'subscription-filter-constraints',
+                    'attributes': { 'subject': 'title', 'predicate': 'containsAllWords', 'object': '  ' },
+                },
+            })
+            .expect(400);
+
+        expect(body(res).errors[0].detail).toBe('Invalid containsAllWords: \'  \', expected at least one word.');
+    });
+});
+
+describe('governance areas', () => {
+    const AREAS = 'http://data.lblod.info/id/werkingsgebieden';
+    const UNITS = 'http://data.lblod.info/id/bestuurseenheden';
+
+    const preview = (predicate, object) => request(app)
+        .post('/subscription-filters/preview')
+        .send({
+            'data': {
+                'type': 'subscription-filters',
+                'attributes': { 'require-all': true },
+                'relationships': {
+                    'constraints': {
+                        'data': [{ 'type': 'subscription-filter-constraints', 'lid': 'area' }],
+                    },
+                },
+            },
+            'included': [{
+                'type': 'subscription-filter-constraints',
+                'lid': 'area',
+                'attributes': { 'subject': 'governanceArea', 'predicate': predicate, 'object': object },
+            }],
+        });
+
+    beforeEach(async () => {
+        await updateSudo(`
+            PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+            PREFIX terms: <http://purl.org/dc/terms/>
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+            PREFIX geo: <http://www.opengis.net/ont/geosparql#>
+            PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+            PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/public> {
+                <${AREAS}/oost-vlaanderen> rdfs:label "Oost-Vlaanderen".
+                <${AREAS}/gent> rdfs:label "Gent";
+                    geo:sfWithin <${AREAS}/oost-vlaanderen>.
+                <${AREAS}/brugge> rdfs:label "Brugge".
+                <${UNITS}/gemeente-gent> skos:prefLabel "Gent";
+                    besluit:werkingsgebied <${AREAS}/gent>.
+                <${UNITS}/gemeente-brugge> skos:prefLabel "Brugge";
+                    besluit:werkingsgebied <${AREAS}/brugge>.
+                <http://data.lblod.info/id/bestuursorganen/gent> besluit:bestuurt <${UNITS}/gemeente-gent>.
+                <http://data.lblod.info/id/bestuursorganen/brugge> besluit:bestuurt <${UNITS}/gemeente-brugge>.
+                <http://data.lblod.info/id/zittingen/gent>
+                    besluit:isGehoudenDoor <http://data.lblod.info/id/bestuursorganen/gent>.
+                <http://data.lblod.info/id/zittingen/brugge>
+                    besluit:isGehoudenDoor <http://data.lblod.info/id/bestuursorganen/brugge>.
+                <http://data.lblod.info/id/agendapunten/gent> a besluit:Agendapunt;
+                    terms:title "Fietsstraten in Gent";
+                    ext:zitting <http://data.lblod.info/id/zittingen/gent>.
+                <http://data.lblod.info/id/agendapunten/brugge> a besluit:Agendapunt;
+                    terms:title "Fietsstraten in Brugge";
+                    ext:zitting <http://data.lblod.info/id/zittingen/brugge>.
+              }
+            }
+        `);
+    });
+
+    test('match the area of a bestuurseenheid', async () => {
+        const res = await preview('governanceAreaIs', `${UNITS}/gemeente-gent`).expect(200);
+
+        expect(body(res).data.map((item) => item.attributes.title)).toEqual(['Fietsstraten in Gent']);
+    });
+
+    test('match the areas contained in an area', async () => {
+        const within = await preview('governanceAreaWithin', `${AREAS}/oost-vlaanderen`).expect(200);
+        const is = await preview('governanceAreaIs', `${AREAS}/oost-vlaanderen`).expect(200);
+
+        expect(body(within).data.map((item) => item.attributes.title)).toEqual(['Fietsstraten in Gent']);
+        expect(body(is).data).toEqual([]);
+    });
+
+    test('return the label of the area', async () => {
+        const { token } = await subscribe('jan@example.be');
+        const id = await postConstraint(`${UNITS}/gemeente-brugge`, {
+            'subject': 'governanceArea',
+            'predicate': 'governanceAreaIs',
+        });
+
+        const res = await request(app)
+            .get(`/subscription-filter-constraints/${id}?token=${token}`)
+            .expect(200);
+
+        expect(body(res).data.attributes).toEqual({
+            'subject': 'governanceArea',
+            'predicate': 'governanceAreaIs',
+            'object': `${UNITS}/gemeente-brugge`,
+            'label': 'Brugge',
+        });
+    });
+
+    test('reject unknown areas', async () => {
+        const res = await request(app)
+            .post('/subscription-filter-constraints')
+            .send({
+                'data': {
+                    'type': 'subscription-filter-constraints',
+                    'attributes': {
+                        'subject': 'governanceArea',
+                        'predicate': 'governanceAreaIs',
+                        'object': `${AREAS}/antwerpen`,
+                    },
+                },
+            })
+            .expect(400);
+
+        expect(body(res).errors[0].detail).toBe(`Unknown governance area: '${AREAS}/antwerpen'.`);
+    });
+});
+
+describe('feeds', () => {
+    beforeEach(async () => {
+        await updateSudo(`
+            PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+            PREFIX terms: <http://purl.org/dc/terms/>
+
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/public> {
+                <http://data.lblod.info/id/agendapunten/1> a besluit:Agendapunt;
+                    terms:title "Nieuwe fietsstraat".
+              }
+            }
+        `);
+    });
+
+    test('are served with the feed secret', async () => {
+        const { filterId, token } = await subscribe('jan@example.be', 'fiets');
+
+        const created = await request(app).post(`/subscription-filters/${filterId}/feed?token=${token}`).expect(201);
+        const urls = body(created).data.attributes;
+        const secret = new URL(urls.atom).searchParams.get('secret');
+
+        expect(urls.rss).toBe(`http://lokaalbeslist.be/subscription-filters/${filterId}/feed.rss?secret=${secret}`);
+
+        const atom = await request(app)
+            .get(`/subscription-filters/${filterId}/feed.atom?secret=${secret}`)
+            .expect('Content-Type', 'application/atom+xml; charset=utf-8')
+            .expect(200);
+
+        expect(atom.text).toContain('<title>Nieuwe fietsstraat</title>');
+
+        await request(app)
+            .get(`/subscription-filters/${filterId}/feed.atom?secret=${secret}`)
+            .set('If-None-Match', atom.headers['etag'])
+            .expect(304);
+        await request(app)
+            .get(`/subscription-filters/${filterId}/feed.rss?secret=${secret}`)
+            .set('If-Modified-Since', atom.headers['last-modified'])
+            .expect(304);
+        await request(app).get(`/subscription-filters/${filterId}/feed.json?secret=${secret}`).expect(404);
+    });
+
+    test('need the right secret', async () => {
+        const { filterId, token } = await subscribe('jan@example.be', 'fiets');
+
+        await request(app).get(`/subscription-filters/${filterId}/feed.atom`).expect(403);
+
+        const created = await request(app).post(`/subscription-filters/${filterId}/feed?token=${token}`).expect(201);
+        const secret = new URL(body(created).data.attributes.atom).searchParams.get('secret');
+
+        await request(app).get(`/subscription-filters/${filterId}/feed.atom?secret=${token}`).expect(403);
+        await request(app).delete(`/subscription-filters/${filterId}/feed?token=${token}`).expect(204);
+        await request(app).get(`/subscription-filters/${filterId}/feed.atom?secret=${secret}`).expect(403);
+        await request(app).get('/subscription-filters/missing/feed.atom').expect(403);
+    });
+
+    test('include a calendar', async () => {
+        const { filterId, token } = await subscribe('jan@example.be', 'fiets');
+
+        await request(app).get(`/subscription-filters/${filterId}/calendar.ics?secret=${token}`).expect(403);
+
+        const created = await request(app).post(`/subscription-filters/${filterId}/feed?token=${token}`).expect(201);
+        const calendarUrl = new URL(body(created).data.attributes.calendar);
+
+        const res = await request(app)
+            .get(`${calendarUrl.pathname}${calendarUrl.search}`)
+            .expect('Content-Type', 'text/calendar; charset=utf-8')
+            .expect(200);
+
+        expect(res.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+        await request(app).get('/subscription-filters/missing/calendar.ics').expect(403);
+    });
+
+    test('can only be enabled by the owner', async () => {
+        const { filterId } = await subscribe('jan@example.be', 'fiets');
+        const { token } = await subscribe('piet@example.be', 'fiets');
+
+        await request(app).post(`/subscription-filters/${filterId}/feed?token=${token}`).expect(403);
+        await request(app).post('/subscription-filters/missing/feed').expect(404);
+    });
+});
+
+describe('entities', () => {
+    const ORGANEN = 'http://data.lblod.info/id/bestuursorganen';
+    const MANDATARISSEN = 'http://data.lblod.info/id/mandatarissen';
+
+    const preview = (subject, predicate, object) => request(app)
+        .post('/subscription-filters/preview')
+        .send({
+            'data': {
+                'type': 'subscription-filters',
+                'attributes': { 'require-all': true },
+                'relationships': {
+                    'constraints': {
+                        'data': [{ 'type': 'subscription-filter-constraints', 'lid': 'entity' }],
+                    },
+                },
+            },
+            'included': [{
+                'type': 'subscription-filter-constraints',
+                'lid': 'entity',
+                'attributes': { 'subject': subject, 'predicate': predicate, 'object': object },
+            }],
+        });
+
+    beforeEach(async () => {
+        await updateSudo(`
+            PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+            PREFIX mandaat: <http://data.vlaanderen.be/ns/mandaat#>
+            PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+            PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+            PREFIX terms: <http://purl.org/dc/terms/>
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+            PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/public> {
+                <${ORGANEN}/gemeenteraad-leuven> a besluit:Bestuursorgaan;
+                    skos:prefLabel "Gemeenteraad Leuven".
+                <${ORGANEN}/gemeenteraad-gent> a besluit:Bestuursorgaan;
+                    skos:prefLabel "Gemeenteraad Gent".
+                <${MANDATARISSEN}/1> a mandaat:Mandataris;
+                    mandaat:isBestuurlijkeAliasVan <http://data.lblod.info/id/personen/1>.
+                <http://data.lblod.info/id/personen/1> persoon:gebruikteVoornaam "Jan";
+                    foaf:familyName "Peeters".
+                <http://data.lblod.info/id/zittingen/leuven>
+                    besluit:isGehoudenDoor <${ORGANEN}/gemeenteraad-leuven>.
+                <http://data.lblod.info/id/zittingen/gent>
+                    besluit:isGehoudenDoor <${ORGANEN}/gemeenteraad-gent>.
+                <http://data.lblod.info/id/agendapunten/leuven> a besluit:Agendapunt;
+                    terms:title "Begroting Leuven";
+                    ext:zitting <http://data.lblod.info/id/zittingen/leuven>.
+                <http://data.lblod.info/id/agendapunten/gent> a besluit:Agendapunt;
+                    terms:title "Begroting Gent";
+                    ext:zitting <http://data.lblod.info/id/zittingen/gent>.
+                <http://data.lblod.info/id/behandelingen/leuven>
+                    terms:subject <http://data.lblod.info/id/agendapunten/leuven>;
+                    besluit:heeftStemming <http://data.lblod.info/id/stemmingen/leuven>.
+                <http://data.lblod.info/id/stemmingen/leuven>
+                    besluit:heeftStemmer <${MANDATARISSEN}/1>.
+              }
+            }
+        `);
+    });
+
+    test('match agenda items of a governing body', async () => {
+        const res = await preview('governingBody', 'entityIs', `${ORGANEN}/gemeenteraad-gent`).expect(200);
+
+        expect(body(res).data.map((item) => item.attributes.title)).toEqual(['Begroting Gent']);
+    });
+
+    test('match agenda items a mandatary voted on', async () => {
+        const is = await preview('mandatary', 'entityIs', `${MANDATARISSEN}/1`).expect(200);
+        const none = await preview('mandatary', 'notExists', '').expect(200);
+
+        expect(body(is).data.map((item) => item.attributes.title)).toEqual(['Begroting Leuven']);
+        expect(body(none).data.map((item) => item.attributes.title)).toEqual(['Begroting Gent']);
+    });
+
+    test('GET /entities searches by label', async () => {
+        const res = await request(app)
+            .get('/entities?subject=governingBody&search=gemeenteraad&page[size]=1&page[number]=1')
+            .expect(200);
+
+        expect(body(res).data).toEqual([{
+            'type': 'entities',
+            'id': `${ORGANEN}/gemeenteraad-leuven`,
+            'attributes': { 'uri': `${ORGANEN}/gemeenteraad-leuven`, 'label': 'Gemeenteraad Leuven' },
+        }]);
+    });
+
+    test('GET /entities validates the parameters', async () => {
+        expect(body(await request(app).get('/entities?subject=title&search=x').expect(400)).errors[0].detail)
+            .toBe('Invalid subject: \'title\', expected one of \'governanceArea\', \'governingBody\', \'mandatary\'.');
+        expect(body(await request(app).get('/entities?subject=mandatary').expect(400)).errors[0].detail)
+            .toBe('Missing search.');
+        await request(app).get('/entities?subject=mandatary&search=jan&page[size]=100').expect(400);
+    });
+});
+
+describe('subscriptions', () => {
+    test('POST /subscriptions/confirm rejects unknown tokens', async () => {
+        await request(app)
+            .post('/subscriptions/confirm')
+            .send({
+                'data': {
+                    'type': 'subscription-confirmations',
+                    'attributes': { 'token': 'missing' },
+                },
+            })
+            .expect(404);
+    });
+
+    test('DELETE /subscriptions/:id unsubscribes from one filter', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const other = await subscribe('jan@example.be', 'auto');
+
+        await request(app).delete(`/subscriptions/${filterId}?token=${token}`).expect(204);
+        await request(app).delete(`/subscriptions/${filterId}?token=${token}`).expect(403);
+
+        const res = await request(app).get(`/subscription-filters?token=${token}`).expect(200);
+
+        expect(body(res).data.map((filter) => filter.id)).toEqual([other.filterId]);
+    });
+
+    test('DELETE /subscriptions unsubscribes from everything', async () => {
+        const { token } = await subscribe('jan@example.be');
+
+        await request(app).delete('/subscriptions').expect(400);
+        await request(app).delete('/subscriptions?token=missing').expect(404);
+        await request(app).delete(`/subscriptions?token=${token}`).expect(204);
+        await request(app).get(`/subscription-filters?token=${token}`).expect(400);
+    });
+
+    test('POST /subscriptions/unsubscribe handles one-click unsubscribes', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+
+        await request(app)
+            .post(`/subscriptions/unsubscribe?token=${token}`)
+            .type('form')
+            .send({ 'List-Unsubscribe': 'Other' })
+            .expect(400);
+
+        const res = await request(app)
+            .post(`/subscriptions/unsubscribe?token=${token}&filter=${filterId}`)
+            .type('form')
+            .send({ 'List-Unsubscribe': 'One-Click' })
+            .expect(200);
+
+        expect(body(res).meta.unsubscribed).toBe(1);
+    });
+
+    test('export and import round trip', async () => {
+        const { token } = await subscribe('jan@example.be');
+
+        const exported = body(await request(app)
+            .get(`/subscriptions/export?token=${token}`)
+            .expect(200));
+
+        const res = await request(app)
+            .post(`/subscriptions/import?token=${token}`)
+            .send(exported)
+            .expect(201);
+
+        expect(body(res).data[0].id).not.toBe(exported.data[0].id);
+        expect(body(res).included.map((resource) => resource.attributes.object))
+            .toEqual(exported.included.map((resource) => resource.attributes.object));
+
+        const list = body(await request(app).get(`/subscription-filters?token=${token}`));
+
+        expect(list.data).toHaveLength(2);
+    });
+
+    test('export and import keep the schedule in JSON-LD', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send({
+                'data': {
+                    'type': 'subscription-filters',
+                    'attributes': { 'require-all': true, 'frequency': 'weekly', 'weekday': 'monday', 'hour': 6 },
+                },
+            })
+            .expect(201);
+
+        const exported = await request(app)
+            .get(`/subscriptions/export?token=${token}`)
+            .set('Accept', 'application/ld+json')
+            .expect(200);
+
+        const res = await request(app)
+            .post(`/subscriptions/import?token=${token}`)
+            .set('Content-Type', 'application/ld+json')
+            .send(exported.text)
+            .expect(201);
+
+        const imported = body(await request(app)
+            .get(`/subscription-filters/${body(res).data[0].id}?token=${token}`)).data;
+
+        expect(imported.attributes).toMatchObject({ 'frequency': 'weekly', 'weekday': 'monday', 'hour': 6 });
+    });
+
+    test('export and import round trip in Turtle', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const subFilterId = await postFilter([await postConstraint('auto')]);
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument([await postConstraint('"fiets" \\ trein')], [subFilterId], {
+                'require-all': false,
+                'negate': true,
+                'frequency': 'weekly',
+                'weekday': 'monday',
+                'hour': 6,
+                'name': 'Geen fietsen',
+                'paused': true,
+            }))
+            .expect(201);
+
+        const exported = await request(app)
+            .get(`/subscriptions/export?token=${token}`)
+            .set('Accept', 'text/turtle')
+            .expect(200);
+
+        const res = await request(app)
+            .post(`/subscriptions/import?token=${token}`)
+            .set('Content-Type', 'text/turtle')
+            .send(exported.text)
+            .expect(201);
+
+        expect(body(res).data).toHaveLength(1);
+
+        const imported = body(await request(app)
+            .get(`/subscription-filters/${body(res).data[0].id}?token=${token}`)).data;
+
+        expect(imported.attributes).toMatchObject({
+            'require-all': false,
+            'negate': true,
+            'frequency': 'weekly',
+            'weekday': 'monday',
+            'hour': 6,
+            'name': 'Geen fietsen',
+            'paused': true,
+        });
+        expect(imported.relationships['sub-filters'].data).toHaveLength(1);
+        expect(body(res).included
+            .filter((resource) => resource.type === 'subscription-filter-constraints')
+            .map((resource) => resource.attributes.object)
+            .sort()).toEqual(['"fiets" \\ trein', 'auto']);
+
+        await request(app)
+            .post(`/subscriptions/import?token=${token}`)
+            .set('Content-Type', 'text/turtle')
+            .send('<a> <b> .')
+            .expect(400);
+    });
+
+    test('export returns 404 for unknown users', async () => {
+        await request(app).get('/subscriptions/export?token=missing').expect(404);
+    });
+});
+
+describe('personal data', () => {
+    test('can be read and erased', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+
+        const data = body(await request(app).get(`/personal-data?token=${token}`).expect(200)).data;
+
+        expect(data.attributes.email).toBe('jan@example.be');
+        expect(data.relationships.subscriptions.data).toEqual([
+            { 'type': 'subscription-filters', 'id': filterId },
+        ]);
+
+        await request(app).delete(`/personal-data?token=${token}`).expect(204);
+        await request(app).get(`/personal-data?token=${token}`).expect(404);
+        await request(app).get(`/subscription-filters/${filterId}`).expect(404);
+    });
+});
+
+describe('admin', () => {
+    /**
+     * Count the emails sent to an address.
+     *
+     * @param {string} email - The email address.
+     * @returns {Promise<number>} - The amount of emails.
+     */
+    async function countEmails(email) {
+        const result = await querySudo(`
+            PREFIX nmo: <http://www.semanticdesktop.org/ontologies/2007/03/22/nmo#>
+
+            SELECT (COUNT(?email) as ?count) WHERE {
+              ?email nmo:emailTo "${email}".
+            }
+        `);
+
+        return parseInt(result.results.bindings[0]['count']['value']);
+    }
+
+    /**
+     * Find the id of a user through the admin search.
+     *
+     * @param {string} email - The email address of the user.
+     * @returns {Promise<string>} - The id of the user.
+     */
+    async function findUserId(email) {
+        const res = await request(app)
+            .get(`/admin/users?email=${encodeURIComponent(email)}`)
+            .set('Authorization', ADMIN)
+            .expect(200);
+
+        return body(res).data[0].id;
+    }
+
+    test('need the admin token or session role', async () => {
+        await request(app).get('/admin/users').expect(403);
+        await request(app).get('/admin/statistics').set('Authorization', 'Bearer wrong').expect(403);
+        await request(app)
+            .get('/admin/statistics')
+            .set('mu-session-id', 'http://mu.semte.ch/sessions/s1')
+            .expect(403);
+
+        await updateSudo(`
+            PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+
+            INSERT DATA {
+              GRAPH <http://mu.semte.ch/graphs/sessions> {
+                <http://mu.semte.ch/sessions/s1> ext:sessionRole "SubscriptionAdmin".
+              }
+            }
+        `);
+
+        await request(app)
+            .get('/admin/statistics')
+            .set('mu-session-id', 'http://mu.semte.ch/sessions/s1')
+            .expect(200);
+    });
+
+    test('GET /admin/users searches users by email', async () => {
+        const { filterId } = await subscribe('jan@example.be');
+        await subscribe('piet@example.be');
+
+        const res = await request(app)
+            .get('/admin/users?email=JAN&page[size]=1')
+            .set('Authorization', ADMIN)
+            .expect(200);
+
+        expect(body(res).meta.count).toBe(1);
+        expect(body(res).data[0].attributes.email).toBe('jan@example.be');
+        expect(body(res).data[0].relationships.subscriptions.data).toEqual([
+            { 'type': 'subscription-filters', 'id': filterId },
+        ]);
+        expect(body(res).links.first).toBe('/admin/users?email=JAN&page[number]=0&page[size]=1');
+    });
+
+    test('can list, inspect and delete the filters of a user', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const userId = await findUserId('jan@example.be');
+
+        const user = await request(app)
+            .get(`/admin/users/${userId}`)
+            .set('Authorization', ADMIN)
+            .expect(200);
+
+        expect(body(user).data.attributes.email).toBe('jan@example.be');
+
+        const filters = await request(app)
+            .get(`/admin/users/${userId}/subscription-filters`)
+            .set('Authorization', ADMIN)
+            .expect(200);
+
+        expect(body(filters).data.map((filter) => filter.id)).toEqual([filterId]);
+        expect(body(filters).included[0].attributes.object).toBe('fiets');
+
+        await request(app).get(`/subscription-filters/${filterId}`).expect(403);
+        await request(app)
+            .get(`/subscription-filters/${filterId}`)
+            .set('Authorization', ADMIN)
+            .expect(200);
+        await request(app)
+            .delete(`/subscription-filters/${filterId}`)
+            .set('Authorization', ADMIN)
+            .expect(204);
+
+        const remaining = await request(app).get(`/subscription-filters?token=${token}`).expect(400);
+
+        expect(body(remaining).errors[0].detail).toBe('User not found');
+        await request(app)
+            .get('/admin/users/missing')
+            .set('Authorization', ADMIN)
+            .expect(404);
+    });
+
+    test('can read, change and delete the constraints of a user', async () => {
+        const { filterId, token } = await subscribe('jan@example.be');
+        const extra = await postConstraint('auto');
+
+        await request(app)
+            .patch(`/subscription-filters/${filterId}?token=${token}`)
+            .send(filterDocument([extra], [], { 'require-all': false }))
+            .expect(201);
+
+        await request(app).get(`/subscription-filter-constraints/${extra}`).expect(403);
+        await request(app)
+            .get(`/subscription-filter-constraints/${extra}`)
+            .set('Authorization', ADMIN)
+            .expect(200);
+        await request(app)
+            .patch(`/subscription-filter-constraints/${extra}`)
+            .set('Authorization', ADMIN)
+            .send({
+                'data': {
+                    'type': 'subscription-filter-constraints',
+                    'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': 'trein' },
+                },
+            })
+            .expect(201);
+        await request(app)
+            .delete(`/subscription-filter-constraints/${extra}`)
+            .set('Authorization', ADMIN)
+            .expect(204);
+
+        const history = body(await request(app)
+            .get(`/subscription-filters/${filterId}/history?token=${token}`)
+            .expect(200)).data;
+
+        expect(history.slice(-2).map((change) => change.attributes.agent)).toEqual([
+            'http://lokaalbeslist.be/subscriptions/agents/admin',
+            'http://lokaalbeslist.be/subscriptions/agents/admin',
+        ]);
+    });
+
+    test('POST /admin/users/:id/welcome-email resends the link to the preferences', async () => {
+        await subscribe('jan@example.be');
+        const userId = await findUserId('jan@example.be');
+        const sent = await countEmails('jan@example.be');
+
+        await request(app)
+            .post(`/admin/users/${userId}/welcome-email`)
+            .set('Authorization', ADMIN)
+            .expect(204);
+
+        expect(await countEmails('jan@example.be')).toBe(sent + 1);
+    });
+
+    test('POST /admin/users/:id/welcome-email needs a confirmed subscription', async () => {
+        await postFilter([await postConstraint()], [], {
+            'email': 'jan@example.be',
+            'frequency': 'daily',
+        });
+        const userId = await findUserId('jan@example.be');
+
+        await request(app)
+            .post(`/admin/users/${userId}/welcome-email`)
+            .set('Authorization', ADMIN)
+            .expect(409);
+    });
+
+    test('GET /admin/statistics reports subscriptions and keywords', async () => {
+        await subscribe('jan@example.be', 'fiets');
+        await subscribe('piet@example.be', 'Fiets');
+
+        const res = await request(app)
+            .get('/admin/statistics')
+            .set('Authorization', ADMIN)
+            .expect(200);
+
+        expect(body(res).meta.users).toBe(2);
+        expect(body(res).meta['active-subscriptions'].daily).toBe(2);
+        expect(body(res).meta.keywords).toEqual([{ 'value': 'fiets', 'count': 2 }]);
+    });
+});
+
+describe('maintenance', () => {
+    test('needs the admin token', async () => {
+        await request(app).post('/maintenance/garbage-collection').expect(403);
+        await request(app).post('/maintenance/digests').expect(403);
+    });
+
+    test('POST /maintenance/garbage-collection keeps recent resources', async () => {
+        await postConstraint();
+
+        const res = await request(app)
+            .post('/maintenance/garbage-collection')
+            .set('Authorization', ADMIN)
+            .expect(200);
+
+        expect(body(res).meta.removed.constraints).toBe(0);
+    });
+
+    test('POST /maintenance/digests validates the frequency', async () => {
+        await request(app)
+            .post('/maintenance/digests?frequency=hourly')
+            .set('Authorization', ADMIN)
+            .expect(400);
+        await request(app)
+            .post('/maintenance/digests?frequency=daily')
+            .set('Authorization', ADMIN)
+            .expect(200);
+    });
+
+    test('POST /maintenance/digests sends digests by schedule', async () => {
+        const findDigests = async () => {
+            const result = await querySudo(`
+                PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+                PREFIX schema: <http://schema.org/>
+
+                SELECT ?frequency ?weekday WHERE {
+                  GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                    ?digest a ext:Digest;
+                            ext:digestFrequency ?frequency.
+                    OPTIONAL {
+                      ?digest schema:dayOfWeek ?weekday.
+                    }
+                  }
+                }
+            `);
+
+            return result.results.bindings.map((binding) => [
+                binding['frequency']['value'],
+                binding['weekday']?.['value'],
+            ]);
+        };
+        const sendDigests = () => request(app)
+            .post('/maintenance/digests')
+            .set('Authorization', ADMIN)
+            .expect(200);
+
+        await postFilter([await postConstraint()], [], {
+            'email': 'jan@example.be',
+            'frequency': 'weekly',
+            'weekday': 'sunday',
+            'hour': 20,
+        });
+        await postFilter([await postConstraint('auto')], [], {
+            'email': 'an@example.be',
+            'frequency': 'immediate',
+        });
+        await confirmAll();
+
+        await sendDigests();
+        await sendDigests();
+
+        // Empty immediate digests are not recorded.
+        expect(await findDigests()).toEqual([['weekly', 'http://schema.org/Sunday']]);
+    });
+});
@@ -0,0 +1,96 @@
+import { resetStore, updateSudo } from '@lblod/mu-auth-sudo';
+import { createCalendar } from '../calendar';
+import { titleFilter } from './support/fixtures';
+
+/**
+ * Get the unfolded content lines of a calendar.
+ *
+ * @param {string} calendar - The calendar.
+ * @returns {string[]} - The content lines.
+ */
+function contentLines(calendar) {
+    return calendar.replaceAll('\r\n ', '').split('\r\n');
+}
+
+const now = new Date('2021-10-01T08:00:00Z');
+
+beforeEach(async () => {
+    resetStore();
+
+    await updateSudo(`
+        PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX prov: <http://www.w3.org/ns/prov#>
+        PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/public> {
+            <http://data.lblod.info/id/zittingen/past> a besluit:Zitting;
+                prov:startedAtTime "2021-09-13T19:00:00Z"^^xsd:dateTime.
+            <http://data.lblod.info/id/zittingen/next> a besluit:Zitting;
+                prov:startedAtTime "2021-10-04T19:00:00Z"^^xsd:dateTime;
+                prov:endedAtTime "2021-10-04T22:30:00Z"^^xsd:dateTime;
+                prov:atLocation "Stadhuis, Grote Markt 9; Leuven";
+                besluit:isGehoudenDoor <http://data.lblod.info/id/bestuursorganen/gemeenteraad-leuven>.
+            <http://data.lblod.info/id/bestuursorganen/gemeenteraad-leuven>
+                skos:prefLabel "Gemeenteraad Leuven".
+            <http://data.lblod.info/id/zittingen/later> a besluit:Zitting;
+                prov:startedAtTime "2021-11-08T19:00:00Z"^^xsd:dateTime.
+
+            <http://data.lblod.info/id/agendapunten/1> a besluit:Agendapunt;
+                terms:title "Fietsstraat Naamsestraat";
+                ext:zitting <http://data.lblod.info/id/zittingen/past>.
+            <http://data.lblod.info/id/agendapunten/2> a besluit:Agendapunt;
+                terms:title "Fietsenstalling station, fase 2";
+                ext:zitting <http://data.lblod.info/id/zittingen/next>.
+            <http://data.lblod.info/id/agendapunten/3> a besluit:Agendapunt;
+                terms:title "Fietsbrug over de Dijle";
+                ext:zitting <http://data.lblod.info/id/zittingen/next>.
+            <http://data.lblod.info/id/agendapunten/4> a besluit:Agendapunt;
+                terms:title "Begroting";
+                ext:zitting <http://data.lblod.info/id/zittingen/next>.
+            <http://data.lblod.info/id/agendapunten/5> a besluit:Agendapunt;
+                terms:title "Parkeerbeleid";
+                ext:zitting <http://data.lblod.info/id/zittingen/later>.
+          }
+        }
+    `);
+});
+
+describe('createCalendar', () => {
+    test('has an event for every upcoming session with matching agenda items', async () => {
+        const calendar = await createCalendar(titleFilter('fiets', { 'name': 'Fietsen' }), now);
+        const lines = contentLines(calendar);
+
+        expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines).toContain('X-WR-CALNAME:LokaalBeslist: Fietsen');
+        expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(1);
+        expect(lines).toEqual(expect.arrayContaining([
+            'UID:http://data.lblod.info/id/zittingen/next',
+            'DTSTAMP:20211001T080000Z',
+            'DTSTART:20211004T190000Z',
+            'DTEND:20211004T223000Z',
+            'SUMMARY:Gemeenteraad Leuven',
+            'LOCATION:Stadhuis\\, Grote Markt 9\\; Leuven',
+            'DESCRIPTION:- Fietsbrug over de Dijle\\n- Fietsenstalling station\\, fase 2',
+        ]));
+    });
+
+    test('folds long lines', async () => {
+        const calendar = await createCalendar(titleFilter('', { 'name': 'é'.repeat(80) }), now);
+
+        for (const line of calendar.split('\r\n')) {
+            expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+        }
+        expect(contentLines(calendar)).toContain(`X-WR-CALNAME:LokaalBeslist: ${'é'.repeat(80)}`);
+        expect(contentLines(calendar).filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    });
+
+    test('is empty for paused subscriptions', async () => {
+        const calendar = await createCalendar(titleFilter('fiets', { 'paused': true }), now);
+
+        expect(calendar).not.toContain('BEGIN:VEVENT');
+    });
+});
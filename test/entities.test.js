@@ -0,0 +1,75 @@
+import { resetStore, updateSudo } from '@lblod/mu-auth-sudo';
+import { searchEntities, findEntities, findLabels } from '../entities';
+
+const ORGANEN = 'http://data.lblod.info/id/bestuursorganen';
+const MANDATARISSEN = 'http://data.lblod.info/id/mandatarissen';
+
+beforeEach(async () => {
+    resetStore();
+
+    await updateSudo(`
+        PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+        PREFIX mandaat: <http://data.vlaanderen.be/ns/mandaat#>
+        PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+        PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+        PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/public> {
+            <${ORGANEN}/gemeenteraad-leuven> a besluit:Bestuursorgaan;
+                skos:prefLabel "Gemeenteraad Leuven".
+            <${ORGANEN}/schepencollege-leuven> a besluit:Bestuursorgaan;
+                skos:prefLabel "College van burgemeester en schepenen Leuven".
+            <${ORGANEN}/gemeenteraad-gent> a besluit:Bestuursorgaan;
+                skos:prefLabel "Gemeenteraad Gent".
+            <${MANDATARISSEN}/1> a mandaat:Mandataris;
+                mandaat:isBestuurlijkeAliasVan <http://data.lblod.info/id/personen/1>.
+            <http://data.lblod.info/id/personen/1> persoon:gebruikteVoornaam "Jan";
+                foaf:familyName "Peeters".
+          }
+        }
+    `);
+});
+
+describe('searchEntities', () => {
+    test('finds entities by part of their label', async () => {
+        expect(await searchEntities('governingBody', 'LEUVEN', 10, 0)).toEqual([
+            { 'uri': `${ORGANEN}/schepencollege-leuven`, 'label': 'College van burgemeester en schepenen Leuven' },
+            { 'uri': `${ORGANEN}/gemeenteraad-leuven`, 'label': 'Gemeenteraad Leuven' },
+        ]);
+        expect(await searchEntities('governingBody', 'leuven', 1, 1)).toEqual([
+            { 'uri': `${ORGANEN}/gemeenteraad-leuven`, 'label': 'Gemeenteraad Leuven' },
+        ]);
+    });
+
+    test('labels mandatarissen with the name of the person', async () => {
+        expect(await searchEntities('mandatary', 'jan p', 10, 0)).toEqual([
+            { 'uri': `${MANDATARISSEN}/1`, 'label': 'Jan Peeters' },
+        ]);
+        expect(await searchEntities('governingBody', 'jan', 10, 0)).toEqual([]);
+    });
+
+    test('escapes the search text', async () => {
+        expect(await searchEntities('governingBody', '") } #', 10, 0)).toEqual([]);
+    });
+});
+
+describe('findEntities', () => {
+    test('only returns entities of the right type', async () => {
+        expect(await findEntities('governingBody', [
+            `${ORGANEN}/gemeenteraad-gent`,
+            `${MANDATARISSEN}/1`,
+            `${ORGANEN}/unknown`,
+        ])).toEqual([`${ORGANEN}/gemeenteraad-gent`]);
+    });
+});
+
+describe('findLabels', () => {
+    test('returns the labels by URI', async () => {
+        const labels = await findLabels([`${ORGANEN}/gemeenteraad-gent`, `${MANDATARISSEN}/1`, `${ORGANEN}/unknown`]);
+
+        expect(labels.get(`${ORGANEN}/gemeenteraad-gent`)).toBe('Gemeenteraad Gent');
+        expect(labels.get(`${MANDATARISSEN}/1`)).toBe('Jan Peeters');
+        expect(labels.has(`${ORGANEN}/unknown`)).toBe(false);
+    });
+});
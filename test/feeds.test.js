@@ -0,0 +1,172 @@
+import { resetStore, updateSudo } from '@lblod/mu-auth-sudo';
+import {
+    createFeedSecret,
+    deleteFeedSecret,
+    forgetFeedItems,
+    verifyFeedSecret,
+    feedUrls,
+    createFeed
+} from '../feeds';
+import { titleFilter } from './support/fixtures';
+
+const FILTER_URI = 'http://lokaalbeslist.be/subscriptions/filters/f1';
+
+/**
+ * Store an agenda item.
+ *
+ * @param {string} id - The mu:uuid of the agenda item.
+ * @param {string} title - The title of the agenda item.
+ * @param {string} sessionDate - The start of the session.
+ * @returns {Promise} - Resolves when the agenda item has been stored.
+ */
+async function storeAgendaItem(id, title, sessionDate) {
+    await updateSudo(`
+        PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+        PREFIX terms: <http://purl.org/dc/terms/>
+        PREFIX ext: <http://mu.semte.ch/vocabularies/ext/>
+        PREFIX prov: <http://www.w3.org/ns/prov#>
+        PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+        PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+        INSERT DATA {
+          GRAPH <http://lokaalbeslist.be/graphs/public> {
+            <http://data.lblod.info/id/agendapunten/${id}> a besluit:Agendapunt;
+                mu:uuid "${id}";
+                terms:title "${title}";
+                terms:description "Over <${title}> & meer";
+                ext:zitting <http://data.lblod.info/id/zittingen/${id}>.
+            <http://data.lblod.info/id/zittingen/${id}>
+                prov:startedAtTime "${sessionDate}"^^xsd:dateTime.
+          }
+        }
+    `);
+}
+
+beforeEach(async () => {
+    resetStore();
+
+    await storeAgendaItem('a1', 'Nieuwe fietsstraat', '2021-09-13T19:00:00Z');
+    await storeAgendaItem('a2', 'Fietsenstalling station', '2021-10-04T19:00:00Z');
+});
+
+describe('feed secrets', () => {
+    test('are replaced and can be removed', async () => {
+        const first = await createFeedSecret(FILTER_URI);
+        const second = await createFeedSecret(FILTER_URI);
+
+        expect(await verifyFeedSecret(FILTER_URI, first)).toBe(false);
+        expect(await verifyFeedSecret(FILTER_URI, second)).toBe(true);
+        expect(await verifyFeedSecret(FILTER_URI, undefined)).toBe(false);
+
+        await deleteFeedSecret(FILTER_URI);
+
+        expect(await verifyFeedSecret(FILTER_URI, second)).toBe(false);
+    });
+
+    test('are part of the feed URLs', () => {
+        expect(feedUrls('f1', 'secret')).toEqual({
+            'atom': 'http://lokaalbeslist.be/subscription-filters/f1/feed.atom?secret=secret',
+            'rss': 'http://lokaalbeslist.be/subscription-filters/f1/feed.rss?secret=secret',
+            'calendar': 'http://lokaalbeslist.be/subscription-filters/f1/calendar.ics?secret=secret',
+        });
+    });
+});
+
+describe('createFeed', () => {
+    const now = new Date('2021-10-05T12:00:00.500Z');
+
+    test('renders an Atom feed of the matching agenda items', async () => {
+        const feed = await createFeed(
+            'http://lokaalbeslist.be/subscriptions/filters/atom',
+            titleFilter('fiets', { 'name': 'Fietsen' }),
+            'atom',
+            now
+        );
+
+        expect(feed.contentType).toBe('application/atom+xml; charset=utf-8');
+        expect(feed.lastModified).toEqual(new Date('2021-10-05T12:00:00Z'));
+        expect(feed.body).toContain('<title>LokaalBeslist: Fietsen</title>');
+        expect(feed.body).toContain('<updated>2021-10-05T12:00:00.000Z</updated>');
+        expect(feed.body).toContain('<link rel="alternate" href="http://lokaalbeslist.be/agendapunten/a2"/>');
+        expect(feed.body).toContain('<summary>Over &lt;Nieuwe fietsstraat&gt; &amp; meer</summary>');
+        expect(feed.body.indexOf('Fietsenstalling station')).toBeLessThan(feed.body.indexOf('Nieuwe fietsstraat'));
+    });
+
+    test('renders an RSS feed', async () => {
+        const feed = await createFeed(
+            'http://lokaalbeslist.be/subscriptions/filters/rss',
+            titleFilter('straat'),
+            'rss',
+            now
+        );
+
+        expect(feed.contentType).toBe('application/rss+xml; charset=utf-8');
+        expect(feed.body).toContain('<title>LokaalBeslist</title>');
+        expect(feed.body).toContain('<guid isPermaLink="false">http://data.lblod.info/id/agendapunten/a1</guid>');
+        expect(feed.body).toContain('<pubDate>Mon, 13 Sep 2021 19:00:00 GMT</pubDate>');
+        expect(feed.body).not.toContain('Fietsenstalling');
+    });
+
+    test('keeps the items and their modification time until they change', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/filters/cached';
+        const first = await createFeed(uri, titleFilter('fiets'), 'atom', now);
+
+        await storeAgendaItem('a3', 'Fietsbrug', '2021-10-11T19:00:00Z');
+
+        const cached = await createFeed(uri, titleFilter('fiets'), 'atom', new Date(now.getTime() + 60 * 1000));
+        expect(cached.etag).toBe(first.etag);
+
+        const later = new Date(now.getTime() + 60 * 60 * 1000);
+        const refreshed = await createFeed(uri, titleFilter('fiets'), 'atom', later);
+        expect(refreshed.etag).not.toBe(first.etag);
+        expect(refreshed.body).toContain('Fietsbrug');
+        expect(refreshed.lastModified).toEqual(new Date('2021-10-05T13:00:00Z'));
+
+        const unchanged = await createFeed(uri, titleFilter('fiets'), 'atom', new Date(later.getTime() + 60 * 60 * 1000));
+        expect(unchanged.lastModified).toEqual(refreshed.lastModified);
+
+        const changedFilter = await createFeed(uri, titleFilter('brug'), 'atom', later);
+        expect(changedFilter.body).not.toContain('Fietsenstalling');
+    });
+
+    test('forgets the items of deleted feeds and long expired ones', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/filters/forgotten';
+        await createFeed(uri, titleFilter('fiets'), 'atom', now);
+
+        await storeAgendaItem('a4', 'Fietsroute', '2021-10-12T19:00:00Z');
+        forgetFeedItems(uri);
+
+        const refreshed = await createFeed(uri, titleFilter('fiets'), 'atom', now);
+        expect(refreshed.body).toContain('Fietsroute');
+
+        await deleteFeedSecret(uri);
+        await storeAgendaItem('a5', 'Fietspad', '2021-10-13T19:00:00Z');
+
+        const afterDelete = await createFeed(uri, titleFilter('fiets'), 'atom', now);
+        expect(afterDelete.body).toContain('Fietspad');
+
+        // Unchanged items keep their modification time, unless the entry
+        // expired too long ago.
+        const nextWeek = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+        const swept = await createFeed(uri, titleFilter('fiets'), 'atom', nextWeek);
+        expect(swept.lastModified).toEqual(new Date(Math.floor(nextWeek.getTime() / 1000) * 1000));
+    });
+
+    test('is empty for paused and expired subscriptions', async () => {
+        const paused = await createFeed(
+            'http://lokaalbeslist.be/subscriptions/filters/paused',
+            titleFilter('fiets', { 'paused': true }),
+            'atom',
+            now
+        );
+        const expired = await createFeed(
+            'http://lokaalbeslist.be/subscriptions/filters/expired',
+            titleFilter('fiets', { 'active-until': '2021-10-01T00:00:00Z' }),
+            'rss',
+            now
+        );
+
+        expect(paused.body).not.toContain('<entry>');
+        expect(expired.body).not.toContain('<item>');
+    });
+});
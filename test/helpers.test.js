@@ -0,0 +1,206 @@
+import { resetStore } from '@lblod/mu-auth-sudo';
+import {
+    escapeSparqlString,
+    escapeHtml,
+    parseDateTime,
+    isValidEmail,
+    isActiveSubscription,
+    pageLinks,
+    validateRequest,
+    verifyConstraint,
+    verifyFilter
+} from '../helpers';
+import { createConstraint, createFilterTree } from '../queries';
+
+/**
+ * Create a fake Express response that remembers what was sent.
+ *
+ * @returns {object} - The response, with the sent `statusCode` and `body`.
+ */
+function fakeResponse() {
+    const res = {
+        'status': (statusCode) => {
+            res.statusCode = statusCode;
+            return res;
+        },
+        'send': (body) => {
+            res.body = JSON.parse(body);
+            return res;
+        },
+    };
+
+    return res;
+}
+
+beforeEach(() => {
+    resetStore();
+});
+
+describe('escapeSparqlString', () => {
+    test('escapes quotes, backslashes and newlines', () => {
+        expect(escapeSparqlString('a "b" \'c\' \\d\ne\rf'))
+            .toBe('a \\"b\\" \\\'c\\\' \\\\d\\ne\\rf');
+    });
+});
+
+describe('escapeHtml', () => {
+    test('escapes markup', () => {
+        expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>'))
+            .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+});
+
+describe('parseDateTime', () => {
+    test('parses dates and date-times', () => {
+        expect(parseDateTime('2021-09-13')).toBe('2021-09-13T00:00:00.000Z');
+        expect(parseDateTime('2021-09-13T19:00:00+02:00')).toBe('2021-09-13T17:00:00.000Z');
+    });
+
+    test('rejects anything else', () => {
+        expect(parseDateTime('tomorrow')).toBeUndefined();
+        expect(parseDateTime(undefined)).toBeUndefined();
+    });
+});
+
+describe('isValidEmail', () => {
+    test('accepts normal addresses', () => {
+        expect(isValidEmail('jan.peeters@example.be')).toBe(true);
+        expect(isValidEmail('jan+lokaalbeslist@sub.example.be')).toBe(true);
+    });
+
+    test('rejects malformed addresses', () => {
+        expect(isValidEmail('jan')).toBe(false);
+        expect(isValidEmail('jan@localhost')).toBe(false);
+        expect(isValidEmail('.jan@example.be')).toBe(false);
+        expect(isValidEmail('jan..peeters@example.be')).toBe(false);
+        expect(isValidEmail(`${'a'.repeat(250)}@example.be`)).toBe(false);
+        expect(isValidEmail(undefined)).toBe(false);
+    });
+});
+
+describe('isActiveSubscription', () => {
+    const now = new Date('2021-09-13T12:00:00Z');
+
+    test('skips paused and expired subscriptions', () => {
+        expect(isActiveSubscription({ 'paused': false }, now)).toBe(true);
+        expect(isActiveSubscription({ 'paused': true }, now)).toBe(false);
+        expect(isActiveSubscription({ 'paused': false, 'active-until': '2021-09-13T12:00:00Z' }, now)).toBe(true);
+        expect(isActiveSubscription({ 'paused': false, 'active-until': '2021-09-12T12:00:00Z' }, now)).toBe(false);
+    });
+});
+
+describe('pageLinks', () => {
+    test('keep the other query parameters', () => {
+        const req = {
+            'baseUrl': '',
+            'path': '/admin/users',
+            'query': { 'email': 'jan&an', 'page': { 'number': '1' } },
+        };
+
+        expect(pageLinks(req, { 'number': 1, 'size': 10 }, 25)).toEqual({
+            'first': '/admin/users?email=jan%26an&page[number]=0&page[size]=10',
+            'last': '/admin/users?email=jan%26an&page[number]=2&page[size]=10',
+            'prev': '/admin/users?email=jan%26an&page[number]=0&page[size]=10',
+            'next': '/admin/users?email=jan%26an&page[number]=2&page[size]=10',
+        });
+    });
+});
+
+describe('validateRequest', () => {
+    const request = (data) => {
+        return { 'body': { 'data': data } };
+    };
+
+    test('accepts a complete resource', () => {
+        const res = fakeResponse();
+
+        expect(validateRequest(
+            request({ 'type': 'subscription-filters', 'attributes': { 'require-all': true } }),
+            res,
+            'subscription-filters',
+            ['require-all']
+        )).toBe(true);
+        expect(res.statusCode).toBeUndefined();
+    });
+
+    test('rejects a missing body', () => {
+        const res = fakeResponse();
+
+        expect(validateRequest({ 'body': {} }, res, 'subscription-filters')).toBe(false);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors[0].detail).toBe('No data was sent.');
+    });
+
+    test('rejects the wrong type', () => {
+        const res = fakeResponse();
+
+        expect(validateRequest(
+            request({ 'type': 'subscription-filter-constraints' }),
+            res,
+            'subscription-filters'
+        )).toBe(false);
+        expect(res.body.errors[0].detail)
+            .toBe('Expected type \'subscription-filters\' but got \'subscription-filter-constraints\'.');
+    });
+
+    test('lists the missing attributes', () => {
+        const res = fakeResponse();
+
+        expect(validateRequest(
+            request({ 'type': 'subscription-filter-constraints', 'attributes': { 'subject': 'title' } }),
+            res,
+            'subscription-filter-constraints',
+            ['subject', 'predicate', 'object']
+        )).toBe(false);
+        expect(res.body.errors[0].detail).toBe('Missing attributes: \'predicate\', \'object\'.');
+    });
+
+    test('points to the attribute a validator rejects', () => {
+        const res = fakeResponse();
+        const validators = {
+            'hour': (hour) => hour > 23 ? 'Invalid hour.' : undefined,
+            'weekday': () => 'Never called.',
+        };
+
+        expect(validateRequest(
+            request({ 'type': 'subscription-filters', 'attributes': { 'require-all': true, 'hour': 24 } }),
+            res,
+            'subscription-filters',
+            ['require-all'],
+            undefined,
+            validators
+        )).toBe(false);
+        expect(res.body.errors[0]).toEqual({
+            'detail': 'Invalid hour.',
+            'status': 400,
+            'source': { 'pointer': '/data/attributes/hour' },
+        });
+    });
+});
+
+describe('verifyConstraint and verifyFilter', () => {
+    test('check that the resource exists', async () => {
+        await createConstraint(
+            'http://lokaalbeslist.be/subscriptions/constraints/c1',
+            'title',
+            'textContains',
+            'fiets'
+        );
+        const filter = await createFilterTree({
+            'require-all': true,
+            'negate': false,
+            'constraints': [{ 'id': 'c1' }],
+            'sub-filters': [],
+        });
+
+        const constraint = { 'type': 'subscription-filter-constraints', 'id': 'c1' };
+        const storedFilter = { 'type': 'subscription-filters', 'id': filter.id };
+
+        expect(await verifyConstraint(constraint)).toBe(true);
+        expect(await verifyConstraint({ ...constraint, 'id': 'c2' })).toBe(false);
+        expect(await verifyConstraint({ ...constraint, 'type': 'subscription-filters' })).toBe(false);
+        expect(await verifyFilter(storedFilter)).toBe(true);
+        expect(await verifyFilter({ ...storedFilter, 'id': 'f2' })).toBe(false);
+        expect(await verifyFilter({ 'type': 'subscription-filters' })).toBe(false);
+    });
+});
@@ -0,0 +1,110 @@
+import { toTurtle, toJsonLd, turtleToJsonApi, jsonLdToJsonApi } from '../portability';
+
+/**
+ * A filter tree like the ones stored: a negated filter with a constraint and
+ * a sub-filter, sharing the constraint.
+ *
+ * @returns {object} - The root of the filter tree.
+ */
+function storedTree() {
+    const constraint = {
+        'id': 'c1',
+        'subject': 'title',
+        'predicate': 'textContains',
+        'object': '"fiets" \\ trein',
+    };
+
+    return {
+        'id': 'root',
+        'require-all': false,
+        'negate': true,
+        'frequency': 'weekly',
+        'weekday': 'monday',
+        'hour': 6,
+        'name': 'Geen fietsen',
+        'paused': true,
+        'constraints': [constraint],
+        'sub-filters': [{
+            'id': 'sub',
+            'require-all': true,
+            'negate': false,
+            'constraints': [constraint, { 'id': 'c2', 'subject': 'title', 'predicate': 'textContains', 'object': 'auto' }],
+            'sub-filters': [],
+        }],
+    };
+}
+
+/**
+ * The JSON:API document both exports of `storedTree` convert to.
+ */
+const EXPECTED = {
+    'data': [{
+        'type': 'subscription-filters',
+        'lid': 'http://lokaalbeslist.be/subscriptions/filters/root',
+        'attributes': expect.objectContaining({
+            'require-all': false,
+            'negate': true,
+            'frequency': 'weekly',
+            'weekday': 'monday',
+            'hour': 6,
+            'name': 'Geen fietsen',
+            'paused': true,
+        }),
+        'relationships': {
+            'constraints': {
+                'data': [{ 'type': 'subscription-filter-constraints', 'lid': 'http://lokaalbeslist.be/subscriptions/constraints/c1' }],
+            },
+            'sub-filters': {
+                'data': [{ 'type': 'subscription-filters', 'lid': 'http://lokaalbeslist.be/subscriptions/filters/sub' }],
+            },
+        },
+    }],
+    'included': expect.arrayContaining([
+        expect.objectContaining({
+            'lid': 'http://lokaalbeslist.be/subscriptions/constraints/c1',
+            'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': '"fiets" \\ trein' },
+        }),
+        expect.objectContaining({
+            'lid': 'http://lokaalbeslist.be/subscriptions/filters/sub',
+            'attributes': expect.objectContaining({ 'require-all': true, 'negate': false }),
+        }),
+    ]),
+};
+
+describe('turtleToJsonApi', () => {
+    test('reads the filter trees of a Turtle export', () => {
+        const document = turtleToJsonApi(toTurtle([storedTree()]));
+
+        expect(document).toEqual(EXPECTED);
+        expect(document.included).toHaveLength(3);
+    });
+
+    test('rejects invalid documents', () => {
+        expect(() => turtleToJsonApi('<a> <b> .')).toThrow('Invalid Turtle');
+        expect(() => turtleToJsonApi(`
+            @prefix sh: <http://www.w3.org/ns/shacl#>.
+
+            <http://example.com/f> a sh:NodeShape; sh:and ( "text" ).
+        `)).toThrow('not a node');
+        expect(() => turtleToJsonApi(`
+            @prefix sh: <http://www.w3.org/ns/shacl#>.
+
+            <http://example.com/r> a sh:NodeShape; sh:or ( <http://example.com/f> ).
+            <http://example.com/f> a sh:NodeShape; sh:and ( <http://example.com/g> ).
+            <http://example.com/g> a sh:NodeShape; sh:and ( <http://example.com/f> ).
+        `)).toThrow('contains itself');
+    });
+});
+
+describe('jsonLdToJsonApi', () => {
+    test('reads the filter trees of a JSON-LD export', async () => {
+        expect(await jsonLdToJsonApi(toJsonLd([storedTree()]))).toEqual(EXPECTED);
+    });
+
+    test('does not load remote contexts', async () => {
+        await expect(jsonLdToJsonApi({
+            '@context': 'http://example.com/context.jsonld',
+            '@id': 'http://example.com/f',
+        })).rejects.toMatch('Invalid JSON-LD');
+    });
+});
@@ -0,0 +1,573 @@
+import * as sudo from '@lblod/mu-auth-sudo';
+import { resetStore, querySudo, updateSudo } from '@lblod/mu-auth-sudo';
+import {
+    createConstraint,
+    findConstraint,
+    updateConstraint,
+    deleteConstraint,
+    existsConstraint,
+    createFilterTree,
+    findFilter,
+    findFilters,
+    existsFilter,
+    updateFilter,
+    deleteFilter,
+    resolveFilterDocument,
+    collectGarbage
+} from '../queries';
+
+/**
+ * Store a constraint with a fixed id.
+ *
+ * @param {string} id - The id of the constraint.
+ * @param {string} [object='fiets'] - The text the title should contain.
+ * @returns {Promise<string>} - The URI of the constraint.
+ */
+async function storeConstraint(id, object='fiets') {
+    const uri = `http://lokaalbeslist.be/subscriptions/constraints/${id}`;
+
+    await createConstraint(uri, 'title', 'textContains', object);
+
+    return uri;
+}
+
+/**
+ * Store a filter referring to existing constraints and sub-filters.
+ *
+ * @param {string[]} constraintIds - The ids of the constraints.
+ * @param {string[]} [subFilterIds=[]] - The ids of the sub-filters.
+ * @param {boolean} [requireAll=true] - Whether all requirements must be met.
+ * @returns {Promise<string>} - The URI of the filter.
+ */
+async function storeFilter(constraintIds, subFilterIds=[], requireAll=true) {
+    const filter = await createFilterTree({
+        'require-all': requireAll,
+        'negate': false,
+        'constraints': constraintIds.map((id) => {
+            return { 'id': id };
+        }),
+        'sub-filters': await Promise.all(subFilterIds.map(
+            (id) => findFilter(`http://lokaalbeslist.be/subscriptions/filters/${id}`)
+        )),
+    });
+
+    return `http://lokaalbeslist.be/subscriptions/filters/${filter.id}`;
+}
+
+/**
+ * Get the id of a filter or constraint from its URI.
+ *
+ * @param {string} uri - The URI.
+ * @returns {string} - The id.
+ */
+function idOf(uri) {
+    return uri.split('/').pop();
+}
+
+/**
+ * Count the triples in the subscriptions graph.
+ *
+ * @returns {Promise<number>} - The amount of triples.
+ */
+async function countTriples() {
+    const result = await querySudo(`
+        SELECT (COUNT(*) as ?count) WHERE {
+          GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+            ?s ?p ?o.
+          }
+        }
+    `);
+
+    return parseInt(result.results.bindings[0]['count']['value']);
+}
+
+beforeEach(() => {
+    resetStore();
+});
+
+describe('constraints', () => {
+    test('can be created and found', async () => {
+        const uri = await storeConstraint('c1');
+
+        expect(await existsConstraint(uri)).toBe(true);
+        expect(await findConstraint(uri)).toEqual({
+            'id': 'c1',
+            'subject': 'title',
+            'predicate': 'textContains',
+            'object': 'fiets',
+        });
+    });
+
+    test('are validated', async () => {
+        await expect(createConstraint(
+            'http://lokaalbeslist.be/subscriptions/constraints/c1',
+            'colour',
+            'textContains',
+            'fiets'
+        )).rejects.toBe('Invalid subject: colour');
+        await expect(createConstraint(
+            'http://lokaalbeslist.be/subscriptions/constraints/c1',
+            'title',
+            'dateBefore',
+            '2021-01-01'
+        )).rejects.toBe('Predicate \'dateBefore\' can only be used with subject \'sessionDate\'.');
+        await expect(createConstraint(
+            'http://lokaalbeslist.be/subscriptions/constraints/c1',
+            'sessionDate',
+            'dateBetween',
+            '2021-02-01/2021-01-01'
+        )).rejects.toBe('Invalid date range: \'2021-02-01/2021-01-01\', start is after end.');
+
+        expect(await countTriples()).toBe(0);
+    });
+
+    test('are replaced in place', async () => {
+        const uri = await storeConstraint('c1');
+        const filterUri = await storeFilter(['c1']);
+
+        await updateConstraint(uri, 'description', 'textEquals', 'auto');
+
+        expect(await findConstraint(uri)).toEqual({
+            'id': 'c1',
+            'subject': 'description',
+            'predicate': 'textEquals',
+            'object': 'auto',
+        });
+        expect((await findFilter(filterUri)).constraints.map((c) => c.id)).toEqual(['c1']);
+    });
+
+    test('are removed from their filters when deleted', async () => {
+        const uri = await storeConstraint('c1');
+        await storeConstraint('c2', 'auto');
+        const filterUri = await storeFilter(['c1', 'c2']);
+
+        await deleteConstraint(uri);
+
+        expect(await existsConstraint(uri)).toBe(false);
+        expect(await findConstraint(uri)).toBeUndefined();
+        expect((await findFilter(filterUri)).constraints.map((c) => c.id)).toEqual(['c2']);
+    });
+});
+
+describe('filter trees', () => {
+    test('are stored with their nested sub-filters', async () => {
+        const filter = await resolveFilterDocument({
+            'data': {
+                'type': 'subscription-filters',
+                'attributes': { 'require-all': true },
+                'relationships': {
+                    'constraints': {
+                        'data': [{ 'type': 'subscription-filter-constraints', 'lid': 'title' }],
+                    },
+                    'sub-filters': {
+                        'data': [{ 'type': 'subscription-filters', 'lid': 'either' }],
+                    },
+                },
+            },
+            'included': [
+                {
+                    'type': 'subscription-filter-constraints',
+                    'lid': 'title',
+                    'attributes': { 'subject': 'title', 'predicate': 'textContains', 'object': 'fiets' },
+                },
+                {
+                    'type': 'subscription-filters',
+                    'lid': 'either',
+                    'attributes': { 'require-all': false, 'negate': true },
+                    'relationships': {
+                        'constraints': {
+                            'data': [
+                                { 'type': 'subscription-filter-constraints', 'lid': 'gent' },
+                                { 'type': 'subscription-filter-constraints', 'lid': 'brugge' },
+                            ],
+                        },
+                    },
+                },
+                {
+                    'type': 'subscription-filter-constraints',
+                    'lid': 'gent',
+                    'attributes': { 'subject': 'governanceArea', 'predicate': 'governanceAreaEquals', 'object': 'Gent' },
+                },
+                {
+                    'type': 'subscription-filter-constraints',
+                    'lid': 'brugge',
+                    'attributes': { 'subject': 'governanceArea', 'predicate': 'governanceAreaEquals', 'object': 'Brugge' },
+                },
+            ],
+        });
+
+        const stored = await createFilterTree(filter);
+        const found = await findFilter(`http://lokaalbeslist.be/subscriptions/filters/${stored.id}`);
+
+        expect(found['require-all']).toBe(true);
+        expect(found['negate']).toBe(false);
+        expect(found.constraints.map((c) => c.object)).toEqual(['fiets']);
+        expect(found['sub-filters']).toHaveLength(1);
+
+        const subFilter = found['sub-filters'][0];
+
+        expect(subFilter.id).toBe(stored['sub-filters'][0].id);
+        expect(subFilter['require-all']).toBe(false);
+        expect(subFilter['negate']).toBe(true);
+        expect(subFilter.constraints.map((c) => c.object).sort()).toEqual(['Brugge', 'Gent']);
+    });
+
+    test('can not refer to unknown resources', async () => {
+        await expect(resolveFilterDocument({
+            'data': {
+                'type': 'subscription-filters',
+                'attributes': { 'require-all': true },
+                'relationships': {
+                    'constraints': {
+                        'data': [{ 'type': 'subscription-filter-constraints', 'id': 'missing' }],
+                    },
+                },
+            },
+        })).rejects.toMatch('missing');
+    });
+
+    test('are not found when they do not exist', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/filters/missing';
+
+        expect(await existsFilter(uri)).toBe(false);
+        expect(await findFilter(uri)).toBeUndefined();
+    });
+
+    test('are loaded together in a fixed number of queries', async () => {
+        await storeConstraint('a', 'fiets');
+        await storeConstraint('b', 'auto');
+        await storeConstraint('c', 'trein');
+        const inner = await storeFilter(['c']);
+        const first = await storeFilter(['a', 'b'], [idOf(inner)]);
+        const second = await storeFilter(['c'], [], false);
+        const spy = jest.spyOn(sudo, 'querySudo');
+
+        const found = await findFilters([
+            second,
+            'http://lokaalbeslist.be/subscriptions/filters/missing',
+            first,
+        ]);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        spy.mockRestore();
+
+        expect(found.map((filter) => filter?.id)).toEqual([idOf(second), undefined, idOf(first)]);
+        expect(found[0]['require-all']).toBe(false);
+        expect(found[2].constraints.map((c) => c.object)).toEqual(['fiets', 'auto']);
+        expect(found[2]['sub-filters'].map((filter) => filter.id)).toEqual([idOf(inner)]);
+        expect(found[2]['sub-filters'][0].constraints.map((c) => c.object)).toEqual(['trein']);
+    });
+
+    test('skip sub-filters that contain themselves', async () => {
+        await storeConstraint('a');
+        const inner = await storeFilter(['a']);
+        const outer = await storeFilter([], [idOf(inner)]);
+
+        await updateSudo(`
+            PREFIX sh: <http://www.w3.org/ns/shacl#>
+
+            INSERT {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                ?node rdf:rest [ rdf:first <${outer}>; rdf:rest rdf:nil ].
+              }
+            } WHERE {
+              GRAPH <http://lokaalbeslist.be/graphs/subscriptions> {
+                <${inner}> sh:and/rdf:rest* ?node.
+                ?node rdf:rest rdf:nil.
+              }
+            }
+        `);
+
+        const found = await findFilter(outer);
+
+        expect(found['sub-filters'][0].id).toBe(idOf(inner));
+        expect(found['sub-filters'][0]['sub-filters']).toEqual([]);
+    });
+});
+
+describe('updateFilter', () => {
+    test('replaces the requirements and removes unused ones', async () => {
+        const oldConstraint = await storeConstraint('c1');
+        await storeConstraint('c2', 'auto');
+        const oldSubFilter = await storeFilter(['c2']);
+        await storeConstraint('c3', 'bus');
+        const filterUri = await storeFilter(['c1'], [idOf(oldSubFilter)]);
+
+        await updateFilter(
+            filterUri,
+            false,
+            [{ 'type': 'subscription-filter-constraints', 'id': 'c3' }],
+            [],
+            true
+        );
+
+        const found = await findFilter(filterUri);
+
+        expect(found['require-all']).toBe(false);
+        expect(found['negate']).toBe(true);
+        expect(found.constraints.map((c) => c.id)).toEqual(['c3']);
+        expect(found['sub-filters']).toEqual([]);
+        expect(await existsConstraint(oldConstraint)).toBe(false);
+        expect(await existsFilter(oldSubFilter)).toBe(false);
+    });
+
+    test('does not let a filter contain itself', async () => {
+        await storeConstraint('c1');
+        const parent = await storeFilter(['c1']);
+        const child = await storeFilter(['c1']);
+
+        await updateFilter(parent, true, [], [{ 'type': 'subscription-filters', 'id': idOf(child) }]);
+
+        await expect(updateFilter(
+            child,
+            true,
+            [],
+            [{ 'type': 'subscription-filters', 'id': idOf(parent) }]
+        )).rejects.toMatch('itself');
+    });
+
+    test('needs at least one requirement', async () => {
+        await storeConstraint('c1');
+        const filterUri = await storeFilter(['c1']);
+
+        await expect(updateFilter(filterUri, true, [], [])).rejects.toBeDefined();
+        expect((await findFilter(filterUri)).constraints.map((c) => c.id)).toEqual(['c1']);
+    });
+});
+
+describe('deleteFilter', () => {
+    test('removes the tree but keeps shared resources', async () => {
+        await storeConstraint('shared');
+        await storeConstraint('own', 'auto');
+        const subFilter = await storeFilter(['own']);
+        const filterUri = await storeFilter(['shared'], [idOf(subFilter)]);
+        const otherFilter = await storeFilter(['shared']);
+
+        await deleteFilter(filterUri);
+
+        expect(await existsFilter(filterUri)).toBe(false);
+        expect(await existsFilter(subFilter)).toBe(false);
+        expect(await existsConstraint('http://lokaalbeslist.be/subscriptions/constraints/own')).toBe(false);
+        expect(await existsConstraint('http://lokaalbeslist.be/subscriptions/constraints/shared')).toBe(true);
+        expect((await findFilter(otherFilter)).constraints.map((c) => c.id)).toEqual(['shared']);
+    });
+
+    test('leaves nothing behind', async () => {
+        await storeConstraint('c1');
+        const subFilter = await storeFilter(['c1']);
+        const filterUri = await storeFilter([], [idOf(subFilter)]);
+
+        await deleteFilter(filterUri);
+
+        expect(await countTriples()).toBe(0);
+    });
+});
+
+describe('governance area constraints', () => {
+    const AREAS = 'http://data.lblod.info/id/werkingsgebieden';
+    const UNITS = 'http://data.lblod.info/id/bestuurseenheden';
+
+    beforeEach(async () => {
+        await updateSudo(`
+            PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+            PREFIX geo: <http://www.opengis.net/ont/geosparql#>
+            PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+            PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/public> {
+                <${AREAS}/oost-vlaanderen> rdfs:label "Oost-Vlaanderen".
+                <${AREAS}/gent> rdfs:label "Gent";
+                    geo:sfWithin <${AREAS}/oost-vlaanderen>.
+                <${AREAS}/aalst> rdfs:label "Aalst";
+                    geo:sfWithin <${AREAS}/oost-vlaanderen>.
+                <${UNITS}/provincie-oost-vlaanderen> skos:prefLabel "Oost-Vlaanderen";
+                    besluit:werkingsgebied <${AREAS}/oost-vlaanderen>.
+                <${UNITS}/gemeente-gent> skos:prefLabel "Gent";
+                    besluit:werkingsgebied <${AREAS}/gent>.
+                <${UNITS}/gemeente-aalst> skos:prefLabel "Aalst";
+                    besluit:werkingsgebied <${AREAS}/aalst>.
+              }
+            }
+        `);
+    });
+
+    test('store the werkingsgebied of a bestuurseenheid', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/constraints/c1';
+
+        await createConstraint(uri, 'governanceArea', 'governanceAreaIs', `${UNITS}/gemeente-gent`);
+
+        expect(await findConstraint(uri)).toEqual({
+            'id': 'c1',
+            'subject': 'governanceArea',
+            'predicate': 'governanceAreaIs',
+            'object': `${UNITS}/gemeente-gent`,
+            'values': [`${AREAS}/gent`],
+            'label': 'Gent',
+        });
+
+        const result = await querySudo(`
+            PREFIX sh: <http://www.w3.org/ns/shacl#>
+
+            SELECT ?value WHERE {
+              <${uri}> sh:hasValue ?value.
+            }
+        `);
+
+        expect(result.results.bindings.map((binding) => binding['value']['value'])).toEqual([`${AREAS}/gent`]);
+    });
+
+    test('include the contained areas', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/constraints/c1';
+
+        await createConstraint(uri, 'governanceArea', 'governanceAreaWithin', `${AREAS}/oost-vlaanderen`);
+
+        const constraint = await findConstraint(uri);
+
+        expect(constraint.values).toEqual([`${AREAS}/aalst`, `${AREAS}/gent`, `${AREAS}/oost-vlaanderen`]);
+        expect(constraint.label).toBe('Oost-Vlaanderen');
+    });
+
+    test('reject unknown areas and anything but URIs', async () => {
+        await expect(createConstraint(
+            'http://lokaalbeslist.be/subscriptions/constraints/c1',
+            'governanceArea',
+            'governanceAreaIs',
+            `${AREAS}/brugge`
+        )).rejects.toBe(`Unknown governance area: '${AREAS}/brugge'.`);
+        await expect(createConstraint(
+            'http://lokaalbeslist.be/subscriptions/constraints/c1',
+            'governanceArea',
+            'governanceAreaIs',
+            'Gent'
+        )).rejects.toBe('Invalid governance area: \'Gent\', expected a URI.');
+        await expect(createConstraint(
+            'http://lokaalbeslist.be/subscriptions/constraints/c1',
+            'title',
+            'governanceAreaWithin',
+            `${AREAS}/gent`
+        )).rejects.toBe('Predicate \'governanceAreaWithin\' can only be used with subject \'governanceArea\'.');
+
+        expect(await countTriples()).toBe(0);
+    });
+
+    test('are kept when an update refers to an unknown area', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/constraints/c1';
+
+        await createConstraint(uri, 'governanceArea', 'governanceAreaIs', `${AREAS}/gent`);
+
+        await expect(updateConstraint(uri, 'governanceArea', 'governanceAreaIs', `${AREAS}/brugge`))
+            .rejects.toMatch('Unknown governance area');
+        expect((await findConstraint(uri)).values).toEqual([`${AREAS}/gent`]);
+    });
+
+    test('leave no list nodes behind', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/constraints/c1';
+
+        await createConstraint(uri, 'governanceArea', 'governanceAreaWithin', `${AREAS}/oost-vlaanderen`);
+        await storeFilter(['c1']);
+
+        expect((await collectGarbage(24))['list-nodes']).toBe(0);
+        expect((await findConstraint(uri)).values).toHaveLength(3);
+
+        await updateConstraint(uri, 'governanceArea', 'governanceAreaIs', `${AREAS}/gent`);
+
+        expect((await collectGarbage(24))['list-nodes']).toBe(0);
+    });
+});
+
+describe('entity constraints', () => {
+    const ORGANEN = 'http://data.lblod.info/id/bestuursorganen';
+    const MANDATARISSEN = 'http://data.lblod.info/id/mandatarissen';
+
+    beforeEach(async () => {
+        await updateSudo(`
+            PREFIX besluit: <http://data.vlaanderen.be/ns/besluit#>
+            PREFIX mandaat: <http://data.vlaanderen.be/ns/mandaat#>
+            PREFIX persoon: <http://data.vlaanderen.be/ns/persoon#>
+            PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+            PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+            INSERT DATA {
+              GRAPH <http://lokaalbeslist.be/graphs/public> {
+                <${ORGANEN}/gemeenteraad-leuven> a besluit:Bestuursorgaan;
+                    skos:prefLabel "Gemeenteraad Leuven".
+                <${ORGANEN}/gemeenteraad-gent> a besluit:Bestuursorgaan;
+                    skos:prefLabel "Gemeenteraad Gent".
+                <${MANDATARISSEN}/1> a mandaat:Mandataris;
+                    mandaat:isBestuurlijkeAliasVan <http://data.lblod.info/id/personen/1>.
+                <http://data.lblod.info/id/personen/1> persoon:gebruikteVoornaam "Jan";
+                    foaf:familyName "Peeters".
+              }
+            }
+        `);
+    });
+
+    test('store one or more entities', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/constraints/c1';
+        const object = `${ORGANEN}/gemeenteraad-leuven  ${ORGANEN}/gemeenteraad-gent`;
+
+        await createConstraint(uri, 'governingBody', 'entityIn', object);
+
+        expect(await findConstraint(uri)).toEqual({
+            'id': 'c1',
+            'subject': 'governingBody',
+            'predicate': 'entityIn',
+            'object': object,
+            'values': [`${ORGANEN}/gemeenteraad-gent`, `${ORGANEN}/gemeenteraad-leuven`],
+            'label': 'Gemeenteraad Leuven, Gemeenteraad Gent',
+        });
+
+        await updateConstraint(uri, 'mandatary', 'entityIs', `${MANDATARISSEN}/1`);
+
+        expect(await findConstraint(uri)).toMatchObject({
+            'values': [`${MANDATARISSEN}/1`],
+            'label': 'Jan Peeters',
+        });
+    });
+
+    test('reject unknown entities and invalid combinations', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/constraints/c1';
+
+        await expect(createConstraint(uri, 'governingBody', 'entityIn', `${ORGANEN}/gemeenteraad-gent ${MANDATARISSEN}/1`))
+            .rejects.toBe(`Unknown governing body: '${MANDATARISSEN}/1'.`);
+        await expect(createConstraint(uri, 'mandatary', 'entityIs', 'Jan Peeters'))
+            .rejects.toBe('Invalid mandatary: \'Jan Peeters\', expected a URI.');
+        await expect(createConstraint(uri, 'mandatary', 'textContains', 'Peeters'))
+            .rejects.toBe('Predicate \'textContains\' can not be used with subject \'mandatary\'.');
+        await expect(createConstraint(uri, 'title', 'entityIs', `${MANDATARISSEN}/1`))
+            .rejects.toBe('Predicate \'entityIs\' can only be used with subjects \'governingBody\', \'mandatary\'.');
+
+        expect(await countTriples()).toBe(0);
+    });
+
+    test('store the inverse step of the path and remove it again', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/constraints/c1';
+
+        await createConstraint(uri, 'mandatary', 'entityIs', `${MANDATARISSEN}/1`);
+
+        const result = await querySudo(`
+            PREFIX sh: <http://www.w3.org/ns/shacl#>
+            PREFIX terms: <http://purl.org/dc/terms/>
+
+            ASK {
+              <${uri}> sh:path/rdf:first/sh:inversePath terms:subject.
+            }
+        `);
+
+        expect(result.boolean).toBe(true);
+
+        await deleteConstraint(uri);
+
+        expect(await countTriples()).toBe(0);
+    });
+
+    test('leave no path nodes behind for the garbage collection', async () => {
+        const uri = 'http://lokaalbeslist.be/subscriptions/constraints/c1';
+
+        await createConstraint(uri, 'mandatary', 'exists', '');
+        await storeFilter(['c1']);
+
+        expect(await collectGarbage(24)).toMatchObject({ 'constraints': 0, 'list-nodes': 0 });
+    });
+});
@@ -0,0 +1,137 @@
+import {
+    SCHEDULE_VALIDATORS,
+    createSchedule,
+    weekdayUri,
+    weekdayFromUri,
+    isTimeZone,
+    previousSlot,
+    isDue
+} from '../schedule';
+
+/**
+ * Run the schedule validators on attributes, like `validateRequest` does.
+ *
+ * @param {object} attributes - The attributes of the filter.
+ * @returns {(string|undefined)} - The first error message, undefined if the
+ * attributes are valid.
+ */
+function validate(attributes) {
+    return Object.entries(SCHEDULE_VALIDATORS)
+        .filter(([attribute]) => attributes[attribute] !== undefined)
+        .map(([attribute, check]) => check(attributes[attribute], attributes))
+        .find((message) => message !== undefined);
+}
+
+describe('SCHEDULE_VALIDATORS', () => {
+    test('accept valid schedules', () => {
+        expect(validate({ 'frequency': 'immediate' })).toBeUndefined();
+        expect(validate({ 'frequency': 'weekly', 'weekday': 'friday', 'hour': 18, 'time-zone': 'Europe/Brussels' }))
+            .toBeUndefined();
+        expect(validate({ 'hour': 0, 'time-zone': 'UTC' })).toBeUndefined();
+        expect(validate({ 'frequency': 'daily', 'weekday': null, 'hour': null, 'time-zone': null })).toBeUndefined();
+    });
+
+    test('reject invalid values', () => {
+        expect(validate({ 'frequency': 'hourly' })).toMatch('Invalid frequency: \'hourly\'');
+        expect(validate({ 'frequency': null })).toMatch('Invalid frequency');
+        expect(validate({ 'weekday': 'Monday' })).toMatch('Invalid weekday: \'Monday\'');
+        expect(validate({ 'hour': 24 })).toMatch('Invalid hour: \'24\'');
+        expect(validate({ 'hour': '8' })).toMatch('Invalid hour');
+        expect(validate({ 'hour': 7.5 })).toMatch('Invalid hour');
+        expect(validate({ 'time-zone': 'Europe/Gent' })).toMatch('Invalid time-zone: \'Europe/Gent\'');
+    });
+
+    test('reject preferences that do not apply to the frequency', () => {
+        expect(validate({ 'frequency': 'daily', 'weekday': 'monday' }))
+            .toBe('Invalid weekday: only weekly digests have a weekday.');
+        expect(validate({ 'frequency': 'immediate', 'hour': 8 }))
+            .toBe('Invalid hour: immediate digests have no hour.');
+    });
+});
+
+describe('schedules', () => {
+    test('leave out the preferences that do not apply', () => {
+        expect(createSchedule('daily', 'monday', 8, 'UTC')).toEqual({
+            'frequency': 'daily',
+            'weekday': undefined,
+            'hour': 8,
+            'timeZone': 'UTC',
+        });
+        expect(createSchedule('immediate', 'monday', 8, 'UTC')).toEqual({
+            'frequency': 'immediate',
+            'weekday': undefined,
+            'hour': undefined,
+            'timeZone': undefined,
+        });
+    });
+
+    test('store weekdays as schema.org days', () => {
+        expect(weekdayUri('wednesday')).toBe('http://schema.org/Wednesday');
+        expect(weekdayFromUri('http://schema.org/Wednesday')).toBe('wednesday');
+        expect(weekdayFromUri('http://schema.org/Someday')).toBeUndefined();
+        expect(weekdayFromUri(undefined)).toBeUndefined();
+    });
+
+    test('know the IANA time zones', () => {
+        expect(isTimeZone('America/New_York')).toBe(true);
+        expect(isTimeZone('')).toBe(false);
+        expect(isTimeZone(2)).toBe(false);
+    });
+});
+
+describe('previousSlot', () => {
+    test('finds the preferred hour in the time zone', () => {
+        const now = new Date('2021-09-15T10:00:00Z');
+
+        // Brussels is UTC+2 in summer.
+        expect(previousSlot(createSchedule('daily', undefined, 8, undefined), now))
+            .toEqual(new Date('2021-09-15T06:00:00Z'));
+        expect(previousSlot(createSchedule('daily', undefined, 13, undefined), now))
+            .toEqual(new Date('2021-09-14T11:00:00Z'));
+        expect(previousSlot(createSchedule('daily', undefined, 8, 'America/New_York'), now))
+            .toEqual(new Date('2021-09-14T12:00:00Z'));
+    });
+
+    test('finds the weekday of weekly and the first day of monthly digests', () => {
+        // A Wednesday.
+        const now = new Date('2021-09-15T10:00:00Z');
+
+        expect(previousSlot(createSchedule('weekly', 'friday', 18, 'UTC'), now))
+            .toEqual(new Date('2021-09-10T18:00:00Z'));
+        expect(previousSlot(createSchedule('weekly', undefined, 9, 'UTC'), now))
+            .toEqual(new Date('2021-09-13T09:00:00Z'));
+        expect(previousSlot(createSchedule('monthly', undefined, 7, 'UTC'), now))
+            .toEqual(new Date('2021-09-01T07:00:00Z'));
+    });
+
+    test('follows daylight saving time', () => {
+        // Brussels switches to UTC+1 on 31 October 2021.
+        expect(previousSlot(createSchedule('daily', undefined, 8, undefined), new Date('2021-11-01T12:00:00Z')))
+            .toEqual(new Date('2021-11-01T07:00:00Z'));
+        // 2:00 does not exist on 28 March 2021, the digest is sent at 3:00.
+        expect(previousSlot(createSchedule('daily', undefined, 2, undefined), new Date('2021-03-28T12:00:00Z')))
+            .toEqual(new Date('2021-03-28T01:00:00Z'));
+    });
+});
+
+describe('isDue', () => {
+    const now = new Date('2021-09-15T10:00:00Z');
+
+    test('sends the first and immediate digests right away', () => {
+        expect(isDue(createSchedule('monthly'), undefined, now)).toBe(true);
+        expect(isDue(createSchedule('immediate'), new Date('2021-09-15T09:00:00Z'), now)).toBe(true);
+    });
+
+    test('waits a period without preferences', () => {
+        expect(isDue(createSchedule('daily'), new Date('2021-09-14T11:00:00Z'), now)).toBe(false);
+        expect(isDue(createSchedule('daily'), new Date('2021-09-14T10:00:00Z'), now)).toBe(true);
+    });
+
+    test('waits for the next preferred moment', () => {
+        const schedule = createSchedule('weekly', 'wednesday', 9, 'UTC');
+
+        expect(isDue(schedule, new Date('2021-09-08T09:05:00Z'), now)).toBe(true);
+        expect(isDue(schedule, new Date('2021-09-15T09:05:00Z'), now)).toBe(false);
+        expect(isDue(schedule, new Date('2021-09-15T09:05:00Z'), new Date('2021-09-22T09:00:00Z'))).toBe(true);
+    });
+});
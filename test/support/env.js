@@ -0,0 +1,9 @@
+import { join } from 'path';
+
+// The configuration is read when the modules are loaded, so it has to be set
+// before any test imports them.
+process.env.ADMIN_TOKEN = 'admin-token';
+process.env.TEMPLATES_DIRECTORY = join(__dirname, '..', '..', 'templates');
+process.env.SIGNUP_LIMIT_PER_IP = '1000';
+process.env.SIGNUP_LIMIT_PER_EMAIL = '1000';
+process.env.ADMIN_SESSION_ROLE = 'SubscriptionAdmin';
@@ -0,0 +1,21 @@
+/**
+ * Fixtures shared by the tests of several modules.
+ */
+
+/**
+ * Create an unsaved filter matching agenda items by title.
+ *
+ * @param {string} object - The text the title should contain.
+ * @param {object} [attributes={}] - Other properties of the filter.
+ * @returns {object} - The filter.
+ */
+export function titleFilter(object, attributes={}) {
+    return {
+        'require-all': true,
+        'negate': false,
+        'paused': false,
+        'constraints': [{ 'subject': 'title', 'predicate': 'textContains', 'object': object }],
+        'sub-filters': [],
+        ...attributes,
+    };
+}
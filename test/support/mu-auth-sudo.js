@@ -0,0 +1,60 @@
+import { Store } from 'oxigraph';
+
+/**
+ * Stand-in for `@lblod/mu-auth-sudo`, running the queries against an
+ * in-memory SPARQL 1.1 store instead of the triplestore behind mu-authorization.
+ */
+
+/**
+ * Prefixes Virtuoso declares by default, the queries of the service rely on
+ * them.
+ */
+const DEFAULT_PREFIXES = `
+    PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+`;
+
+/**
+ * The store the queries are run against.
+ */
+let store = new Store();
+
+/**
+ * Get the store the queries are run against, e.g. to insert fixtures.
+ *
+ * @returns {Store} - The in-memory store.
+ */
+export function getStore() {
+    return store;
+}
+
+/**
+ * Remove all data from the store.
+ */
+export function resetStore() {
+    store = new Store();
+}
+
+/**
+ * Run a SPARQL query. Like in Virtuoso, the default graph is the union of all
+ * graphs.
+ *
+ * @param {string} queryString - The SPARQL query.
+ * @returns {Promise<object>} - The SPARQL JSON results.
+ */
+export async function querySudo(queryString) {
+    return JSON.parse(store.query(`${DEFAULT_PREFIXES}${queryString}`, {
+        'results_format': 'json',
+        'use_default_graph_as_union': true,
+    }));
+}
+
+/**
+ * Run a SPARQL update.
+ *
+ * @param {string} queryString - The SPARQL update.
+ * @returns {Promise<object>} - An empty result.
+ */
+export async function updateSudo(queryString) {
+    store.update(`${DEFAULT_PREFIXES}${queryString}`);
+    return {};
+}
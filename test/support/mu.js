@@ -0,0 +1,36 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+/**
+ * Stand-in for the `mu` module of the mu-javascript-template, which is only
+ * available inside the template's container.
+ */
+
+/**
+ * The Express app the routes are registered on.
+ */
+export const app = express();
+
+/**
+ * Generate a new UUID.
+ *
+ * @returns {string} - The UUID.
+ */
+export function uuid() {
+    return randomUUID();
+}
+
+/**
+ * Send uncaught errors as a 500 response, like the template does.
+ *
+ * @param {Error} err - The uncaught error.
+ * @param {import('express').Request} req - The request that failed.
+ * @param {import('express').Response} res - The response to send the error to.
+ * @param {Function} _next - The next error handler, unused but needed for
+ * Express to recognize an error handler.
+ */
+export function errorHandler(err, req, res, _next) {
+    res.status(500).send(JSON.stringify({
+        'errors': [{ 'detail': err.message, 'status': 500 }],
+    }));
+}
@@ -0,0 +1,80 @@
+import {
+    removeDiacritics,
+    escapeRegex,
+    splitWords,
+    foldedPattern,
+    wordPattern,
+    phrasePattern
+} from '../text';
+
+/**
+ * Check if a text matches a pattern the way the triplestore would, ignoring
+ * case.
+ *
+ * @param {string} pattern - The regular expression.
+ * @param {string} text - The text.
+ * @returns {boolean} - True if the text matches.
+ */
+function matches(pattern, text) {
+    return new RegExp(pattern, 'iu').test(text);
+}
+
+describe('removeDiacritics', () => {
+    test('keeps the base letters', () => {
+        expect(removeDiacritics('vóór één café')).toBe('voor een cafe');
+    });
+});
+
+describe('escapeRegex', () => {
+    test('escapes metacharacters', () => {
+        expect(escapeRegex('a.b*(c)[d]{2}^$|?+\\')).toBe('a\\.b\\*\\(c\\)\\[d\\]\\{2\\}\\^\\$\\|\\?\\+\\\\');
+        expect(matches(escapeRegex('(n.v.t.)'), 'Punt (n.v.t.)')).toBe(true);
+        expect(matches(escapeRegex('n.v.t.'), 'nivats')).toBe(false);
+    });
+});
+
+describe('splitWords', () => {
+    test('splits on whitespace', () => {
+        expect(splitWords('  fiets\tauto  trein ')).toEqual(['fiets', 'auto', 'trein']);
+        expect(splitWords('   ')).toEqual([]);
+    });
+});
+
+describe('foldedPattern', () => {
+    test('ignores diacritics in both directions', () => {
+        expect(matches(foldedPattern('voor'), 'Vóór de zitting')).toBe(true);
+        expect(matches(foldedPattern('vóór'), 'voor de zitting')).toBe(true);
+        expect(matches(foldedPattern('Café'), 'CAFÉ')).toBe(true);
+        expect(matches(foldedPattern('vóór'), 'vier')).toBe(false);
+    });
+});
+
+describe('wordPattern', () => {
+    test('matches whole words only', () => {
+        const pattern = wordPattern(['station']);
+
+        expect(matches(pattern, 'Station')).toBe(true);
+        expect(matches(pattern, 'Heraanleg station-omgeving')).toBe(true);
+        expect(matches(pattern, 'Stationsplein')).toBe(false);
+        expect(matches(pattern, 'Busstation')).toBe(false);
+    });
+
+    test('matches any of the words', () => {
+        const pattern = wordPattern(['fiets', 'auto']);
+
+        expect(matches(pattern, 'Parking voor de auto')).toBe(true);
+        expect(matches(pattern, 'De fiets.')).toBe(true);
+        expect(matches(pattern, 'Autoweg')).toBe(false);
+    });
+});
+
+describe('phrasePattern', () => {
+    test('matches the words in order', () => {
+        const pattern = phrasePattern('nieuwe  fietsstraat');
+
+        expect(matches(pattern, 'Een nieuwe fietsstraat')).toBe(true);
+        expect(matches(pattern, 'Nieuwe, fietsstraat')).toBe(true);
+        expect(matches(pattern, 'Fietsstraat nieuwe')).toBe(false);
+        expect(matches(pattern, 'Vernieuwe fietsstraten')).toBe(false);
+    });
+});
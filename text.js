@@ -0,0 +1,100 @@
+/**
+ * The characters that have a special meaning in (XPath and SPARQL) regular
+ * expressions.
+ */
+const REGEX_METACHARACTERS = /[\\^$.|?*+()[\]{}]/g;
+
+/**
+ * A character that is not part of a word, i.e. not a letter or a digit in
+ * any script.
+ */
+const NON_WORD = '[^\\p{L}\\p{N}]';
+
+/**
+ * Remove the diacritics from a text, e.g. `vóór` becomes `voor`.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The text without diacritics.
+ */
+export function removeDiacritics(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * The lower-case letters with diacritics of the Latin-1 Supplement and Latin
+ * Extended-A blocks, by the letter without diacritics.
+ *
+ * @type {Map<string, string>}
+ */
+const DIACRITIC_VARIANTS = new Map();
+
+for (let code = 0xc0; code <= 0x17f; code++) {
+    const character = String.fromCodePoint(code).toLowerCase();
+    const base = removeDiacritics(character);
+
+    if ([...character].length === 1 && base !== character && /^[a-z]$/.test(base)) {
+        DIACRITIC_VARIANTS.set(base, (DIACRITIC_VARIANTS.get(base) || '') + character);
+    }
+}
+
+/**
+ * Escape the regular expression metacharacters in a text, so it is matched
+ * literally.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+export function escapeRegex(text) {
+    return `${text}`.replace(REGEX_METACHARACTERS, '\\$&');
+}
+
+/**
+ * Split a text into the words a word predicate looks for.
+ *
+ * @param {string} text - The text, words are separated by whitespace.
+ * @returns {string[]} - The words, in order.
+ */
+export function splitWords(text) {
+    return `${text}`.trim().split(/\s+/).filter((word) => word !== '');
+}
+
+/**
+ * Create a regular expression that matches a text literally, also when
+ * letters have other or no diacritics (`voor` matches `vóór` and the other
+ * way round). Case is ignored through the `i` flag, like the other text
+ * predicates.
+ *
+ * @param {string} text - The text to match.
+ * @returns {string} - The regular expression.
+ */
+export function foldedPattern(text) {
+    return [...removeDiacritics(`${text}`).toLowerCase()]
+        .map((character) => DIACRITIC_VARIANTS.has(character)
+            ? `[${character}${DIACRITIC_VARIANTS.get(character)}]`
+            : escapeRegex(character))
+        .join('');
+}
+
+/**
+ * Create a regular expression that matches one of the given words as a whole
+ * word, not as part of a longer word (`station` does not match
+ * `stationsplein`).
+ *
+ * @param {string[]} words - The words, they are matched like in
+ * `foldedPattern`.
+ * @returns {string} - The regular expression.
+ */
+export function wordPattern(words) {
+    return `(^|${NON_WORD})(${words.map(foldedPattern).join('|')})(${NON_WORD}|$)`;
+}
+
+/**
+ * Create a regular expression that matches the words of a phrase as whole
+ * words in the same order, separated by any whitespace or punctuation.
+ *
+ * @param {string} phrase - The phrase.
+ * @returns {string} - The regular expression.
+ */
+export function phrasePattern(phrase) {
+    return `(^|${NON_WORD})${splitWords(phrase).map(foldedPattern).join(`${NON_WORD}+`)}(${NON_WORD}|$)`;
+}